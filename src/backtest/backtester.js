@@ -0,0 +1,274 @@
+const dynamicTradeSizer = require('../utils/dynamicTradeSizer');
+const costModel = require('../utils/costModel');
+const { decideTrade, getDecisionThresholds } = require('../bot/decision');
+const { INTERMEDIATE_TOKENS } = require('../constants');
+const SimulatedClock = require('./simulatedClock');
+
+const SOL_TOKEN = {
+    address: 'So11111111111111111111111111111111111111112',
+    symbol: 'SOL',
+    decimals: 9
+};
+const LAMPORTS_PER_SOL = 1000000000;
+
+/**
+ * Replays the live strategy's sizing and decision logic over recorded
+ * quote snapshots on a simulated clock, and fills would-be trades using
+ * configurable fee and slippage models
+ */
+class Backtester {
+    constructor(store, options = {}) {
+        this.store = store;
+        this.sizer = options.sizer || dynamicTradeSizer;
+        this.clock = new SimulatedClock(store.startTime || 0);
+
+        this.stepMs = options.stepMs || parseInt(process.env.UPDATE_INTERVAL) || 8000;
+        this.rotationMs = (options.rotationMinutes || parseInt(process.env.TOKEN_ROTATION_INTERVAL_MINUTES) || 2) * 60000;
+        this.scanAll = options.scanAll || false;
+        this.latencyMs = options.latencyMs || 0;
+        this.executionMode = options.executionMode || process.env.EXECUTION_MODE || 'sequential';
+
+        // Fees the live cost model assumes unless overridden, so sizing and fills price alike
+        const {
+            baseFeeLamports = costModel.baseFeeLamports,
+            priorityMicroLamports = costModel.getPriorityMicroLamports(),
+            computeUnitsPerLeg = costModel.computeUnitsPerLeg
+        } = options.feeModel || {};
+        this.feeModel = { baseFeeLamports, priorityMicroLamports, computeUnitsPerLeg };
+
+        // fixed: flat haircut per leg, impact: haircut proportional to the leg's price impact
+        this.slippageModel = {
+            type: 'fixed',
+            bps: 0,
+            impactMultiplier: 1,
+            ...options.slippageModel
+        };
+
+        this.tokens = options.tokens || this.resolveTokens();
+    }
+
+    /**
+     * Intermediate tokens with recorded data, known tokens first
+     */
+    resolveTokens() {
+        const quotedMints = this.store.getQuotedMints(SOL_TOKEN.address);
+        const known = INTERMEDIATE_TOKENS.filter(token => quotedMints.includes(token.address));
+        const unknown = quotedMints
+            .filter(mint => !INTERMEDIATE_TOKENS.some(token => token.address === mint))
+            .map(mint => ({ address: mint, symbol: mint.substring(0, 6), decimals: 0 }));
+
+        return [...known, ...unknown];
+    }
+
+    /**
+     * Intermediate token the live bot would be scanning at the current time
+     */
+    getRotatedToken() {
+        const index = Math.floor(this.clock.elapsed() / this.rotationMs) % this.tokens.length;
+        return this.tokens[index];
+    }
+
+    /**
+     * Quote at a time, falling back to an earlier time when nothing newer was recorded
+     */
+    quoteAt(inputMint, outputMint, amount, time, fallbackTime) {
+        try {
+            return this.store.getQuote(inputMint, outputMint, amount, time);
+        } catch (error) {
+            return this.store.getQuote(inputMint, outputMint, amount, fallbackTime);
+        }
+    }
+
+    applySlippage(amount, priceImpactPct) {
+        const haircut = this.slippageModel.type === 'impact'
+            ? this.slippageModel.impactMultiplier * parseFloat(priceImpactPct || 0) / 100
+            : this.slippageModel.bps / 10000;
+
+        return Math.floor(amount * Math.max(0, 1 - haircut));
+    }
+
+    /**
+     * Cost model options for the fee model, shared by the sizer's estimates and the fills
+     */
+    getCostOptions() {
+        const { baseFeeLamports, priorityMicroLamports, computeUnitsPerLeg } = this.feeModel;
+
+        return {
+            executionMode: this.executionMode,
+            tokenAccountExists: true,
+            includeJitoTip: false,
+            baseFeeLamports,
+            priorityMicroLamports,
+            computeUnits: computeUnitsPerLeg
+        };
+    }
+
+    /**
+     * Network fees for one round trip under the fee model
+     */
+    estimateFeeLamports() {
+        return costModel.estimateRoundTripCost(this.getCostOptions()).totalLamports;
+    }
+
+    /**
+     * Fill a would-be trade at decision time plus latency
+     */
+    simulateFill(optimal, tokenB, solPriceUSD) {
+        const decisionTime = this.clock.now();
+        const fillTime = decisionTime + this.latencyMs;
+
+        const route1 = this.quoteAt(SOL_TOKEN.address, tokenB.address, optimal.sizeRaw, fillTime, decisionTime);
+        const intermediateAmount = this.applySlippage(Number(route1.outAmount), route1.priceImpactPct);
+
+        const route2 = this.quoteAt(tokenB.address, SOL_TOKEN.address, intermediateAmount, fillTime, decisionTime);
+        const outputAmount = this.applySlippage(Number(route2.outAmount), route2.priceImpactPct);
+
+        const grossLamports = outputAmount - Number(optimal.sizeRaw);
+        const feeLamports = this.estimateFeeLamports();
+
+        // The atomic min-out guard reverts unprofitable fills, which still pay fees.
+        // A bundle with a reverting leg is dropped whole and costs nothing.
+        const reverted = ['atomic', 'bundle'].includes(this.executionMode) && grossLamports < feeLamports;
+        const revertCostLamports = this.executionMode === 'bundle' ? 0 : feeLamports;
+        const realizedLamports = reverted ? -revertCostLamports : grossLamports - feeLamports;
+
+        return {
+            timestamp: decisionTime,
+            token: tokenB.symbol,
+            sizeSOL: optimal.sizeSOL,
+            expectedProfitPercent: optimal.profitPercent,
+            expectedProfitUSD: optimal.profitUSD,
+            grossLamports,
+            feeLamports,
+            realizedLamports,
+            realizedSOL: realizedLamports / LAMPORTS_PER_SOL,
+            realizedUSD: realizedLamports / LAMPORTS_PER_SOL * solPriceUSD,
+            // Filled from quotes scaled away from a recorded size, so price impact is estimated
+            approximate: !!(route1._snapshot.approximate || route2._snapshot.approximate),
+            status: reverted ? 'reverted' : realizedLamports > 0 ? 'win' : 'loss'
+        };
+    }
+
+    getTokenStats(tokenStats, token) {
+        if (!tokenStats.has(token.symbol)) {
+            tokenStats.set(token.symbol, {
+                token: token.symbol,
+                scans: 0,
+                noData: 0,
+                trades: 0,
+                wins: 0,
+                realizedSOL: 0,
+                skips: {}
+            });
+        }
+        return tokenStats.get(token.symbol);
+    }
+
+    /**
+     * Run the backtest over the whole dataset
+     */
+    async run() {
+        if (this.tokens.length === 0) {
+            throw new Error('Dataset has no SOL-quoted intermediate tokens to backtest');
+        }
+
+        // Serve the sizer from the snapshot store at simulated time
+        this.sizer.quoteProvider = async (inputMint, outputMint, amount) =>
+            this.store.getQuote(inputMint, outputMint, amount, this.clock.now());
+
+        // Size trades on the same fees the fills are charged
+        this.sizer.costOptions = this.getCostOptions();
+
+        // Recorded sessions already held their token accounts, so no rent per scan
+        this.tokens.forEach(token => costModel.markTokenAccountExists(token.address));
+
+        const thresholds = getDecisionThresholds();
+        const tokenStats = new Map();
+        const trades = [];
+        const equityCurve = [0];
+        let equity = 0;
+        let peak = 0;
+        let maxDrawdown = 0;
+        let scans = 0;
+
+        while (this.clock.now() <= this.store.endTime) {
+            const tokens = this.scanAll ? this.tokens : [this.getRotatedToken()];
+
+            for (const tokenB of tokens) {
+                const stats = this.getTokenStats(tokenStats, tokenB);
+                const now = this.clock.now();
+                scans++;
+                stats.scans++;
+
+                if (!this.store.hasSnapshot(SOL_TOKEN.address, tokenB.address, now)) {
+                    stats.noData++;
+                    continue;
+                }
+
+                const solPriceUSD = this.store.getSolPrice(now);
+                const optimal = await this.sizer.findOptimalTradeSize(SOL_TOKEN, tokenB, solPriceUSD);
+                const decision = decideTrade(optimal, thresholds);
+
+                if (!decision.execute) {
+                    stats.skips[decision.reason] = (stats.skips[decision.reason] || 0) + 1;
+                    continue;
+                }
+
+                const trade = this.simulateFill(optimal, tokenB, solPriceUSD);
+                trades.push(trade);
+
+                stats.trades++;
+                if (trade.status === 'win') stats.wins++;
+                stats.realizedSOL += trade.realizedSOL;
+
+                equity += trade.realizedSOL;
+                peak = Math.max(peak, equity);
+                maxDrawdown = Math.max(maxDrawdown, peak - equity);
+                equityCurve.push(equity);
+            }
+
+            this.clock.advanceBy(this.stepMs);
+        }
+
+        const wins = trades.filter(trade => trade.status === 'win').length;
+
+        return {
+            config: {
+                stepMs: this.stepMs,
+                rotationMinutes: this.rotationMs / 60000,
+                scanAll: this.scanAll,
+                latencyMs: this.latencyMs,
+                executionMode: this.executionMode,
+                feeModel: this.feeModel,
+                slippageModel: this.slippageModel,
+                thresholds: {
+                    ...thresholds,
+                    minProfitThreshold: this.sizer.minProfitThreshold,
+                    maxPriceImpact: this.sizer.maxPriceImpact,
+                    preferredSizePercentages: process.env.PREFERRED_SIZE_PERCENTAGES || '10,25,50,75,90'
+                }
+            },
+            dataset: this.store.getStats(),
+            summary: {
+                scans,
+                trades: trades.length,
+                approximateTrades: trades.filter(trade => trade.approximate).length,
+                wins,
+                hitRate: trades.length > 0 ? wins / trades.length : 0,
+                grossSOL: trades.reduce((sum, trade) => sum + trade.grossLamports, 0) / LAMPORTS_PER_SOL,
+                feesSOL: trades.reduce((sum, trade) => sum + trade.feeLamports, 0) / LAMPORTS_PER_SOL,
+                realizedSOL: equity,
+                realizedUSD: trades.reduce((sum, trade) => sum + trade.realizedUSD, 0),
+                maxDrawdownSOL: maxDrawdown
+            },
+            perToken: [...tokenStats.values()].map(stats => ({
+                ...stats,
+                hitRate: stats.trades > 0 ? stats.wins / stats.trades : 0
+            })),
+            trades,
+            equityCurve
+        };
+    }
+}
+
+module.exports = Backtester;
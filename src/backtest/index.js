@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+"use strict";
+require("dotenv").config();
+
+// Keep the sizer's per-scan logging out of the report unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "warn";
+process.env.LOG_TO_FILE = process.env.LOG_TO_FILE || "false";
+
+const chalk = require("chalk");
+const chart = require("asciichart");
+const { storeItInTempAsJSON } = require("../utils");
+const SnapshotQuoteStore = require("./snapshotQuoteStore");
+const Backtester = require("./backtester");
+
+// --name value / --flag pairs, later flags win
+const parseArgs = (argv) => {
+	const args = {};
+	for (let i = 0; i < argv.length; i++) {
+		if (!argv[i].startsWith("--")) continue;
+		const name = argv[i].slice(2);
+		const next = argv[i + 1];
+		if (next === undefined || next.startsWith("--")) {
+			args[name] = true;
+		} else {
+			args[name] = next;
+			i++;
+		}
+	}
+	return args;
+};
+
+const number = (value, fallback) => {
+	const parsed = parseFloat(value);
+	return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const printReport = (report) => {
+	const { summary, perToken, trades, equityCurve, dataset, config } = report;
+	const sol = (value) => `${value >= 0 ? "+" : ""}${value.toFixed(6)} SOL`;
+
+	console.log(chalk.bold.cyan("\n📊 BACKTEST REPORT"));
+	console.log(chalk.gray("═".repeat(80)));
+	console.log(`📼 Dataset: ${dataset.quotes} quotes over ${dataset.pairs} pairs, ${new Date(dataset.startTime).toISOString()} → ${new Date(dataset.endTime).toISOString()}`);
+	console.log(`⚙️ Step ${config.stepMs}ms | Rotation ${config.scanAll ? "off (scan all)" : `${config.rotationMinutes} min`} | Latency ${config.latencyMs}ms | Mode ${config.executionMode.toUpperCase()}`);
+	console.log(`💸 Fees: ${config.feeModel.baseFeeLamports} lamports/tx + ${config.feeModel.priorityMicroLamports} µL/CU | Slippage: ${config.slippageModel.type === "impact" ? `${config.slippageModel.impactMultiplier}x price impact` : `${config.slippageModel.bps} bps`}`);
+	console.log(`🎯 Min profit: ${config.thresholds.minProfitThreshold}% and $${config.thresholds.minProfitUSD} | Sizes: ${config.thresholds.preferredSizePercentages}`);
+	console.log(chalk.gray("═".repeat(80)));
+
+	console.log(`🔍 Scans: ${summary.scans} | Would-be trades: ${summary.trades} | Hit rate: ${(summary.hitRate * 100).toFixed(1)}%`);
+	console.log(`💰 Gross: ${sol(summary.grossSOL)} | Fees: ${summary.feesSOL.toFixed(6)} SOL | Realized: ${sol(summary.realizedSOL)} ($${summary.realizedUSD.toFixed(2)})`);
+	console.log(`📉 Max drawdown: ${summary.maxDrawdownSOL.toFixed(6)} SOL`);
+	if (summary.approximateTrades > 0) {
+		console.log(chalk.yellow(`⚠️ ${summary.approximateTrades} of ${summary.trades} trades were filled from quotes scaled linearly from another recorded size - their price impact and realized P&L are approximate`));
+	}
+
+	console.log(chalk.bold("\n🪙 Per intermediate token:"));
+	perToken.forEach((stats) => {
+		const skips = Object.entries(stats.skips).map(([reason, count]) => `${reason}=${count}`).join(", ") || "none";
+		console.log(`  ${stats.token.padEnd(8)} scans ${String(stats.scans).padStart(5)} | no data ${String(stats.noData).padStart(5)} | trades ${String(stats.trades).padStart(4)} | hit ${(stats.hitRate * 100).toFixed(1).padStart(5)}% | ${sol(stats.realizedSOL)} | skips: ${skips}`);
+	});
+
+	if (trades.length > 0) {
+		console.log(chalk.bold("\n🧾 Would-be trades (last 20):"));
+		trades.slice(-20).forEach((trade) => {
+			const color = trade.status === "win" ? chalk.green : chalk.red;
+			console.log(color(`  ${new Date(trade.timestamp).toISOString()} ${trade.token.padEnd(6)} ${trade.sizeSOL} SOL | expected ${trade.expectedProfitPercent.toFixed(4)}% | realized ${sol(trade.realizedSOL)} [${trade.status}${trade.approximate ? ", approx." : ""}]`));
+		});
+	}
+
+	if (equityCurve.length > 1) {
+		// Downsample so the chart fits a terminal
+		const step = Math.ceil(equityCurve.length / 80);
+		const points = equityCurve.filter((_, index) => index % step === 0 || index === equityCurve.length - 1);
+		console.log(chalk.bold("\n📈 Equity curve (SOL):"));
+		console.log(chart.plot(points, { height: 10, format: (x) => x.toFixed(6).padStart(12) }));
+	}
+	console.log(chalk.gray("═".repeat(80)));
+};
+
+const backtest = async () => {
+	const args = parseArgs(process.argv.slice(2));
+	const cassettes = String(args.cassette || process.env.BACKTEST_CASSETTE || process.env.QUOTE_CASSETTE_PATH || "")
+		.split(",")
+		.filter(Boolean);
+
+	if (cassettes.length === 0) {
+		console.error(chalk.red("❌ No dataset given. Usage: npm run backtest -- --cassette ./temp/cassettes/quotes_<timestamp>.jsonl"));
+		process.exit(1);
+	}
+
+	const store = new SnapshotQuoteStore({
+		maxAgeMs: number(args["max-age-ms"], 60000),
+		defaultSolPrice: number(args["sol-price"], 100),
+	});
+	cassettes.forEach((file) => store.loadCassette(file.trim()));
+
+	const backtester = new Backtester(store, {
+		stepMs: number(args["step-ms"], undefined),
+		rotationMinutes: number(args["rotation-minutes"], undefined),
+		scanAll: args["scan-all"] === true,
+		latencyMs: number(args["latency-ms"] ?? process.env.BACKTEST_LATENCY_MS, 0),
+		executionMode: args["execution-mode"],
+		feeModel: {
+			baseFeeLamports: number(args["fee-lamports"] ?? process.env.BACKTEST_FEE_LAMPORTS, undefined),
+			priorityMicroLamports: number(args.priority ?? process.env.PRIORITY, undefined),
+		},
+		slippageModel: {
+			type: args["slippage-model"] || process.env.BACKTEST_SLIPPAGE_MODEL || "fixed",
+			bps: number(args["slippage-bps"] ?? process.env.BACKTEST_SLIPPAGE_BPS, 0),
+			impactMultiplier: number(args["impact-multiplier"] ?? process.env.BACKTEST_IMPACT_MULTIPLIER, 1),
+		},
+	});
+
+	const report = await backtester.run();
+	printReport(report);
+
+	const filename = `backtest_${Date.now()}`;
+	storeItInTempAsJSON(filename, report);
+	console.log(chalk.gray(`Full report saved to ./temp/${filename}.json`));
+};
+
+backtest()
+	.then(() => process.exit(0))
+	.catch((error) => {
+		console.error(chalk.red("❌ Backtest failed:"), error.message);
+		process.exit(1);
+	});
@@ -0,0 +1,35 @@
+/**
+ * Simulated clock for backtests - time only moves when the engine moves it
+ */
+class SimulatedClock {
+    constructor(startTime = 0) {
+        this.startTime = startTime;
+        this.currentTime = startTime;
+    }
+
+    now() {
+        return this.currentTime;
+    }
+
+    /**
+     * Advance the clock by a number of milliseconds
+     */
+    advanceBy(ms) {
+        this.currentTime += ms;
+        return this.currentTime;
+    }
+
+    /**
+     * Jump forward to a point in time (never backwards)
+     */
+    advanceTo(timestamp) {
+        this.currentTime = Math.max(this.currentTime, timestamp);
+        return this.currentTime;
+    }
+
+    elapsed() {
+        return this.currentTime - this.startTime;
+    }
+}
+
+module.exports = SimulatedClock;
@@ -0,0 +1,178 @@
+const fs = require('fs');
+
+/**
+ * Historical quote snapshots loaded from one or more quote cassettes.
+ * Serves the nearest recorded quote for a pair at a point in time,
+ * scaled to the requested amount.
+ */
+class SnapshotQuoteStore {
+    constructor(options = {}) {
+        // Snapshots older than this are treated as missing market data
+        this.maxAgeMs = options.maxAgeMs || 60000;
+        this.defaultSolPrice = options.defaultSolPrice || 100;
+
+        this.quotes = new Map(); // "inputMint:outputMint" -> snapshots sorted by time
+        this.solPrices = []; // { timestamp, price } sorted by time
+        this.startTime = null;
+        this.endTime = null;
+    }
+
+    /**
+     * Load a cassette file written by the quote recorder
+     */
+    loadCassette(filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Quote cassette not found: ${filePath}`);
+        }
+
+        const entries = fs.readFileSync(filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+
+        entries.forEach(entry => this.addEntry(entry));
+        this.sortSnapshots();
+
+        return entries.length;
+    }
+
+    addEntry(entry) {
+        if (entry.error || !entry.response) return;
+
+        if (entry.type === 'quote') {
+            const { inputMint, outputMint } = entry.request;
+            const key = `${inputMint}:${outputMint}`;
+
+            if (!this.quotes.has(key)) {
+                this.quotes.set(key, []);
+            }
+
+            this.quotes.get(key).push({
+                timestamp: entry.timestamp,
+                inAmount: Number(entry.response.inAmount),
+                outAmount: Number(entry.response.outAmount),
+                priceImpactPct: parseFloat(entry.response.priceImpactPct || 0),
+                response: entry.response
+            });
+        } else if (entry.type === 'sol_price') {
+            const prices = entry.response.prices || [];
+            if (prices.length === 0) return;
+
+            this.solPrices.push({
+                timestamp: entry.timestamp,
+                price: prices.reduce((sum, p) => sum + p.price, 0) / prices.length
+            });
+        } else {
+            return;
+        }
+
+        this.startTime = this.startTime === null ? entry.timestamp : Math.min(this.startTime, entry.timestamp);
+        this.endTime = this.endTime === null ? entry.timestamp : Math.max(this.endTime, entry.timestamp);
+    }
+
+    sortSnapshots() {
+        this.quotes.forEach(snapshots => snapshots.sort((a, b) => a.timestamp - b.timestamp));
+        this.solPrices.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Quote for a pair at a point in time, scaled from the closest recorded amount.
+     * The real price impact at any other size was never quoted, so a scaled quote is
+     * flagged approximate in _snapshot.
+     */
+    getQuote(inputMint, outputMint, amount, atTime) {
+        const snapshots = this.quotes.get(`${inputMint}:${outputMint}`) || [];
+        const requested = Number(amount);
+
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (const snapshot of snapshots) {
+            if (snapshot.timestamp > atTime) break;
+            if (atTime - snapshot.timestamp > this.maxAgeMs) continue;
+
+            // Later snapshots win ties, so the freshest market state is used
+            const distance = Math.abs(Math.log(requested / snapshot.inAmount));
+            if (distance <= bestDistance) {
+                best = snapshot;
+                bestDistance = distance;
+            }
+        }
+
+        if (!best) {
+            throw new Error(`No snapshot for ${inputMint.substring(0, 6)}... → ${outputMint.substring(0, 6)}... at ${new Date(atTime).toISOString()}`);
+        }
+
+        // Linear scaling: price impact grows with size, output with the ratio
+        const ratio = requested / best.inAmount;
+        const approximate = Math.floor(requested) !== best.inAmount;
+
+        return {
+            ...best.response,
+            inAmount: Math.floor(requested).toString(),
+            outAmount: Math.floor(best.outAmount * ratio).toString(),
+            priceImpactPct: (best.priceImpactPct * ratio).toString(),
+            _snapshot: {
+                timestamp: best.timestamp,
+                inAmount: best.inAmount,
+                ratio,
+                approximate
+            }
+        };
+    }
+
+    /**
+     * Whether a pair has a fresh enough snapshot at a point in time
+     */
+    hasSnapshot(inputMint, outputMint, atTime) {
+        const snapshots = this.quotes.get(`${inputMint}:${outputMint}`) || [];
+        return snapshots.some(snapshot =>
+            snapshot.timestamp <= atTime && atTime - snapshot.timestamp <= this.maxAgeMs
+        );
+    }
+
+    /**
+     * Last recorded SOL price at a point in time
+     */
+    getSolPrice(atTime) {
+        let price = this.defaultSolPrice;
+
+        for (const sample of this.solPrices) {
+            if (sample.timestamp > atTime) break;
+            price = sample.price;
+        }
+
+        return price;
+    }
+
+    /**
+     * Output mints that were quoted from the base mint
+     */
+    getQuotedMints(baseMint) {
+        const mints = [];
+        this.quotes.forEach((snapshots, key) => {
+            const [inputMint, outputMint] = key.split(':');
+            if (inputMint === baseMint) {
+                mints.push(outputMint);
+            }
+        });
+        return mints;
+    }
+
+    getStats() {
+        let quoteCount = 0;
+        this.quotes.forEach(snapshots => {
+            quoteCount += snapshots.length;
+        });
+
+        return {
+            pairs: this.quotes.size,
+            quotes: quoteCount,
+            solPrices: this.solPrices.length,
+            startTime: this.startTime,
+            endTime: this.endTime
+        };
+    }
+}
+
+module.exports = SnapshotQuoteStore;
@@ -64,7 +64,8 @@ const cache = {
 		r: false,
 	},
 	// UPDATED: Default to real trading if TRADING_ENABLED is true
-	tradingEnabled: process.env.TRADING_ENABLED === "true",
+	// Replayed quotes are history, never trade on them
+	tradingEnabled: process.env.TRADING_ENABLED === "true" && process.env.QUOTE_CASSETTE_MODE !== "replay",
 	wrapUnwrapSOL:
 		process.env.WRAP_UNWRAP_SOL === undefined
 			? true
@@ -115,11 +116,12 @@ const cache = {
 		rpc: [process.env.DEFAULT_RPC || ""],
 		minInterval: parseInt(process.env.MIN_INTERVAL_MS) || 3000,
 		slippage: parseInt(process.env.MAX_SLIPPAGE_PERCENT * 100) || 100,
-		priority: parseInt(process.env.PRIORITY) || 150000,
+		// Compute unit price in micro-lamports, or "dynamic"
+		priority: process.env.PRIORITY === "dynamic" ? "dynamic" : parseInt(process.env.PRIORITY) || 150000,
 		minPercProfit: parseFloat(process.env.MIN_PROFIT_THRESHOLD) || 0.3,
 		minProfitUSD: parseFloat(process.env.MIN_PROFIT_USD) || 0.50,
 		adaptiveSlippage: process.env.ADAPTIVE_SLIPPAGE === "true" ? 1 : 0,
-		tradingStrategy: "arbitrage",
+		tradingStrategy: process.env.TRADING_STRATEGY || "arbitrage",
 		tradeSize: {
 			value: parseFloat(process.env.MAX_TRADE_SIZE_SOL) || 0.1, // Now maximum
 			strategy: process.env.TRADE_SIZE_STRATEGY || "optimal",
@@ -135,10 +137,13 @@ const cache = {
 		// Enhanced configuration
 		smartOrderRouting: process.env.SMART_ORDER_ROUTING === "true",
 		maxPriceImpact: parseFloat(process.env.MAX_PRICE_IMPACT_PERCENT) || 2.0,
-		sizeTestDelay: parseInt(process.env.SIZE_TEST_DELAY_MS) || 500,
 		logSizeTests: process.env.LOG_SIZE_TESTS === "true",
 		enableSizeOptimization: process.env.ENABLE_SIZE_OPTIMIZATION === "true",
 		maxTradesPerHour: parseInt(process.env.MAX_TRADES_PER_HOUR) || 20,
+		// "sequential" sends each leg on its own, "atomic" merges both legs into one transaction
+		executionMode: process.env.EXECUTION_MODE || "sequential",
+		// Request legacy transactions from Jupiter instead of v0 versioned ones
+		asLegacyTransaction: process.env.AS_LEGACY_TRANSACTION === "true",
 	},
 	
 	// Trade rate limiting
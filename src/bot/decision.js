@@ -0,0 +1,80 @@
+// Trade decision rules shared by the live loop and the backtester
+const quoteCache = require("../utils/quoteCache");
+
+const envNumber = (value, fallback) => {
+	const parsed = parseFloat(value);
+	return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const getDecisionThresholds = () => ({
+	minProfitUSD: parseFloat(process.env.MIN_PROFIT_USD) || 0.50,
+	maxQuoteAgeMs: envNumber(process.env.QUOTE_MAX_AGE_MS, 30000),
+	maxQuoteSlotLag: envNumber(process.env.QUOTE_MAX_SLOT_LAG, 75),
+	latestContextSlot: quoteCache.latestContextSlot,
+});
+
+// Age and slot lag of the oldest quote behind a candidate; quotes without the cache's tags count as fresh
+const getQuoteStaleness = (routes = [], latestContextSlot = 0, now = Date.now()) => {
+	const tagged = routes.filter((route) => route && route.quotedAt);
+
+	return {
+		ageMs: tagged.reduce((oldest, route) => Math.max(oldest, now - route.quotedAt), 0),
+		slotLag: latestContextSlot
+			? tagged.reduce((lag, route) => route.contextSlot ? Math.max(lag, latestContextSlot - route.contextSlot) : lag, 0)
+			: 0,
+	};
+};
+
+// Decide whether the sizer's best candidate should be traded
+const decideTrade = (optimalResult, thresholds = getDecisionThresholds()) => {
+	if (!optimalResult) {
+		return { execute: false, reason: "no_profitable_size" };
+	}
+
+	const staleness = getQuoteStaleness(optimalResult.routes, thresholds.latestContextSlot);
+	if (staleness.ageMs > thresholds.maxQuoteAgeMs || staleness.slotLag > thresholds.maxQuoteSlotLag) {
+		return { execute: false, reason: "stale_quote", ...staleness };
+	}
+
+	if (optimalResult.profitUSD < thresholds.minProfitUSD) {
+		return { execute: false, reason: "below_min_profit_usd" };
+	}
+
+	if (!(optimalResult.profitPercent > 0)) {
+		return { execute: false, reason: "not_profitable" };
+	}
+
+	return { execute: true, reason: "profitable" };
+};
+
+const getLegGateThresholds = () => ({
+	maxLossPercent: envNumber(process.env.LEG2_MAX_LOSS_PERCENT, 0.5),
+	onExcessLoss: process.env.LEG2_ON_EXCESS_LOSS === "recover" ? "recover" : "hold",
+	holdMs: envNumber(process.env.LEG2_HOLD_MS, 20000),
+});
+
+// Decide whether leg 2 goes ahead, given a fresh quote for what leg 1 actually delivered
+const decideSecondLeg = ({inputAmount, requotedOutAmount, costLamports, heldMs = 0}, thresholds = getLegGateThresholds()) => {
+	const input = BigInt(inputAmount.toString());
+	const pnlAmount = BigInt(requotedOutAmount.toString()) - input - BigInt(costLamports);
+	const pnlPercent = Number(pnlAmount * BigInt(10000) / input) / 100;
+	const result = { pnlAmount: pnlAmount.toString(), pnlPercent };
+
+	if (pnlPercent >= -thresholds.maxLossPercent) {
+		return { ...result, action: "proceed", reason: pnlPercent >= 0 ? "profitable" : "within_max_loss" };
+	}
+
+	if (thresholds.onExcessLoss === "hold" && heldMs < thresholds.holdMs) {
+		return { ...result, action: "hold", reason: "excess_loss" };
+	}
+
+	return { ...result, action: "recover", reason: thresholds.onExcessLoss === "hold" ? "hold_expired" : "excess_loss" };
+};
+
+module.exports = {
+	getDecisionThresholds,
+	getQuoteStaleness,
+	decideTrade,
+	getLegGateThresholds,
+	decideSecondLeg,
+};
@@ -6,10 +6,8 @@ const {PublicKey} = require("@solana/web3.js");
 const BN = require('bn.js');
 
 const {
-	calculateProfit,
 	toDecimal,
 	toNumber,
-	updateIterationsPerMin,
 	checkRoutesResponse,
 	checkArbReady,
 } = require("../utils");
@@ -23,13 +21,20 @@ const marketAnalyzer = require("../utils/marketConditionAnalyzer");
 const {rateLimiter} = require("../utils/rateLimiter");
 const dynamicTradeSizer = require("../utils/dynamicTradeSizer");
 const mevProtector = require("../utils/mevProtector");
+const inventoryRecovery = require("../utils/inventoryRecovery");
 const priceFeedService = require("../utils/priceFeedService");
+const quoteCassette = require("../utils/quoteCassette");
+const scanScheduler = require("../utils/scanScheduler");
+const quoteCache = require("../utils/quoteCache");
+const rpcPool = require("../utils/rpcPool");
+const {transactionSimulator} = require("../utils/transactionSimulator");
 
 const {handleExit,logExit} = require("./exit");
+const {getStrategy,runStrategy} = require("./strategies");
+const {INTERMEDIATE_TOKENS} = require("../constants");
 const cache = require("./cache");
 const {setup, createTokenRotationFunction} = require("./setup");
 const {printToConsole} = require("./ui/");
-const {swap,failedSwapHandler,successSwapHandler} = require("./swap");
 const chalk = require('chalk');
 
 // Add this RIGHT AFTER the require statements - FIXED VERSION
@@ -55,37 +60,6 @@ process.env.SKIP_INTRO = "true";
 // Create token rotation function to avoid circular dependency
 const rotateToNextToken = createTokenRotationFunction();
 
-// Intermediate tokens for triangular arbitrage
-const INTERMEDIATE_TOKENS = [
-	{
-		address: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", // USDC
-		symbol: "USDC",
-		decimals: 6
-	},
-	{
-		address: "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB", // USDT
-		symbol: "USDT", 
-		decimals: 6
-	},
-	{
-		address: "7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs", // ETH
-		symbol: "ETH",
-		decimals: 8
-	},
-	{
-		address: "JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN", // JUP
-		symbol: "JUP",
-		decimals: 6
-	}
-];
-
-// FIXED waitabit function - use regular setTimeout, not timers/promises
-const waitabit = async (ms) => {
-	return new Promise((resolve) => {
-		setTimeout(resolve, ms);
-	});
-};
-
 function getRandomAmt(runtime) {
 	const min = Math.ceil((runtime * 10000) * 0.99);
 	const max = Math.floor((runtime * 10000) * 1.01);
@@ -105,18 +79,23 @@ const safeToNumber = (value) => {
 	}
 };
 
-// Function to watch for arbitrage opportunities with DYNAMIC SIZING
-const watcher = async (jupiter, tokenA, tokenB) => {
+// Function to watch for opportunities with the configured strategy
+const watcher = async (strategy, context) => {
+	let {tokenA, tokenB} = context;
+
 	// Get real-time SOL price
 	const solPriceUSD = await priceFeedService.getCurrentSOLPrice();
 	const priceSummary = priceFeedService.getPriceSummary();
 	
-	logger.info(`🔍 DYNAMIC TRIANGULAR ARBITRAGE SCAN: ${tokenA.symbol} → [INTERMEDIATE] → ${tokenA.symbol}`);
+	const route = strategy.describe
+		? strategy.describe(context)
+		: `${tokenA.symbol} → ${strategy.rotation ? '[INTERMEDIATE]' : tokenB.symbol} → ${tokenA.symbol}`;
+	logger.info(`🔍 ${strategy.name.toUpperCase()} SCAN: ${route}`);
 	logger.debug(`💰 Current SOL Price: ${priceSummary.price} ${priceSummary.trend} ${priceSummary.freshness}`);
 
 	try {
 		// Check for manual rotation request
-		if(cache.manualRotation) {
+		if(strategy.rotation && cache.manualRotation) {
 			logger.info("Manual token rotation requested...");
 			cache.manualRotation = false;
 
@@ -128,410 +107,20 @@ const watcher = async (jupiter, tokenA, tokenB) => {
 			}
 		}
 
-		// Try triangular arbitrage with DYNAMIC trade sizing
-		await dynamicTriangularArbitrageStrategy(jupiter, tokenA, tokenB, solPriceUSD);
-	} catch(error) {
-		logger.error("Error in watcher:", error);
-		healthMonitor.recordError();
-	}
-};
-
-// ENHANCED triangularArbitrageStrategy function with REAL SOL PRICE
-const dynamicTriangularArbitrageStrategy = async (jupiter, tokenA, tokenB, solPriceUSD) => {
-	cache.iteration++;
-	const date = new Date();
-	const i = cache.iteration;
-	cache.queue[i] = -1;
-
-	logger.debug('Starting DYNAMIC TRIANGULAR arbitrage strategy', {
-		iteration: i,
-		tokenPair: `${tokenA.symbol} → ${tokenB.symbol} → ${tokenA.symbol}`,
-		tradingMode: cache.tradingEnabled ? 'LIVE' : 'SIMULATION',
-		solPrice: `$${solPriceUSD}`
-	});
-
-	try {
-		// Calculate & update iterations per minute
-		updateIterationsPerMin(cache);
-
-		// Get max trade size and calculate USD value
-		const maxTradeSizeSOL = parseFloat(process.env.MAX_TRADE_SIZE_SOL) || 0.1;
-		const maxTradeSizeUSD = maxTradeSizeSOL * solPriceUSD;
-
-		logger.info(`💰 DYNAMIC TRIANGULAR ARBITRAGE: ${tokenA.symbol} → ${tokenB.symbol} → ${tokenA.symbol}`);
-		logger.info(`📊 Max Trade Size: ${maxTradeSizeSOL} SOL | SOL Price: $${solPriceUSD} | Max Value: $${maxTradeSizeUSD.toFixed(2)}`);
-		logger.info(`🔥 Trading Mode: ${cache.tradingEnabled ? '🔥 LIVE TRADING' : '💡 SIMULATION'}`);
-
-		// STEP 1: Find optimal trade size using dynamic sizer with REAL SOL PRICE
-		logger.info(`🎯 FINDING OPTIMAL TRADE SIZE...`);
-		const optimalResult = await dynamicTradeSizer.findOptimalTradeSize(tokenA, tokenB, solPriceUSD);
-
-		if (!optimalResult) {
-			logger.warn(`❌ No profitable trade size found for ${tokenA.symbol} → ${tokenB.symbol} → ${tokenA.symbol}`);
-			logger.debug(`💡 This could be due to:`);
-			logger.debug(`   - All sizes below minimum profit threshold (${process.env.MIN_PROFIT_THRESHOLD}% OR $${process.env.MIN_PROFIT_USD})`);
-			logger.debug(`   - High price impact on tested sizes (>${process.env.MAX_PRICE_IMPACT_PERCENT}%)`);
-			logger.debug(`   - Insufficient liquidity for profitable arbitrage`);
-			logger.debug(`   - Current SOL price: $${solPriceUSD} may make small trades unprofitable`);
-			cache.queue[i] = 0;
-			return;
-		}
-
-		// Extract optimal trade parameters
-		const {
-			sizeSOL: optimalSizeSOL,
-			sizeRaw: optimalSizeRaw,
-			profitPercent,
-			profitUSD,
-			totalValue,
-			totalPriceImpact,
-			route1,
-			route2
-		} = optimalResult;
-
-		// Update performance tracking
-		cache.availableRoutes["buy"] = 2; // Two-step route
-		cache.queue[i] = 0;
-
-		logger.info('═'.repeat(80));
-		logger.info('🎯 DYNAMIC TRIANGULAR ARBITRAGE ANALYSIS');
-		logger.info('═'.repeat(80));
-		logger.info(`🔄 Route: ${tokenA.symbol} → ${tokenB.symbol} → ${tokenA.symbol}`);
-		logger.info(`⚡ OPTIMAL SIZE: ${optimalSizeSOL} SOL ($${totalValue.toFixed(2)} USD)`);
-		logger.info(`💰 Expected Profit: ${profitPercent > 0 ? '+' : ''}${profitPercent.toFixed(4)}% ($${profitUSD.toFixed(2)} USD)`);
-		logger.info(`📊 Price Impact: ${totalPriceImpact.toFixed(4)}%`);
-		logger.info(`💵 SOL Price: $${solPriceUSD} ${priceFeedService.getPriceSummary().trend}`);
-		logger.info(`🎯 Profitable: YES ✅`);
-		logger.info(`🔥 Trading Mode: ${cache.tradingEnabled ? 'LIVE' : 'SIMULATION'}`);
-
-		// Verify profit meets USD threshold
-		const minProfitUSD = parseFloat(process.env.MIN_PROFIT_USD) || 0.50;
-		if (profitUSD < minProfitUSD) {
-			logger.warn(`⚠️ Profit $${profitUSD.toFixed(2)} below minimum $${minProfitUSD} - skipping trade`);
-			logger.debug(`💡 Try lowering MIN_PROFIT_USD or increasing MAX_TRADE_SIZE_SOL`);
-			cache.queue[i] = 0;
-			return;
-		}
-
-		// Store max profit spotted
-		if(profitPercent > (cache.maxProfitSpotted["buy"] || 0)) {
-			cache.maxProfitSpotted["buy"] = profitPercent;
-		}
-
-		// STEP 2: Execute trade if profitable and conditions are met
-		if(
-			!cache.swappingRightNow &&
-			(cache.hotkeys?.e ||
-				cache.hotkeys?.r ||
-				profitPercent > 0) // Since we already found it profitable, execute
-		) {
-			// Hotkeys
-			if(cache.hotkeys?.e) {
-				logger.info("🔥 [E] PRESSED - FORCED EXECUTION!");
-				cache.hotkeys.e = false;
-			}
-			if(cache.hotkeys?.r) {
-				logger.info("↩️ [R] PRESSED - REVERT TRADE!");
-				cache.hotkeys.r = false;
-			}
-
+		// Unwind inventory stranded by earlier failed cycles before looking for new ones
+		if (!cache.swappingRightNow && inventoryRecovery.hasOpenPositions()) {
 			cache.swappingRightNow = true;
-			
 			try {
-				logger.info('🚀 EXECUTING DYNAMIC TRIANGULAR ARBITRAGE TRADE');
-				logger.info(`💰 Optimal Amount: ${optimalSizeSOL} SOL ($${totalValue.toFixed(2)} USD)`);
-				logger.info(`📈 Expected Profit: ${profitPercent.toFixed(4)}% ($${profitUSD.toFixed(2)} USD)`);
-				logger.info(`🔄 Route: ${tokenA.symbol} → ${tokenB.symbol} → ${tokenA.symbol}`);
-				logger.info(`💡 Mode: ${cache.tradingEnabled ? '🔥 REAL TRADING' : '💡 SIMULATION'}`);
-
-				let txResult1, txResult2;
-				let actualProfit = profitPercent; // Default to expected
-				let actualProfitUSD = profitUSD;
-				let finalTxid = null;
-
-				if (cache.tradingEnabled) {
-					// REAL TRADE EXECUTION with MEV PROTECTION
-					logger.info('🔥 EXECUTING REAL TRADES ON SOLANA BLOCKCHAIN');
-					
-					// Apply MEV protection
-					const protectionParams = await mevProtector.applyMEVProtection({
-						priority: parseInt(process.env.PRIORITY) || 150000,
-						slippage: parseInt(process.env.MAX_SLIPPAGE_PERCENT * 100) || 100
-					}, optimalSizeSOL, profitPercent);
-					
-					try {
-						// Execute Step 1: SOL → Intermediate Token
-						logger.info(`🔄 STEP 1: Swapping ${optimalSizeSOL} ${tokenA.symbol} → ${tokenB.symbol}`);
-						
-						const step1Route = {
-							inAmount: optimalSizeRaw.toString(),
-							outAmount: route1.outAmount,
-							_fullQuote: route1
-						};
-						
-						const exchange1 = await jupiter.exchange({ routeInfo: step1Route });
-						txResult1 = await mevProtector.executeProtectedTransaction(
-							await exchange1.execute(),
-							protectionParams
-						);
-						
-						if (!txResult1.success) {
-							throw new Error(`Step 1 trade failed: ${txResult1.error || 'Unknown error'}`);
-						}
-						
-						logger.info(`✅ STEP 1 COMPLETED! TXID: ${txResult1.txid}`);
-						logger.info(`💰 Received: ${toDecimal(txResult1.outputAmount || route1.outAmount, tokenB.decimals)} ${tokenB.symbol}`);
-						
-						// Wait between swaps to ensure first transaction is confirmed
-						logger.info('⏳ Waiting for transaction confirmation...');
-						await waitabit(3000);
-						
-						// Execute Step 2: Intermediate Token → SOL
-						logger.info(`🔄 STEP 2: Swapping ${tokenB.symbol} → ${tokenA.symbol}`);
-						
-						const actualIntermediateAmount = txResult1.outputAmount || route1.outAmount;
-						const step2Route = {
-							inAmount: actualIntermediateAmount,
-							outAmount: route2.outAmount,
-							_fullQuote: route2
-						};
-						
-						const exchange2 = await jupiter.exchange({ routeInfo: step2Route });
-						txResult2 = await mevProtector.executeProtectedTransaction(
-							await exchange2.execute(),
-							protectionParams
-						);
-						
-						if (!txResult2.success) {
-							throw new Error(`Step 2 trade failed: ${txResult2.error || 'Unknown error'}`);
-						}
-						
-						logger.info(`✅ STEP 2 COMPLETED! TXID: ${txResult2.txid}`);
-						logger.info(`💰 Final Amount: ${toDecimal(txResult2.outputAmount || route2.outAmount, tokenA.decimals)} ${tokenA.symbol}`);
-						
-						// Calculate actual profit based on real execution results with CURRENT SOL PRICE
-						const currentSolPrice = await priceFeedService.getCurrentSOLPrice(); // Get fresh price
-						const actualInputAmount = BigInt(optimalSizeRaw.toString());
-						const actualOutputAmount = BigInt(txResult2.outputAmount || route2.outAmount);
-						const actualProfitAmount = actualOutputAmount - actualInputAmount;
-						actualProfit = Number(actualProfitAmount * BigInt(10000) / actualInputAmount) / 100;
-						
-						// Calculate actual USD profit with current price
-						const actualProfitSOL = Number(actualProfitAmount) / Math.pow(10, tokenA.decimals);
-						actualProfitUSD = actualProfitSOL * currentSolPrice;
-						
-						finalTxid = txResult2.txid;
-						
-						// Monitor for MEV attacks
-						const mevData = await mevProtector.monitorMEVAttack(finalTxid, profitPercent, optimalSizeSOL);
-						
-						logger.info('🎉 DYNAMIC TRIANGULAR ARBITRAGE COMPLETED SUCCESSFULLY!');
-						logger.info(`💰 ACTUAL PROFIT: ${actualProfit > 0 ? '+' : ''}${actualProfit.toFixed(4)}%`);
-						logger.info(`💵 ACTUAL PROFIT USD: $${actualProfitUSD.toFixed(2)} (at SOL price $${currentSolPrice})`);
-						logger.info(`💵 PROFIT AMOUNT: ${toDecimal(actualProfitAmount, tokenA.decimals)} ${tokenA.symbol}`);
-						
-						// Update dynamic trade sizer with actual results
-						dynamicTradeSizer.updateActualPerformance(
-							`${tokenA.symbol}-${tokenB.symbol}`,
-							optimalSizeSOL,
-							actualProfit,
-							actualProfit > 0
-						);
-						
-					} catch (realTradeError) {
-						logger.error(`❌ Real trade execution failed: ${realTradeError.message}`);
-						
-						// Update sizer with failure
-						dynamicTradeSizer.updateActualPerformance(
-							`${tokenA.symbol}-${tokenB.symbol}`,
-							optimalSizeSOL,
-							-100, // Mark as complete loss
-							false
-						);
-						
-						// Still record the attempt but mark as failed
-						actualProfit = -100; // Mark as complete loss
-						actualProfitUSD = -totalValue; // Mark as loss of full trade value
-						finalTxid = `failed_${Date.now()}`;
-						
-						// Update failure counter
-						if (!cache.tradeCounter.buy) cache.tradeCounter.buy = { success: 0, fail: 0 };
-						cache.tradeCounter.buy.fail++;
-						
-						throw realTradeError;
-					}
-				} else {
-					// SIMULATION MODE
-					logger.info('💡 SIMULATION MODE - Trade execution simulated');
-					finalTxid = `simulation_${Date.now()}`;
-					
-					// In simulation, use expected profit with current SOL price
-					actualProfit = profitPercent;
-					actualProfitUSD = profitUSD;
-				}
-
-				// Record transaction performance
-				logger.performance('dynamic_triangular_arbitrage', 6000, {
-					success: actualProfit > 0,
-					profit: actualProfit,
-					profitUSD: actualProfitUSD,
-					optimalSize: optimalSizeSOL,
-					solPrice: solPriceUSD,
-					route: `${tokenA.symbol}-${tokenB.symbol}-${tokenA.symbol}`,
-					txid: finalTxid,
-					mode: cache.tradingEnabled ? 'live' : 'simulation',
-					mevProtected: mevProtector.enabled
-				});
-
-				// Store trade to the history - WITH ENHANCED DETAILS
-				const tradeEntry = {
-					date: date.toLocaleString(),
-					buy: true,
-					inputToken: tokenA.symbol,
-					outputToken: tokenA.symbol,
-					intermediateToken: tokenB.symbol,
-					inAmount: optimalSizeSOL,
-					inAmountUSD: totalValue,
-					solPriceAtTrade: solPriceUSD,
-					expectedOutAmount: toDecimal(route2.outAmount, tokenA.decimals),
-					actualOutAmount: txResult2 ? toDecimal(txResult2.outputAmount, tokenA.decimals) : toDecimal(route2.outAmount, tokenA.decimals),
-					expectedProfit: profitPercent,
-					expectedProfitUSD: profitUSD,
-					actualProfit: actualProfit,
-					actualProfitUSD: actualProfitUSD,
-					slippage: (parseInt(process.env.MAX_SLIPPAGE_PERCENT * 100) || 100) / 100,
-					priceImpact: totalPriceImpact,
-					tradeType: 'DYNAMIC_TRIANGULAR_ARBITRAGE',
-					tradingStrategy: 'OPTIMAL_SIZING',
-					route: `${tokenA.symbol} → ${tokenB.symbol} → ${tokenA.symbol}`,
-					txid: finalTxid,
-					step1Txid: txResult1?.txid || null,
-					step2Txid: txResult2?.txid || null,
-					mode: cache.tradingEnabled ? 'LIVE' : 'SIMULATION',
-					success: actualProfit > 0,
-					mevProtected: mevProtector.enabled,
-					optimalSize: optimalSizeSOL,
-					sizeOptimization: 'DYNAMIC',
-					profitabilityScore: (actualProfitUSD / totalValue) * 100, // ROI as percentage
-					tradeSizeRank: optimalSizeSOL / parseFloat(process.env.MAX_TRADE_SIZE_SOL) * 100 // Size utilization %
-				};
-
-				// Add to trade history safely
-				if (!cache.tradeHistory) cache.tradeHistory = [];
-				cache.tradeHistory.push(tradeEntry);
-
-				// Update counters safely
-				if (!cache.tradeCounter.buy) cache.tradeCounter.buy = { success: 0, fail: 0 };
-				
-				if (actualProfit > 0) {
-					cache.tradeCounter.buy.success++;
-					logger.info(`✅ SUCCESSFUL DYNAMIC ARBITRAGE TRADE #${cache.tradeCounter.buy.success}`);
-				} else {
-					cache.tradeCounter.buy.fail++;
-					logger.error(`❌ FAILED DYNAMIC ARBITRAGE TRADE #${cache.tradeCounter.buy.fail}`);
-				}
-
-				// Update balance tracking for arbitrage
-				if (cache.tradingEnabled && actualProfit > 0) {
-					const profitAmount = (actualProfit / 100) * optimalSizeSOL;
-					const newBalance = cache.currentBalance.tokenA + toNumber(profitAmount, tokenA.decimals);
-					cache.lastBalance.tokenA = cache.currentBalance.tokenA;
-					cache.currentBalance.tokenA = newBalance;
-					
-					// Update cumulative profit
-					cache.currentProfit.tokenA = calculateProfit(
-						String(cache.initialBalance.tokenA),
-						String(cache.currentBalance.tokenA)
-					);
-					
-					logger.info(`💰 UPDATED BALANCE: ${toDecimal(cache.currentBalance.tokenA, tokenA.decimals)} ${tokenA.symbol}`);
-					logger.info(`📈 CUMULATIVE PROFIT: ${cache.currentProfit.tokenA.toFixed(4)}%`);
-				}
-
-				// Calculate profitability metrics
-				const roi = (actualProfitUSD / totalValue) * 100;
-				const profitPerHour = actualProfitUSD * (3600000 / (parseInt(process.env.UPDATE_INTERVAL) || 8000));
-				const sizeEfficiency = (optimalSizeSOL / parseFloat(process.env.MAX_TRADE_SIZE_SOL)) * 100;
-
-				logger.info('═'.repeat(80));
-				logger.info(`📊 DYNAMIC TRADE SUMMARY:`);
-				logger.info(`🎯 Success: ${actualProfit > 0 ? 'YES ✅' : 'NO ❌'}`);
-				logger.info(`⚡ Optimal Size: ${optimalSizeSOL} SOL (${sizeEfficiency.toFixed(1)}% of max)`);
-				logger.info(`📈 Profit: ${actualProfit.toFixed(4)}% | ${actualProfitUSD.toFixed(2)} USD`);
-				logger.info(`💎 ROI: ${roi.toFixed(2)}% | Est. $/hour: ${profitPerHour.toFixed(2)}`);
-				logger.info(`💰 SOL Price: ${solPriceUSD} ${priceFeedService.getPriceSummary().trend}`);
-				logger.info(`🛡️ MEV Protected: ${mevProtector.enabled ? 'YES' : 'NO'}`);
-				logger.info(`🆔 TX ID: ${finalTxid}`);
-				logger.info(`📊 Total: ✅ ${cache.tradeCounter.buy.success} | ❌ ${cache.tradeCounter.buy.fail} | Success Rate: ${cache.tradeCounter.buy.success + cache.tradeCounter.buy.fail > 0 ? ((cache.tradeCounter.buy.success / (cache.tradeCounter.buy.success + cache.tradeCounter.buy.fail)) * 100).toFixed(1) : 0}%`);
-				logger.info('═'.repeat(80));
-
-			} catch (tradeExecutionError) {
-				logger.error(`❌ Trade execution failed: ${tradeExecutionError.message}`);
-				
-				// Record failed trade
-				if (!cache.tradeCounter.buy) cache.tradeCounter.buy = { success: 0, fail: 0 };
-				cache.tradeCounter.buy.fail++;
-				
+				await inventoryRecovery.processOpenPositions();
 			} finally {
-				// Always reset swap flag
 				cache.swappingRightNow = false;
 			}
-
-		} else {
-			if (cache.swappingRightNow) {
-				logger.debug('⏳ Skipping - swap already in progress');
-			} else {
-				// This shouldn't happen since we already found it profitable, but just in case
-				logger.debug('📉 Unexpected: profitable opportunity not executed', {
-					profitPercent: profitPercent.toFixed(4),
-					profitUSD: profitUSD.toFixed(2),
-					tradingEnabled: cache.tradingEnabled
-				});
-			}
 		}
 
+		await runStrategy(strategy, {...context, tokenB, solPriceUSD});
 	} catch(error) {
-		logger.error("CRITICAL: Error in dynamic triangular arbitrage strategy:", {
-			message: error.message,
-			stack: error.stack,
-			iteration: i,
-			tokenPair: `${tokenA.symbol} → ${tokenB.symbol}`,
-			solPrice: `${solPriceUSD}`
-		});
-		
-		// Record error for monitoring
-		if (healthMonitor && healthMonitor.recordError) {
-			healthMonitor.recordError();
-		}
-		
-		// Ensure we clean up properly
-		cache.queue[i] = 0;
-		
-	} finally {
-		// CRITICAL: Always clean up, regardless of what happened
-		try {
-			cache.swappingRightNow = false;
-			
-			if (cache.queue && cache.queue[i] !== undefined) {
-				delete cache.queue[i];
-			}
-			
-			// Clean up memory if needed
-			if (cache.iteration && cache.iteration % 50 === 0) {
-				if (memoryManager && memoryManager.performGarbageCollection) {
-					memoryManager.performGarbageCollection();
-				}
-			}
-			
-			// Clean up old performance data periodically
-			if (cache.iteration % 100 === 0) {
-				dynamicTradeSizer.cleanupOldData();
-				mevProtector.cleanupOldData();
-			}
-			
-		} catch (cleanupError) {
-			logger.error('Cleanup error (non-critical):', cleanupError.message);
-		}
+		logger.error("Error in watcher:", error);
+		healthMonitor.recordError();
 	}
 };
 
@@ -570,6 +159,10 @@ const run = async () => {
 		logger.info(`⚙️ Strategy: ${envConfig.tradeSizeStrategy.toUpperCase()} (${envConfig.testCount} size tests)`);
 		logger.info(`⚠️ Max Slippage: ${envConfig.maxSlippage}%`);
 		logger.info(`🛡️ MEV Protection: ${envConfig.mevProtection ? 'ENABLED' : 'DISABLED'}`);
+		logger.info(`⚛️ Execution Mode: ${cache.config.executionMode.toUpperCase()}`);
+		if (quoteCassette.mode !== 'off') {
+			logger.info(`📼 Quote Cassette: ${quoteCassette.mode.toUpperCase()} (${quoteCassette.recordPath || quoteCassette.replayPath})`);
+		}
 		logger.info(`💎 SOL Price: ${initialPrice} (Auto-updating every 30s)`);
 
 		// CRITICAL TRADING MODE ANNOUNCEMENT
@@ -596,7 +189,13 @@ const run = async () => {
 		let result = await setup();
 		let {jupiter, tokenA, tokenB, wallet} = result;
 
+		// Resume recovery of positions left open by a previous session
+		inventoryRecovery.attach(jupiter);
+
+		const strategy = getStrategy(cache.config.tradingStrategy);
+
 		logger.info("🎯 DYNAMIC TRIANGULAR ARBITRAGE MODE ACTIVATED");
+		logger.info(`🧩 Strategy: ${strategy.name} - ${strategy.description}`);
 		logger.info(`Base Token: ${tokenA.symbol} (${tokenA.address})`);
 		logger.info(`Current Intermediate: ${tokenB.symbol} (${tokenB.address})`);
 		logger.info(`Strategy: DYNAMIC ${tokenA.symbol} → [INTERMEDIATE] → ${tokenA.symbol} arbitrage`);
@@ -654,6 +253,14 @@ const run = async () => {
 			});
 		}
 
+		// Strategy specific setup, such as the ping pong baseline
+		if (strategy.init) {
+			const context = await strategy.init({jupiter, tokenA, tokenB, wallet});
+			if (context) {
+				tokenB = context.tokenB;
+			}
+		}
+
 		// Set up token rotation for intermediate tokens
 		const rotateIntermediateToken = async () => {
 			const currentIndex = INTERMEDIATE_TOKENS.findIndex(token => token.address === tokenB.address);
@@ -670,7 +277,9 @@ const run = async () => {
 
 		// Schedule intermediate token rotation 
 		const rotationInterval = parseInt(process.env.TOKEN_ROTATION_INTERVAL_MINUTES) || 2;
-		global.tokenRotationInterval = setInterval(rotateIntermediateToken, rotationInterval * 60 * 1000);
+		if (strategy.rotation) {
+			global.tokenRotationInterval = setInterval(rotateIntermediateToken, rotationInterval * 60 * 1000);
+		}
 
 		// Set up performance reporting with USD values
 		const reportPerformance = async () => {
@@ -690,9 +299,28 @@ const run = async () => {
 			logger.info(`❌ Failed: ${cache.tradeCounter.buy.fail}`);
 			logger.info(`💎 SOL Price: ${currentPrice} | Trend: ${priceStats.trend} | Volatility: ${priceStats.volatility}%`);
 			
+			const quoteCacheStats = quoteCache.getStats();
+			logger.info(`🗃️ Quote Cache: ${(quoteCacheStats.hitRate * 100).toFixed(1)}% served without a request (${quoteCacheStats.hits} cached, ${quoteCacheStats.coalesced} coalesced, ${quoteCacheStats.misses} fetched, ${quoteCacheStats.bypassed} fresh for execution)`);
+
+			const schedulerStats = scanScheduler.getStats();
+			logger.info(`⏱️ Scan Ticks: ${schedulerStats.ticks} run, ${schedulerStats.skippedTicks} skipped | Last tick: ${(schedulerStats.lastTickMs / 1000).toFixed(1)}s | Concurrency: ${schedulerStats.concurrency}`);
+			schedulerStats.pairs
+				.sort((a, b) => b.avgLatencyMs - a.avgLatencyMs)
+				.slice(0, 5)
+				.forEach((pair) => logger.info(`   ${pair.pair}: ${pair.scans} scans, avg ${(pair.avgLatencyMs / 1000).toFixed(1)}s, ${pair.opportunities} opportunities, ${pair.errors} errors`));
+
+			logger.info("🛰️ RPC Pool:");
+			rpcPool.getStats().forEach((endpoint) => logger.info(`   ${endpoint.healthy ? "✅" : "⚠️"} ${endpoint.endpoint}: avg ${endpoint.avgLatencyMs}ms, ${(endpoint.errorRate * 100).toFixed(1)}% errors, ${endpoint.slotLag ?? "?"} slots behind, ${endpoint.requests} requests`));
+
+			const simulationStats = transactionSimulator.getStats();
+			if (simulationStats.simulations > 0) {
+				const vetoReasons = Object.entries(simulationStats.failureReasons).map(([reason, count]) => `${reason} ${count}`).join(", ");
+				logger.info(`🧪 Preflight: ${simulationStats.simulations} simulated, ${simulationStats.passed} passed (avg ${simulationStats.avgUnitsConsumed} CU), ${simulationStats.failed} vetoed${vetoReasons ? ` (${vetoReasons})` : ""}, ${simulationStats.unavailable} unavailable`);
+			}
+
 			if (mevStats.totalTrades > 0) {
 				logger.info(`🛡️ MEV Protected Trades: ${mevStats.protectedTrades}`);
-				logger.info(`💵 MEV Savings: ${mevStats.totalMEVSaved.toFixed(2)}`);
+				logger.info(`🥪 Sandwiched: ${mevStats.detectedAttacks} of ${mevStats.monitoredTrades} checked trades | MEV Loss: ${mevStats.totalMEVLoss.toFixed(6)} SOL`);
 			}
 			
 			if (sizerStats.bestPerformers.length > 0) {
@@ -727,9 +355,9 @@ const run = async () => {
 			logger.info("🚨 Monitor your trades and profits carefully!");
 		}
 
-		// Start the watcher with DYNAMIC TRIANGULAR arbitrage
+		// Start the watcher with DYNAMIC TRIANGULAR arbitrage, skipping ticks while a scan is still running
 		global.botInterval = setInterval(
-			() => watcher(jupiter, tokenA, tokenB),
+			() => scanScheduler.runTick(() => watcher(strategy, {jupiter, tokenA, tokenB, wallet})),
 			envConfig.updateInterval
 		);
 
@@ -2,7 +2,16 @@ const fs = require("fs");
 const chalk = require("chalk");
 const ora = require("ora-classic");
 const bs58 = require("bs58");
-const {Connection,Keypair,PublicKey,LAMPORTS_PER_SOL} = require("@solana/web3.js");
+const {
+	Keypair,
+	PublicKey,
+	LAMPORTS_PER_SOL,
+	TransactionInstruction,
+	TransactionMessage,
+	VersionedTransaction,
+	ComputeBudgetProgram,
+	ComputeBudgetInstruction
+} = require("@solana/web3.js");
 
 const {logExit} = require("./exit");
 const {toDecimal,createTempDir} = require("../utils");
@@ -10,89 +19,103 @@ const {intro,listenHotkeys} = require("./ui");
 const cache = require("./cache");
 const {fetchTrendingTokens,getUSDCToken} = require("../utils/tokenFetcher");
 const {
-	jupiterQuoteApi,
+	jupiterClient,
 	getQuote,
 	checkArbitrageOpportunity
 } = require("../utils/jupiterApiClient");
 const logger = require("../utils/logger");
-const axios = require('axios');
+const quoteCache = require("../utils/quoteCache");
+const {
+	isVersionedTransaction,
+	deserializeTransaction,
+	signTransaction,
+	serializeTransaction,
+	getAddressLookupTableAccounts,
+	decompileTransaction,
+	recompileTransaction
+} = require("../utils/versionedTransaction");
+const { transactionSender, TX_OUTCOME } = require("../utils/transactionSender");
+const costModel = require("../utils/costModel");
+const rpcPool = require("../utils/rpcPool");
+const priorityFeeEstimator = require("../utils/priorityFeeEstimator");
+const {transactionSimulator, SIMULATION_STATUS} = require("../utils/transactionSimulator");
+const {jitoBundleSender} = require("../utils/jitoBundleSender");
+const mevProtector = require("../utils/mevProtector");
 
 const wrapUnwrapSOL = cache.wrapUnwrapSOL;
 
-// Helper function to try multiple RPC endpoints
-const tryMultipleRPCs = async (operation, rpcs, maxRetries = 3) => {
-	const rpcList = Array.isArray(rpcs) ? rpcs : [rpcs];
+// Build and sign the Jupiter swap transaction for a quote without sending it, simulated
+// and with its compute unit limit set from the simulation (see preflightTransaction).
+// options.expectedProfitLamports caps a dynamic priority fee, options.preflight = false
+// skips the simulation for swaps of tokens the wallet does not hold yet.
+const buildJupiterSwapTransaction = async (quote, wallet, options = {}) => {
+	const asLegacyTransaction = options.asLegacyTransaction ?? cache.config.asLegacyTransaction;
+
+	// Get serialized transactions from Jupiter API
+	const swapResponse = await jupiterClient.swap(quote, wallet.publicKey, {
+		...priorityFeeEstimator.getSwapFeeParams(),
+		asLegacyTransaction
+	});
 	
-	for (let rpcIndex = 0; rpcIndex < rpcList.length; rpcIndex++) {
-		const rpc = rpcList[rpcIndex];
-		
-		for (let attempt = 1; attempt <= maxRetries; attempt++) {
-			try {
-				logger.info(`Trying RPC ${rpc} (attempt ${attempt}/${maxRetries})`);
-				const connection = new Connection(rpc, {
-					commitment: 'confirmed',
-					timeout: 30000
-				});
-				
-				const result = await operation(connection);
-				logger.info(`Successfully connected to RPC: ${rpc}`);
-				return result;
-			} catch (error) {
-				logger.warn(`RPC ${rpc} failed (attempt ${attempt}/${maxRetries}): ${error.message}`);
-				
-				if (attempt < maxRetries) {
-					const delay = Math.pow(2, attempt) * 1000; // Exponential backoff
-					logger.info(`Waiting ${delay}ms before retry...`);
-					await new Promise(resolve => setTimeout(resolve, delay));
-				}
-			}
-		}
+	// v6 returns a v0 transaction with lookup tables unless legacy was requested
+	const swapTransaction = deserializeTransaction(swapResponse.swapTransaction, {asLegacyTransaction});
+	const connection = rpcPool.getConnection();
+
+	// Re-priced and re-limited copies are rebuilt from the decompiled instructions
+	let decompiled = null;
+	try {
+		decompiled = await decompileTransaction(connection, swapTransaction);
+	} catch (error) {
+		logger.warn(`⚠️ Could not decompile the swap transaction, keeping Jupiter's fee and compute limit: ${error.message}`);
 	}
-	
-	throw new Error(`All RPC endpoints failed after ${maxRetries} attempts each`);
+
+	let rebuild = null;
+	if (decompiled) {
+		const {message, addressLookupTableAccounts} = decompiled;
+		const instructions = priorityFeeEstimator.dynamic
+			? await priceSwapInstructions(connection, message.instructions, options.expectedProfitLamports)
+			: message.instructions;
+
+		rebuild = (units) => signTransaction(recompileTransaction(swapTransaction, new TransactionMessage({
+			payerKey: message.payerKey,
+			recentBlockhash: message.recentBlockhash,
+			instructions: units ? withComputeUnitLimit(instructions, units) : instructions
+		}), addressLookupTableAccounts), [wallet]);
+	}
+
+	const signed = rebuild ? rebuild() : signTransaction(swapTransaction, [wallet]);
+	const {transaction, simulation} = options.preflight === false
+		? {transaction: signed, simulation: null}
+		: await preflightTransaction(signed, rebuild);
+
+	return {
+		transaction,
+		lastValidBlockHeight: swapResponse.lastValidBlockHeight,
+		simulation,
+		// A transaction that just simulated cleanly does not need the RPC's preflight as well
+		preflighted: simulation?.status === SIMULATION_STATUS.PASSED
+	};
 };
 
 // REAL JUPITER SWAP EXECUTION FUNCTION
-const executeJupiterSwap = async (quote, wallet, connection) => {
+const executeJupiterSwap = async (quote, wallet, connection, options = {}) => {
 	try {
 		logger.info('🔥 EXECUTING REAL JUPITER SWAP');
 		
-		// Get serialized transactions from Jupiter API
-		const response = await axios.post('https://quote-api.jup.ag/v6/swap', {
-			quoteResponse: quote,
-			userPublicKey: wallet.publicKey.toString(),
-			wrapAndUnwrapSol: true,
-			dynamicComputeUnitLimit: true,
-			prioritizationFeeLamports: cache.config.priority
-		});
+		const {transaction, lastValidBlockHeight, preflighted} = await buildJupiterSwapTransaction(quote, wallet, options);
 		
-		if (!response.data || !response.data.swapTransaction) {
-			throw new Error('Failed to get swap transaction from Jupiter');
-		}
+		logger.info(`📤 Sending ${isVersionedTransaction(transaction) ? 'versioned' : 'legacy'} transaction to blockchain...`);
 		
-		// Deserialize the transaction
-		const { Transaction } = require('@solana/web3.js');
-		const swapTransactionBuf = Buffer.from(response.data.swapTransaction, 'base64');
-		const transaction = Transaction.from(swapTransactionBuf);
-		
-		// Sign the transaction
-		transaction.sign(wallet);
-		
-		logger.info('📤 Sending transaction to blockchain...');
-		
-		// Send the signed transaction
-		const txid = await connection.sendRawTransaction(transaction.serialize(), {
-			skipPreflight: false,
-			maxRetries: 3
+		// Rebroadcast until it lands, fails or the blockhash expires - at this price, as a
+		// re-priced copy could land next to the original and swap twice
+		const outcome = await transactionSender.sendAndConfirm(connection, transaction, {
+			lastValidBlockHeight,
+			skipPreflight: preflighted
 		});
+		const txid = outcome.txid;
 		
-		logger.info(`✅ Transaction sent! TXID: ${txid}`);
-		
-		// Confirm the transaction
-		const confirmation = await connection.confirmTransaction(txid, 'confirmed');
-		
-		if (confirmation.value.err) {
-			throw new Error(`Transaction failed: ${confirmation.value.err}`);
+		if (outcome.status !== TX_OUTCOME.LANDED) {
+			throw new Error(`Transaction ${outcome.status}: ${outcome.error}`);
 		}
 		
 		logger.info(`🎉 TRADE EXECUTED SUCCESSFULLY! TXID: ${txid}`);
@@ -110,18 +133,388 @@ const executeJupiterSwap = async (quote, wallet, connection) => {
 	}
 };
 
+// Limits for merging both legs into a single transaction
+const MAX_COMPUTE_UNITS = 1400000;
+const DEFAULT_LEG_COMPUTE_UNITS = 300000;
+
+// Get the raw instructions for a quote so several swaps can share one transaction
+const fetchSwapInstructions = async (quote, wallet) => jupiterClient.swapInstructions(quote, wallet.publicKey);
+
+const deserializeInstruction = (instruction) => new TransactionInstruction({
+	programId: new PublicKey(instruction.programId),
+	keys: instruction.accounts.map((account) => ({
+		pubkey: new PublicKey(account.pubkey),
+		isSigner: account.isSigner,
+		isWritable: account.isWritable
+	})),
+	data: Buffer.from(instruction.data, 'base64')
+});
+
+const isComputeBudgetInstruction = (instruction, type) => {
+	if (!instruction.programId.equals(ComputeBudgetProgram.programId)) return false;
+	try {
+		return ComputeBudgetInstruction.decodeInstructionType(instruction) === type;
+	} catch (error) {
+		logger.debug(`Could not decode compute budget instruction: ${error.message}`);
+		return false;
+	}
+};
+
+// Read the compute unit limit set among a transaction's instructions
+const getComputeUnitLimit = (instructions) => {
+	const limit = instructions.find((instruction) => isComputeBudgetInstruction(instruction, 'SetComputeUnitLimit'));
+	return limit ? ComputeBudgetInstruction.decodeSetComputeUnitLimit(limit).units : DEFAULT_LEG_COMPUTE_UNITS;
+};
+
+// Read the compute unit limit Jupiter simulated for a single leg
+const getLegComputeUnits = (computeBudgetInstructions = []) => getComputeUnitLimit(computeBudgetInstructions.map(deserializeInstruction));
+
+// Replace any compute unit price among the instructions with microLamports
+const withComputeUnitPrice = (instructions, microLamports) => [
+	ComputeBudgetProgram.setComputeUnitPrice({microLamports}),
+	...instructions.filter((instruction) => !isComputeBudgetInstruction(instruction, 'SetComputeUnitPrice'))
+];
+
+// Replace any compute unit limit among the instructions with units
+const withComputeUnitLimit = (instructions, units) => [
+	ComputeBudgetProgram.setComputeUnitLimit({units}),
+	...instructions.filter((instruction) => !isComputeBudgetInstruction(instruction, 'SetComputeUnitLimit'))
+];
+
+// Price a Jupiter swap's instructions from recent fees on the accounts they write
+const priceSwapInstructions = async (connection, instructions, expectedProfitLamports = null) => {
+	const {microLamports} = await priorityFeeEstimator.estimate({
+		connection,
+		accounts: priorityFeeEstimator.getWritableAccounts(instructions),
+		computeUnits: getComputeUnitLimit(instructions),
+		expectedProfitLamports
+	});
+
+	return withComputeUnitPrice(instructions, microLamports);
+};
+
+/**
+ * Simulate a signed transaction before it is sent. rebuild(units), when given, signs a copy
+ * with that compute unit limit: the simulation runs at the maximum so consumption is measured
+ * rather than capped, and the copy to send gets what it consumed plus the margin.
+ * A failed simulation throws a veto error; when no RPC can simulate, the transaction is
+ * returned as built and the send keeps the RPC's own preflight.
+ */
+const preflightTransaction = async (transaction, rebuild = null) => {
+	if (!transactionSimulator.enabled) {
+		return {transaction, simulation: null};
+	}
+
+	const simulation = await transactionSimulator.simulate(rebuild ? rebuild(MAX_COMPUTE_UNITS) : transaction);
+
+	if (simulation.status === SIMULATION_STATUS.FAILED) {
+		throw transactionSimulator.createVetoError(simulation);
+	}
+	if (simulation.status !== SIMULATION_STATUS.PASSED || !rebuild || !simulation.unitsConsumed) {
+		return {transaction, simulation};
+	}
+
+	const computeUnits = transactionSimulator.getComputeUnitLimit(simulation.unitsConsumed, MAX_COMPUTE_UNITS);
+	logger.info(`🧪 Simulation passed: ${simulation.unitsConsumed} CU consumed, limit set to ${computeUnits}`);
+
+	return {transaction: rebuild(computeUnits), simulation, computeUnits};
+};
+
+/**
+ * Tighten the last leg's slippage so the route's own minimum-out check
+ * reverts the whole transaction unless we get back at least minOutAmount
+ */
+const enforceMinimumOut = (quote, minOutAmount) => {
+	const outAmount = BigInt(quote.outAmount);
+	const minOut = BigInt(minOutAmount);
+
+	if (outAmount <= minOut) {
+		throw new Error(`Quoted output ${outAmount} does not cover input plus fees (${minOut})`);
+	}
+
+	const maxSlippageBps = Number((outAmount - minOut) * BigInt(10000) / outAmount);
+	const slippageBps = Math.min(quote.slippageBps ?? maxSlippageBps, maxSlippageBps);
+	const otherAmountThreshold = outAmount * BigInt(10000 - slippageBps) / BigInt(10000);
+
+	return {
+		...quote,
+		slippageBps,
+		otherAmountThreshold: otherAmountThreshold.toString()
+	};
+};
+
+/**
+ * Quotes for hops run one after another. A hop's quote only guarantees its
+ * otherAmountThreshold, so every later hop is re-quoted to spend that much and has
+ * its input whatever the hop before it fills at; anything filled above it stays in the wallet.
+ */
+const chainHopQuotes = async (routes) => {
+	const quotes = [routes[0]];
+
+	for (const route of routes.slice(1)) {
+		const inAmount = quotes[quotes.length - 1].otherAmountThreshold;
+
+		quotes.push(inAmount === route.inAmount
+			? route
+			: await quoteCache.getFreshQuote(route.inputMint, route.outputMint, inAmount, route.slippageBps ?? 100, {priority: "critical"}));
+	}
+
+	return quotes;
+};
+
+// ATOMIC ROUND TRIP: both legs in one versioned transaction
+const executeAtomicArbitrage = async (route1, route2, wallet, connection, options = {}) => {
+	const result = await executeAtomicCycle([route1, route2], wallet, connection, options);
+
+	return {
+		...result,
+		intermediateAmount: route1.outAmount
+	};
+};
+
+// ATOMIC CYCLE: every hop of a cycle in one versioned transaction.
+// options.simulateOnly builds and simulates it without sending.
+const executeAtomicCycle = async (routes, wallet, connection, options = {}) => {
+	try {
+		logger.info(`⚛️ BUILDING ATOMIC ${routes.length}-HOP TRANSACTION`);
+
+		const quotes = await chainHopQuotes(routes);
+		const firstRoute = quotes[0];
+		const lastRoute = quotes[quotes.length - 1];
+		const legs = [];
+		for (const route of quotes.slice(0, -1)) {
+			legs.push(await fetchSwapInstructions(route, wallet));
+		}
+
+		// Compute units and the fee are needed before the last hop is requested,
+		// so the fee is sampled on the accounts of the hops before it
+		const estimatedUnits = Math.min(
+			MAX_COMPUTE_UNITS,
+			getLegComputeUnits(legs[0].computeBudgetInstructions) * routes.length
+		);
+		const feeEstimate = await priorityFeeEstimator.estimate({
+			connection,
+			accounts: priorityFeeEstimator.getWritableAccounts(legs.map((leg) => deserializeInstruction(leg.swapInstruction))),
+			computeUnits: estimatedUnits,
+			expectedProfitLamports: Number(BigInt(lastRoute.outAmount) - BigInt(firstRoute.inAmount))
+		});
+
+		// Min out covers the highest fee a rebroadcast can escalate to
+		const feeLamports = costModel.estimateTransactionFeeLamports({
+			computeUnits: estimatedUnits,
+			priorityMicroLamports: priorityFeeEstimator.getCeilingMicroLamports(feeEstimate)
+		});
+		const minOutAmount = BigInt(firstRoute.inAmount) + BigInt(feeLamports);
+
+		legs.push(await fetchSwapInstructions(enforceMinimumOut(lastRoute, minOutAmount), wallet));
+
+		let computeUnits = Math.min(
+			MAX_COMPUTE_UNITS,
+			legs.reduce((sum, leg) => sum + getLegComputeUnits(leg.computeBudgetInstructions), 0)
+		);
+
+		// Setup instructions are idempotent ATA creations, drop exact duplicates
+		const seenSetup = new Set();
+		const setupInstructions = legs.flatMap((leg) => leg.setupInstructions || [])
+			.filter((instruction) => {
+				const key = JSON.stringify(instruction);
+				if (seenSetup.has(key)) return false;
+				seenSetup.add(key);
+				return true;
+			});
+
+		// Earlier cleanups would unwrap SOL a later hop still needs, only the last hop cleans up
+		const lastLeg = legs[legs.length - 1];
+		const instructions = [
+			...legs.flatMap((leg) => leg.otherInstructions || []).map(deserializeInstruction),
+			...setupInstructions.map(deserializeInstruction),
+			...legs.map((leg) => deserializeInstruction(leg.swapInstruction)),
+			...(lastLeg.cleanupInstruction ? [deserializeInstruction(lastLeg.cleanupInstruction)] : [])
+		];
+
+		const lookupTables = await getAddressLookupTableAccounts(
+			connection,
+			legs.flatMap((leg) => leg.addressLookupTableAddresses || [])
+		);
+
+		const {blockhash, lastValidBlockHeight} = await connection.getLatestBlockhash('confirmed');
+		const compile = (microLamports, units = computeUnits) => {
+			const message = new TransactionMessage({
+				payerKey: wallet.publicKey,
+				recentBlockhash: blockhash,
+				instructions: withComputeUnitLimit(withComputeUnitPrice(instructions, microLamports), units)
+			}).compileToV0Message(lookupTables);
+
+			return signTransaction(new VersionedTransaction(message), [wallet]);
+		};
+
+		try {
+			serializeTransaction(compile(feeEstimate.microLamports));
+		} catch (sizeError) {
+			throw new Error(`Atomic transaction too large to send (${sizeError.message})`);
+		}
+
+		const preflight = await preflightTransaction(
+			compile(feeEstimate.microLamports),
+			(units) => compile(feeEstimate.microLamports, units)
+		);
+		const transaction = preflight.transaction;
+		computeUnits = preflight.computeUnits || computeUnits;
+
+		if (options.simulateOnly) {
+			logger.info(`🧪 Atomic ${routes.length}-hop cycle simulated (${preflight.simulation?.unitsConsumed ?? '?'} CU) - not sent`);
+			return {
+				txid: null,
+				inputAmount: firstRoute.inAmount,
+				outputAmount: lastRoute.outAmount,
+				minOutAmount: minOutAmount.toString(),
+				simulation: preflight.simulation,
+				success: true
+			};
+		}
+
+		logger.info(`📤 Sending atomic ${routes.length}-hop cycle (${instructions.length + 2} instructions, ${computeUnits} CU at ${feeEstimate.microLamports} µL, min out ${minOutAmount})...`);
+
+		// Every re-priced copy reverts below min out, so any number of them landing is safe
+		const outcome = await transactionSender.sendAndConfirm(connection, transaction, {
+			lastValidBlockHeight,
+			skipPreflight: preflight.simulation?.status === SIMULATION_STATUS.PASSED,
+			reprice: (attempt) => {
+				const microLamports = priorityFeeEstimator.escalate(feeEstimate, attempt);
+				return microLamports === null ? null : compile(microLamports);
+			}
+		});
+		const txid = outcome.txid;
+
+		if (outcome.status === TX_OUTCOME.FAILED) {
+			throw new Error(`Atomic cycle reverted: ${outcome.error}`);
+		}
+		if (outcome.status === TX_OUTCOME.EXPIRED) {
+			throw new Error(`Atomic cycle expired: ${outcome.error}`);
+		}
+
+		logger.info(`🎉 ATOMIC CYCLE EXECUTED SUCCESSFULLY! TXID: ${txid}`);
+
+		return {
+			txid,
+			inputAmount: firstRoute.inAmount,
+			outputAmount: lastRoute.outAmount,
+			minOutAmount: minOutAmount.toString(),
+			simulation: preflight.simulation,
+			success: true
+		};
+
+	} catch (error) {
+		logger.error('❌ Atomic cycle failed:', error);
+		throw error;
+	}
+};
+
+// JITO BUNDLE CYCLE: every hop its own swap transaction, sent with a tip as one bundle
+// that lands in order or not at all. Only the first hop is simulated, the later ones
+// spend tokens the wallet only holds once the hops before them have run.
+// options.simulateOnly builds the bundle and simulates its first hop without sending.
+const executeBundledCycle = async (routes, wallet, connection, bundleConfig, options = {}) => {
+	try {
+		logger.info(`📦 BUILDING ${routes.length}-HOP JITO BUNDLE`);
+
+		if (!bundleConfig) {
+			throw new Error('No Jito bundle config - the block engine and tip are unknown');
+		}
+
+		const chained = await chainHopQuotes(routes);
+		const firstRoute = chained[0];
+		const lastRoute = chained[chained.length - 1];
+		const tipLamports = jitoBundleSender.getTipLamports(bundleConfig);
+
+		// The last hop reverts, and with it the bundle, unless it returns input plus fees and tip
+		const {networkFeeLamports} = costModel.estimateRoundTripCost({
+			hops: routes.length,
+			executionMode: 'bundle',
+			includeJitoTip: false,
+			tokenAccountExists: true
+		});
+		const minOutAmount = BigInt(firstRoute.inAmount) + BigInt(networkFeeLamports) + BigInt(tipLamports);
+		const quotes = [...chained.slice(0, -1), enforceMinimumOut(lastRoute, minOutAmount)];
+
+		// Each hop's dynamic priority fee is capped against its share of the expected gross profit, none without one
+		const expectedGrossLamports = BigInt(lastRoute.outAmount) - BigInt(firstRoute.inAmount);
+		const hopProfitLamports = expectedGrossLamports > BigInt(0) ? Number(expectedGrossLamports / BigInt(routes.length)) : 0;
+		const swaps = [];
+		for (const [hop, quote] of quotes.entries()) {
+			swaps.push(await buildJupiterSwapTransaction(quote, wallet, {
+				expectedProfitLamports: hopProfitLamports,
+				preflight: hop === 0
+			}));
+		}
+
+		const result = {
+			inputAmount: firstRoute.inAmount,
+			outputAmount: lastRoute.outAmount,
+			minOutAmount: minOutAmount.toString(),
+			tipLamports,
+			simulation: swaps[0].simulation,
+			success: true
+		};
+
+		if (options.simulateOnly) {
+			logger.info(`🧪 ${routes.length}-hop bundle built, first hop simulated - not sent`);
+			return {...result, txid: null, hopTxids: []};
+		}
+
+		logger.info(`📤 Sending ${routes.length}-hop bundle to ${bundleConfig.endpoint} (tip ${tipLamports} lamports, min out ${minOutAmount})...`);
+
+		// The bundle competes on its tip, not its hops' priority fees, so nothing is escalated here
+		const lastValidBlockHeights = swaps.map((swap) => swap.lastValidBlockHeight).filter(Boolean);
+		const outcome = await mevProtector.executeJitoBundle(swaps.map((swap) => swap.transaction), bundleConfig, {
+			payer: wallet,
+			connection,
+			lastValidBlockHeight: lastValidBlockHeights.length > 0 ? Math.min(...lastValidBlockHeights) : undefined
+		});
+
+		if (!outcome.success) {
+			throw new Error(`Jito bundle ${outcome.status || TX_OUTCOME.FAILED}: ${outcome.error}`);
+		}
+
+		const hopTxids = outcome.signatures.slice(0, routes.length);
+		logger.info(`🎉 BUNDLE ${outcome.bundleId} LANDED IN SLOT ${outcome.slot}! TXIDs: ${hopTxids.join(', ')}`);
+
+		return {
+			...result,
+			txid: hopTxids[hopTxids.length - 1],
+			hopTxids,
+			bundleId: outcome.bundleId,
+			slot: outcome.slot
+		};
+
+	} catch (error) {
+		logger.error('❌ Bundled cycle failed:', error);
+		throw error;
+	}
+};
+
+// Simulation mode still builds the wallet's transaction and simulates it, so a simulated
+// trade is vetoed where a live one would be. Only a veto fails it - when the transaction
+// cannot be built, the trade falls back to the quote as before.
+const simulateWithoutSending = async (label, build) => {
+	try {
+		const {simulation} = await build();
+		return simulation;
+	} catch (error) {
+		if (transactionSimulator.isVetoError(error)) throw error;
+
+		logger.warn(`⚠️ Could not simulate the ${label}, using the quote: ${error.message}`);
+		return null;
+	}
+};
+
 // Improved balance check with multiple RPC fallback
 const balanceCheck = async (checkToken) => {
 	let checkBalance = Number(0);
 	
 	const wallet = Keypair.fromSecretKey(bs58.decode(process.env.SOLANA_WALLET_PRIVATE_KEY));
 	
-	// Get RPC list from environment
-	const primaryRpc = process.env.DEFAULT_RPC;
-	const altRpcs = process.env.ALT_RPC_LIST ? process.env.ALT_RPC_LIST.split(',') : [];
-	const allRpcs = [primaryRpc, ...altRpcs].filter(Boolean);
-	
-	logger.info(`Checking balance for ${checkToken.symbol} using ${allRpcs.length} RPC endpoints`);
+	logger.info(`Checking balance for ${checkToken.symbol} using ${rpcPool.endpoints.length} RPC endpoints`);
 	
 	const balanceOperation = async (connection) => {
 		if (wrapUnwrapSOL && checkToken.address === 'So11111111111111111111111111111111111111112') {
@@ -145,7 +538,7 @@ const balanceCheck = async (checkToken) => {
 	};
 	
 	try {
-		checkBalance = await tryMultipleRPCs(balanceOperation, allRpcs);
+		checkBalance = await rpcPool.read(balanceOperation);
 		
 		const balanceUi = toDecimal(checkBalance, checkToken.decimals);
 		logger.info(`Wallet balance for ${checkToken.symbol}: ${balanceUi} (raw: ${checkBalance})`);
@@ -231,7 +624,7 @@ const setup = async () => {
 		listenHotkeys();
 
 		// setup trading strategy based on env variables or default to arbitrage
-		cache.config.tradingStrategy = "arbitrage";
+		cache.config.tradingStrategy = process.env.TRADING_STRATEGY || "arbitrage";
 		cache.config.tokenA = {};
 		cache.config.tokenB = {};
 
@@ -274,9 +667,7 @@ const setup = async () => {
 
 		// Check if user wallet has enough SOL to pay for transaction fees with graceful handling
 		try {
-			const primaryRpc = process.env.DEFAULT_RPC;
-			const connection = new Connection(primaryRpc);
-			const balance = await connection.getBalance(wallet.publicKey);
+			const balance = await rpcPool.read(connection => connection.getBalance(wallet.publicKey));
 			const solBalance = balance / LAMPORTS_PER_SOL;
 
 			if (solBalance < 0.01) {
@@ -327,16 +718,15 @@ const setup = async () => {
 			}
 		}
 
-		// Create RPC connection for trade execution
-		const primaryRpc = process.env.DEFAULT_RPC;
-		const rpcConnection = new Connection(primaryRpc, {
-			commitment: 'confirmed',
-			timeout: 30000
-		});
+		// Existing token accounts decide whether ATA rent is part of the trade cost.
+		// Trades below take the pool's healthiest connection at the time they run.
+		await costModel.refreshTokenAccounts(rpcPool.getConnection(), wallet.publicKey);
 
 		// Create a REAL Jupiter interface with ACTUAL trade execution
 		const jupiter = {
-			computeRoutes: async ({inputMint, outputMint, amount, slippageBps = 100}) => {
+			// Quotes here size live trades, so they default to the rate limiter's critical lane
+			// and skip the quote cache; lower priority callers may be served a cached quote
+			computeRoutes: async ({inputMint, outputMint, amount, slippageBps = 100, priority = "critical"}) => {
 				try {
 					logger.debug(`Computing routes for ${inputMint} → ${outputMint}`);
 
@@ -350,12 +740,9 @@ const setup = async () => {
 					
 					for (let attempt = 1; attempt <= maxRouteRetries; attempt++) {
 						try {
-							quote = await getQuote(
-								inputMintStr,
-								outputMintStr,
-								amount.toString(),
-								slippageBps
-							);
+							quote = priority === "critical"
+								? await quoteCache.getFreshQuote(inputMintStr, outputMintStr, amount.toString(), slippageBps, {priority})
+								: await quoteCache.getQuote(inputMintStr, outputMintStr, amount.toString(), slippageBps, {priority});
 							break;
 						} catch (routeError) {
 							logger.warn(`Route computation failed (attempt ${attempt}/${maxRouteRetries}): ${routeError.message}`);
@@ -379,6 +766,8 @@ const setup = async () => {
 						otherAmountThreshold: quote.otherAmountThreshold,
 						slippageBps: slippageBps,
 						priceImpactPct: parseFloat(quote.priceImpactPct || "0"),
+						contextSlot: quote.contextSlot,
+						quotedAt: quote.quotedAt,
 						marketInfos: (quote.routePlan || []).map(step => ({
 							id: step.swapInfo?.ammKey || step.swapInfo?.id || 'unknown',
 							label: step.swapInfo?.label || 'Unknown AMM',
@@ -403,10 +792,15 @@ const setup = async () => {
 					execute: async () => {
 						if (!cache.tradingEnabled) {
 							logger.info("💡 SIMULATION MODE - Trade would be executed");
+							const simulation = routeInfo._fullQuote
+								? await simulateWithoutSending("swap", () => buildJupiterSwapTransaction(routeInfo._fullQuote, wallet))
+								: null;
+
 							return {
 								txid: "simulation_mode_txid",
 								inputAmount: routeInfo.inAmount,
 								outputAmount: routeInfo.outAmount,
+								simulation,
 								success: true
 							};
 						} else {
@@ -418,10 +812,123 @@ const setup = async () => {
 								throw new Error('Missing full quote data for trade execution');
 							}
 							
-							return await executeJupiterSwap(fullQuote, wallet, rpcConnection);
+							return await executeJupiterSwap(fullQuote, wallet, rpcPool.getConnection());
+						}
+					},
+
+					// Signed transaction for callers that send it themselves (MEV protection)
+					buildTransaction: async ({expectedProfitLamports} = {}) => {
+						const fullQuote = routeInfo._fullQuote;
+						if (!fullQuote) {
+							throw new Error('Missing full quote data for trade execution');
 						}
+
+						return await buildJupiterSwapTransaction(fullQuote, wallet, {expectedProfitLamports});
 					}
 				};
+			},
+
+			// Raw wallet balance of an SPL mint, summed over its token accounts
+			getTokenBalance: async (mint) => {
+				const {value} = await rpcPool.read(connection => connection.getParsedTokenAccountsByOwner(wallet.publicKey, {
+					mint: mint instanceof PublicKey ? mint : new PublicKey(mint)
+				}));
+
+				return value
+					.reduce((sum, account) => sum + BigInt(account.account.data.parsed.info.tokenAmount.amount), BigInt(0))
+					.toString();
+			},
+
+			// Raw amount of a mint the wallet gained in a landed transaction, null when unreadable.
+			// Swaps are built with wrapAndUnwrapSol, so SOL arrives as lamports and the wallet's lamport
+			// change (the fee paid back, costs are counted apart) is part of it.
+			getReceivedAmount: async (txid, mint) => {
+				const mintAddress = mint.toString();
+				const owner = wallet.publicKey.toString();
+				const sumBalances = (balances = []) => balances
+					.filter(balance => balance.mint === mintAddress && balance.owner === owner)
+					.reduce((sum, balance) => sum + BigInt(balance.uiTokenAmount.amount), BigInt(0));
+
+				for (let attempt = 1; attempt <= 3; attempt++) {
+					const transaction = await rpcPool.read(connection => connection.getTransaction(txid, {
+						commitment: 'confirmed',
+						maxSupportedTransactionVersion: 0
+					}));
+
+					if (transaction?.meta) {
+						const {meta} = transaction;
+						let received = sumBalances(meta.postTokenBalances) - sumBalances(meta.preTokenBalances);
+						if (mintAddress === "So11111111111111111111111111111111111111112") {
+							// The wallet pays the fee, so it is the first account
+							received += BigInt(meta.postBalances[0]) - BigInt(meta.preBalances[0]) + BigInt(meta.fee);
+						}
+						return received.toString();
+					}
+
+					await new Promise(resolve => setTimeout(resolve, 1000));
+				}
+
+				return null;
+			},
+
+			executeAtomicRoundTrip: async ({route1, route2}) => {
+				if (!cache.tradingEnabled) {
+					logger.info("💡 SIMULATION MODE - Atomic round trip would be executed");
+					const simulation = await simulateWithoutSending("atomic round trip", () =>
+						executeAtomicArbitrage(route1, route2, wallet, rpcPool.getConnection(), {simulateOnly: true}));
+
+					return {
+						txid: "simulation_mode_txid",
+						inputAmount: route1.inAmount,
+						outputAmount: route2.outAmount,
+						simulation,
+						success: true
+					};
+				}
+
+				logger.info("🔥 REAL TRADING MODE - EXECUTING ATOMIC ROUND TRIP");
+				return await executeAtomicArbitrage(route1, route2, wallet, rpcPool.getConnection());
+			},
+
+			// Full Jupiter quotes for every hop of a cycle, sent as one transaction
+			executeAtomicCycle: async ({routes}) => {
+				if (!cache.tradingEnabled) {
+					logger.info(`💡 SIMULATION MODE - Atomic ${routes.length}-hop cycle would be executed`);
+					const simulation = await simulateWithoutSending(`atomic ${routes.length}-hop cycle`, () =>
+						executeAtomicCycle(routes, wallet, rpcPool.getConnection(), {simulateOnly: true}));
+
+					return {
+						txid: "simulation_mode_txid",
+						inputAmount: routes[0].inAmount,
+						outputAmount: routes[routes.length - 1].outAmount,
+						simulation,
+						success: true
+					};
+				}
+
+				logger.info(`🔥 REAL TRADING MODE - EXECUTING ATOMIC ${routes.length}-HOP CYCLE`);
+				return await executeAtomicCycle(routes, wallet, rpcPool.getConnection());
+			},
+
+			// Full Jupiter quotes for every hop of a cycle, one transaction each in a single Jito bundle
+			executeBundledCycle: async ({routes, bundleConfig}) => {
+				if (!cache.tradingEnabled) {
+					logger.info(`💡 SIMULATION MODE - ${routes.length}-hop Jito bundle would be executed`);
+					const simulation = await simulateWithoutSending(`${routes.length}-hop bundle`, () =>
+						executeBundledCycle(routes, wallet, rpcPool.getConnection(), bundleConfig, {simulateOnly: true}));
+
+					return {
+						txid: "simulation_mode_txid",
+						hopTxids: [],
+						inputAmount: routes[0].inAmount,
+						outputAmount: routes[routes.length - 1].outAmount,
+						simulation,
+						success: true
+					};
+				}
+
+				logger.info(`🔥 REAL TRADING MODE - EXECUTING ${routes.length}-HOP JITO BUNDLE`);
+				return await executeBundledCycle(routes, wallet, rpcPool.getConnection(), bundleConfig);
 			}
 		};
 
@@ -586,5 +1093,9 @@ module.exports = {
 	balanceCheck,
 	checkTokenABalance,
 	createTokenRotationFunction,
-	executeJupiterSwap
+	buildJupiterSwapTransaction,
+	executeJupiterSwap,
+	executeAtomicArbitrage,
+	executeAtomicCycle,
+	executeBundledCycle
 };
\ No newline at end of file
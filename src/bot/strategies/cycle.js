@@ -0,0 +1,555 @@
+// Cycle arbitrage: N-hop paths such as SOL → USDC → JUP → SOL, read from the route template file
+const cache = require("../cache");
+const logger = require("../../utils/logger");
+const {toDecimal,toNumber,calculateProfit} = require("../../utils");
+const dynamicTradeSizer = require("../../utils/dynamicTradeSizer");
+const mevProtector = require("../../utils/mevProtector");
+const costModel = require("../../utils/costModel");
+const priceFeedService = require("../../utils/priceFeedService");
+const inventoryRecovery = require("../../utils/inventoryRecovery");
+const {transactionSimulator} = require("../../utils/transactionSimulator");
+const {loadRouteTemplates} = require("../../utils/routeTemplates");
+const {decideTrade,decideSecondLeg,getLegGateThresholds} = require("../decision");
+const scanScheduler = require("../../utils/scanScheduler");
+
+const waitabit = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let templates = [];
+
+const describePath = (path) => path.map((token) => token.symbol).join(" → ");
+
+// Quote each hop with the previous hop's output, null when any hop has no route
+const quoteChain = async (jupiter, path, amount, slippageBps) => {
+	const routes = [];
+
+	for (let hop = 0; hop < path.length - 1; hop++) {
+		const {routesInfos} = await jupiter.computeRoutes({
+			inputMint: path[hop].address,
+			outputMint: path[hop + 1].address,
+			amount,
+			slippageBps
+		});
+
+		if (!routesInfos[0]) {
+			return null;
+		}
+
+		routes.push(routesInfos[0]);
+		amount = routesInfos[0].outAmount;
+	}
+
+	return routes;
+};
+
+// Load the cycle templates, every path starting and ending in tokenA
+const init = async (context) => {
+	const templatesPath = process.env.ROUTE_TEMPLATES_PATH || "./routes.json";
+
+	templates = loadRouteTemplates(templatesPath, context.tokenA);
+
+	logger.info(`🗺️ Loaded ${templates.length} cycle template(s) from ${templatesPath}`);
+	templates.forEach((template) => logger.info(`   ${template.name}: ${describePath(template.path)}`));
+
+	return context;
+};
+
+const describe = () => templates.length === 1 ? describePath(templates[0].path) : `${templates.length} cycle templates`;
+
+// Size the templates the scan scheduler picks and keep the most profitable
+const scan = async ({solPriceUSD}) => {
+	logger.info(`🎯 FINDING OPTIMAL TRADE SIZE...`);
+	const scanned = await scanScheduler.scanPairs(templates, {
+		key: (template) => template.name,
+		quotesPerScan: (template) => dynamicTradeSizer.estimateQuoteCount(template.path.length - 1),
+		scan: (template) => {
+			logger.info(`💰 CYCLE ARBITRAGE [${template.name}]: ${describePath(template.path)}`);
+			return dynamicTradeSizer.findOptimalCycleSize(template.path, solPriceUSD, template.name);
+		}
+	});
+
+	if (scanned.length === 0) {
+		return null;
+	}
+
+	const best = scanned
+		.filter(({result}) => result)
+		.sort((a, b) => b.result.profitUSD - a.result.profitUSD)[0] || scanned[0];
+
+	return {
+		pair: best.item.name,
+		template: best.item,
+		solPriceUSD,
+		optimalResult: best.result
+	};
+};
+
+// Apply the shared decision rules, with the [E]/[R] hotkeys forcing execution
+const decide = (opportunity) => {
+	if (!opportunity) {
+		return { execute: false, reason: "no_scan" };
+	}
+
+	const {template, optimalResult} = opportunity;
+	const decision = decideTrade(optimalResult);
+	const tokenA = template.path[0];
+
+	if (decision.reason === 'no_profitable_size') {
+		logger.warn(`❌ No profitable trade size found for ${describePath(template.path)}`);
+		return decision;
+	}
+
+	const {
+		sizeSOL,
+		profitPercent,
+		profitUSD,
+		grossProfitPercent,
+		grossProfitUSD,
+		costLamports,
+		costUSD,
+		totalValue,
+		totalPriceImpact
+	} = optimalResult;
+
+	cache.availableRoutes["buy"] = template.path.length - 1;
+
+	logger.info('═'.repeat(80));
+	logger.info(`🎯 CYCLE ARBITRAGE ANALYSIS [${template.name}]`);
+	logger.info('═'.repeat(80));
+	logger.info(`🔄 Route: ${describePath(template.path)}`);
+	logger.info(`⚡ OPTIMAL SIZE: ${sizeSOL} SOL ($${totalValue.toFixed(2)} USD)`);
+	logger.info(`💰 Expected Profit: ${profitPercent > 0 ? '+' : ''}${profitPercent.toFixed(4)}% ($${profitUSD.toFixed(2)} USD) net`);
+	logger.info(`💸 Gross: ${grossProfitPercent.toFixed(4)}% ($${grossProfitUSD.toFixed(2)}) | Costs: ${toDecimal(costLamports, tokenA.decimals)} ${tokenA.symbol} ($${costUSD.toFixed(2)})`);
+	logger.info(`📊 Price Impact: ${totalPriceImpact.toFixed(4)}%`);
+
+	if (decision.reason === 'stale_quote') {
+		logger.warn(`⌛ Quotes are ${(decision.ageMs / 1000).toFixed(1)}s and ${decision.slotLag} slots old - skipping trade`);
+		return decision;
+	}
+
+	if (decision.reason === 'below_min_profit_usd') {
+		logger.warn(`⚠️ Profit $${profitUSD.toFixed(2)} below minimum $${parseFloat(process.env.MIN_PROFIT_USD) || 0.50} - skipping trade`);
+		return decision;
+	}
+
+	// Store max profit spotted
+	if(profitPercent > (cache.maxProfitSpotted["buy"] || 0)) {
+		cache.maxProfitSpotted["buy"] = profitPercent;
+	}
+
+	// Hotkeys
+	if(cache.hotkeys?.e) {
+		logger.info("🔥 [E] PRESSED - FORCED EXECUTION!");
+		cache.hotkeys.e = false;
+		return { execute: true, reason: "forced" };
+	}
+	if(cache.hotkeys?.r) {
+		logger.info("↩️ [R] PRESSED - REVERT TRADE!");
+		cache.hotkeys.r = false;
+		return { execute: true, reason: "revert" };
+	}
+
+	return decision;
+};
+
+// Re-quote the rest of the cycle for what the wallet now holds and gate the next hop on it
+const gateNextHop = async (jupiter, {path, hop, amount, sizeRaw, costLamports, slippageBps}) => {
+	const gateThresholds = getLegGateThresholds();
+	const gateStart = Date.now();
+
+	for (;;) {
+		const remaining = await quoteChain(jupiter, path.slice(hop), amount, slippageBps);
+		if (!remaining) {
+			throw new Error(`Hop ${hop + 1} re-quote returned no route`);
+		}
+
+		const gate = decideSecondLeg({
+			inputAmount: sizeRaw,
+			requotedOutAmount: remaining[remaining.length - 1].outAmount,
+			costLamports,
+			heldMs: Date.now() - gateStart
+		}, gateThresholds);
+
+		logger.info(`🚦 HOP ${hop + 1} GATE: ${gate.action.toUpperCase()} (${gate.reason}) | Cycle now ${gate.pnlPercent.toFixed(4)}% vs max loss ${gateThresholds.maxLossPercent}%`);
+
+		if (gate.action === 'proceed') {
+			return remaining[0];
+		}
+		if (gate.action === 'recover') {
+			throw new Error(`Hop ${hop + 1} aborted: cycle ${gate.pnlPercent.toFixed(4)}% is past the ${gateThresholds.maxLossPercent}% max loss`);
+		}
+		await waitabit(2000);
+	}
+};
+
+// What a landed hop delivered, read from the transaction; its quote when the chain cannot tell
+const readHopFill = async (jupiter, txid, token, hop, quotedAmount) => {
+	const receivedAmount = await jupiter.getReceivedAmount(txid, token.address).catch(() => null);
+	if (receivedAmount && BigInt(receivedAmount) > BigInt(0)) {
+		return receivedAmount;
+	}
+
+	logger.warn(`⚠️ Could not read the hop ${hop + 1} fill from chain - using the quoted ${quotedAmount}`);
+	return quotedAmount;
+};
+
+// Send every hop, in one transaction or chained, and measure the realized result
+const execute = async ({template, optimalResult}, {jupiter, wallet}) => {
+	const {path, name} = template;
+	const tokenA = path[0];
+	const {
+		sizeSOL,
+		sizeRaw,
+		profitPercent,
+		profitUSD,
+		grossProfitPercent,
+		grossProfitUSD,
+		costLamports,
+		totalValue,
+		routes
+	} = optimalResult;
+
+	logger.info(`🚀 EXECUTING ${routes.length}-HOP CYCLE [${name}]`);
+	logger.info(`💰 Optimal Amount: ${sizeSOL} SOL ($${totalValue.toFixed(2)} USD)`);
+	logger.info(`📈 Expected Profit: ${profitPercent.toFixed(4)}% ($${profitUSD.toFixed(2)} USD)`);
+	logger.info(`🔄 Route: ${describePath(path)}`);
+
+	if (!cache.tradingEnabled) {
+		logger.info('💡 SIMULATION MODE - Trade execution simulated');
+
+		// The wallet's own transaction is simulated on chain. Chained or bundled, later hops
+		// would sell tokens the wallet does not hold yet, so only the first hop can be simulated.
+		try {
+			if (cache.config.executionMode === 'atomic') {
+				await jupiter.executeAtomicCycle({routes: routes.map((route) => route._fullQuote || route)});
+			} else if (cache.config.executionMode === 'bundle') {
+				await jupiter.executeBundledCycle({
+					routes: routes.map((route) => route._fullQuote || route),
+					bundleConfig: await mevProtector.prepareBundleConfig(sizeSOL, grossProfitPercent)
+				});
+			} else {
+				const exchange = await jupiter.exchange({
+					routeInfo: { inAmount: sizeRaw.toString(), outAmount: routes[0].outAmount, _fullQuote: routes[0] }
+				});
+				await exchange.execute();
+			}
+		} catch (error) {
+			if (!transactionSimulator.isVetoError(error)) throw error;
+
+			return {
+				success: false,
+				error,
+				simulation: error.simulation,
+				profitPercent: 0,
+				profitUSD: 0,
+				txid: null,
+				hopTxids: []
+			};
+		}
+
+		return {
+			success: profitPercent > 0,
+			profitPercent,
+			profitUSD,
+			grossProfitPercent,
+			grossProfitUSD,
+			txid: `simulation_${Date.now()}`,
+			hopTxids: [],
+			outputAmount: optimalResult.outputAmount
+		};
+	}
+
+	const atomicMode = cache.config.executionMode === 'atomic';
+	const bundleMode = cache.config.executionMode === 'bundle';
+
+	// Each hop's dynamic priority fee is capped against its share of the expected gross profit, none without one
+	const expectedGrossLamports = BigInt(routes[routes.length - 1].outAmount) - BigInt(sizeRaw);
+	const hopProfitLamports = expectedGrossLamports > BigInt(0) ? Number(expectedGrossLamports / BigInt(routes.length)) : 0;
+	const protectionParams = await mevProtector.applyMEVProtection({
+		priority: parseInt(process.env.PRIORITY) || 150000,
+		slippage: parseInt(process.env.MAX_SLIPPAGE_PERCENT * 100) || 100
+	}, sizeSOL, grossProfitPercent);
+
+	const hopTxids = [];
+	let held = null; // Intermediate token the wallet holds between chained hops
+	let bundleId = null;
+	let outputAmount;
+	let finalQuote; // What the last transaction sent was quoted to return
+
+	try {
+		if (atomicMode) {
+			// Every hop in one transaction: it lands whole or reverts whole
+			logger.info(`⚛️ ATOMIC CYCLE: ${sizeSOL} ${describePath(path)}`);
+
+			const txResult = await jupiter.executeAtomicCycle({routes: routes.map((route) => route._fullQuote || route)});
+			hopTxids.push(txResult.txid);
+			outputAmount = txResult.outputAmount;
+			finalQuote = { inputMint: tokenA.address, inAmount: sizeRaw.toString(), outputMint: tokenA.address, outAmount: routes[routes.length - 1].outAmount };
+
+			path.slice(1, -1).forEach((token) => costModel.markTokenAccountExists(token.address));
+		} else if (bundleMode) {
+			// Every hop and a tip in one Jito bundle: all land in order or none does
+			logger.info(`📦 BUNDLED CYCLE: ${sizeSOL} ${describePath(path)}`);
+
+			const txResult = await jupiter.executeBundledCycle({
+				routes: routes.map((route) => route._fullQuote || route),
+				bundleConfig: protectionParams.bundleConfig || await mevProtector.prepareBundleConfig(sizeSOL, grossProfitPercent)
+			});
+			hopTxids.push(...txResult.hopTxids);
+			outputAmount = txResult.outputAmount;
+			bundleId = txResult.bundleId;
+			finalQuote = { ...routes[routes.length - 1], inputMint: path[path.length - 2].address, outputMint: tokenA.address };
+
+			path.slice(1, -1).forEach((token) => costModel.markTokenAccountExists(token.address));
+		} else {
+			let amount = sizeRaw.toString();
+			let hopRoute = {
+				inAmount: amount,
+				outAmount: routes[0].outAmount,
+				_fullQuote: routes[0]
+			};
+
+			for (let hop = 0; hop < routes.length; hop++) {
+				const inputToken = path[hop];
+				const outputToken = path[hop + 1];
+
+				if (hop > 0) {
+					hopRoute = await gateNextHop(jupiter, {
+						path,
+						hop,
+						amount,
+						sizeRaw,
+						costLamports,
+						slippageBps: protectionParams.slippage
+					});
+				}
+
+				logger.info(`🔄 HOP ${hop + 1}/${routes.length}: ${toDecimal(amount, inputToken.decimals)} ${inputToken.symbol} → ${outputToken.symbol}`);
+
+				const exchange = await jupiter.exchange({ routeInfo: hopRoute });
+				const swap = await exchange.buildTransaction({ expectedProfitLamports: hopProfitLamports });
+				const txResult = await mevProtector.executeProtectedTransaction(
+					swap.transaction,
+					protectionParams,
+					{ lastValidBlockHeight: swap.lastValidBlockHeight, skipPreflight: swap.preflighted, payer: wallet }
+				);
+
+				if (!txResult.success) {
+					throw new Error(`Hop ${hop + 1} trade failed: ${txResult.error || 'Unknown error'}`);
+				}
+
+				hopTxids.push(txResult.txid);
+				logger.info(`✅ HOP ${hop + 1} COMPLETED! TXID: ${txResult.txid}`);
+
+				if (hop === routes.length - 1) {
+					outputAmount = await readHopFill(jupiter, txResult.txid, outputToken, hop, hopRoute.outAmount);
+					finalQuote = { inputMint: inputToken.address, inAmount: amount, outputMint: outputToken.address, outAmount: hopRoute.outAmount };
+					held = null;
+					break;
+				}
+
+				// The next hop sells what this one actually delivered
+				costModel.markTokenAccountExists(outputToken.address);
+				amount = await readHopFill(jupiter, txResult.txid, outputToken, hop, hopRoute.outAmount);
+				held = { token: outputToken, amount, txid: txResult.txid };
+			}
+		}
+	} catch (error) {
+		logger.error(`❌ Cycle execution failed: ${error.message}`);
+
+		// A chained cycle that stopped midway leaves an intermediate token in the wallet
+		let strandedPosition = null;
+		if (held) {
+			strandedPosition = await inventoryRecovery.handleFailedCycle({
+				pair: name,
+				tokenA,
+				tokenB: held.token,
+				costBasis: sizeRaw,
+				expectedAmount: held.amount,
+				step1Txid: held.txid
+			});
+		}
+
+		// A failed atomic cycle reverts whole, a failed bundle lands nothing and a chained
+		// cycle vetoed, rejected or expired at its first hop sent nothing that landed
+		const allOrNothing = atomicMode || bundleMode;
+		const nothingSent = hopTxids.length === 0;
+		dynamicTradeSizer.updateActualPerformance(name, sizeSOL, allOrNothing || nothingSent ? 0 : -100, false);
+
+		// Nothing is lost when no hop landed or recovery settles the stranded token
+		return {
+			success: false,
+			error,
+			simulation: transactionSimulator.isVetoError(error) ? error.simulation : null,
+			profitPercent: allOrNothing || nothingSent ? 0 : -100,
+			profitUSD: allOrNothing || nothingSent || strandedPosition ? 0 : -totalValue,
+			txid: `failed_${Date.now()}`,
+			hopTxids
+		};
+	}
+
+	// Realized profit with a fresh SOL price
+	const currentSolPrice = await priceFeedService.getCurrentSOLPrice();
+	const inputAmount = BigInt(sizeRaw.toString());
+	const grossAmount = BigInt(outputAmount) - inputAmount;
+	const netAmount = grossAmount - BigInt(costLamports);
+	const actualGrossProfit = Number(grossAmount * BigInt(10000) / inputAmount) / 100;
+	const actualProfit = Number(netAmount * BigInt(10000) / inputAmount) / 100;
+	const actualProfitUSD = Number(netAmount) / Math.pow(10, tokenA.decimals) * currentSolPrice;
+	const actualGrossProfitUSD = Number(grossAmount) / Math.pow(10, tokenA.decimals) * currentSolPrice;
+	const txid = hopTxids[hopTxids.length - 1];
+
+	// Monitor for MEV attacks
+	const mevData = await mevProtector.monitorMEVAttack(txid, profitPercent, sizeSOL, finalQuote);
+
+	logger.info('🎉 CYCLE ARBITRAGE COMPLETED SUCCESSFULLY!');
+	logger.info(`💰 ACTUAL PROFIT: ${actualProfit > 0 ? '+' : ''}${actualProfit.toFixed(4)}% | $${actualProfitUSD.toFixed(2)} net, $${actualGrossProfitUSD.toFixed(2)} gross`);
+
+	dynamicTradeSizer.updateActualPerformance(name, sizeSOL, actualProfit, actualProfit > 0);
+
+	return {
+		success: actualProfit > 0,
+		profitPercent: actualProfit,
+		profitUSD: actualProfitUSD,
+		grossProfitPercent: actualGrossProfit,
+		grossProfitUSD: actualGrossProfitUSD,
+		txid,
+		hopTxids,
+		bundleId,
+		outputAmount,
+		mevData
+	};
+};
+
+// Trade history, counters, balance tracking and the trade summary
+const onResult = async (result, {template, solPriceUSD, optimalResult}, {date}) => {
+	if (!cache.tradeCounter.buy) cache.tradeCounter.buy = { success: 0, fail: 0 };
+
+	const {path, name} = template;
+	const tokenA = path[0];
+
+	if (result.error) {
+		logger.error(`❌ Trade execution failed: ${result.error.message}`);
+		cache.tradeCounter.buy.fail++;
+
+		// Every failed trade is kept in the history with its error, a vetoed one with why its simulation failed
+		if (cache.config.storeFailedTxInHistory) {
+			if (!cache.tradeHistory) cache.tradeHistory = [];
+			cache.tradeHistory.push({
+				date: date.toLocaleString(),
+				buy: true,
+				inputToken: tokenA.symbol,
+				outputToken: tokenA.symbol,
+				intermediateTokens: path.slice(1, -1).map((token) => token.symbol),
+				template: name,
+				inAmount: optimalResult.sizeSOL,
+				inAmountUSD: optimalResult.totalValue,
+				solPriceAtTrade: solPriceUSD,
+				expectedProfit: optimalResult.profitPercent,
+				expectedProfitUSD: optimalResult.profitUSD,
+				actualProfit: result.profitPercent,
+				actualProfitUSD: result.profitUSD,
+				tradeType: 'CYCLE_ARBITRAGE',
+				executionMode: cache.config.executionMode,
+				route: describePath(path),
+				txid: result.txid || null,
+				hopTxids: result.hopTxids,
+				mode: cache.tradingEnabled ? 'LIVE' : 'SIMULATION',
+				success: false,
+				error: result.error.message,
+				...(result.simulation ? transactionSimulator.getHistoryFields(result.simulation) : {})
+			});
+		}
+		return;
+	}
+
+	const {sizeSOL, profitPercent, profitUSD, costUSD, totalValue, totalPriceImpact, outputAmount} = optimalResult;
+	const {profitPercent: actualProfit, profitUSD: actualProfitUSD} = result;
+
+	logger.performance('cycle_arbitrage', 6000, {
+		success: actualProfit > 0,
+		profit: actualProfit,
+		profitUSD: actualProfitUSD,
+		optimalSize: sizeSOL,
+		solPrice: solPriceUSD,
+		route: path.map((token) => token.symbol).join('-'),
+		txid: result.txid,
+		mode: cache.tradingEnabled ? 'live' : 'simulation',
+		mevProtected: mevProtector.enabled
+	});
+
+	if (!cache.tradeHistory) cache.tradeHistory = [];
+	cache.tradeHistory.push({
+		date: date.toLocaleString(),
+		buy: true,
+		inputToken: tokenA.symbol,
+		outputToken: tokenA.symbol,
+		intermediateTokens: path.slice(1, -1).map((token) => token.symbol),
+		template: name,
+		inAmount: sizeSOL,
+		inAmountUSD: totalValue,
+		solPriceAtTrade: solPriceUSD,
+		expectedOutAmount: toDecimal(outputAmount, tokenA.decimals),
+		actualOutAmount: toDecimal(result.outputAmount || outputAmount, tokenA.decimals),
+		expectedProfit: profitPercent,
+		expectedProfitUSD: profitUSD,
+		estimatedCostUSD: costUSD,
+		actualProfit,
+		actualProfitUSD,
+		actualGrossProfit: result.grossProfitPercent,
+		actualGrossProfitUSD: result.grossProfitUSD,
+		priceImpact: totalPriceImpact,
+		tradeType: 'CYCLE_ARBITRAGE',
+		executionMode: cache.config.executionMode,
+		route: describePath(path),
+		txid: result.txid,
+		hopTxids: result.hopTxids,
+		bundleId: result.bundleId || null,
+		mode: cache.tradingEnabled ? 'LIVE' : 'SIMULATION',
+		success: actualProfit > 0,
+		mevProtected: mevProtector.enabled,
+		sandwichedBy: result.mevData?.attacker || null,
+		mevLossSOL: result.mevData?.estimatedMEVLoss || 0
+	});
+
+	if (actualProfit > 0) {
+		cache.tradeCounter.buy.success++;
+		logger.info(`✅ SUCCESSFUL CYCLE TRADE #${cache.tradeCounter.buy.success}`);
+	} else {
+		cache.tradeCounter.buy.fail++;
+		logger.error(`❌ FAILED CYCLE TRADE #${cache.tradeCounter.buy.fail}`);
+	}
+
+	// Update balance tracking
+	if (cache.tradingEnabled && actualProfit > 0) {
+		const profitAmount = (actualProfit / 100) * sizeSOL;
+		cache.lastBalance.tokenA = cache.currentBalance.tokenA;
+		cache.currentBalance.tokenA = cache.currentBalance.tokenA + toNumber(profitAmount, tokenA.decimals);
+		cache.currentProfit.tokenA = calculateProfit(
+			String(cache.initialBalance.tokenA),
+			String(cache.currentBalance.tokenA)
+		);
+
+		logger.info(`💰 UPDATED BALANCE: ${toDecimal(cache.currentBalance.tokenA, tokenA.decimals)} ${tokenA.symbol}`);
+		logger.info(`📈 CUMULATIVE PROFIT: ${cache.currentProfit.tokenA.toFixed(4)}%`);
+	}
+
+	logger.info('═'.repeat(80));
+	logger.info(`📊 CYCLE TRADE SUMMARY [${name}]:`);
+	logger.info(`🎯 Success: ${actualProfit > 0 ? 'YES ✅' : 'NO ❌'}`);
+	logger.info(`📈 Profit: ${actualProfit.toFixed(4)}% | ${actualProfitUSD.toFixed(2)} USD`);
+	logger.info(`🆔 TX ID: ${result.txid}`);
+	logger.info(`📊 Total: ✅ ${cache.tradeCounter.buy.success} | ❌ ${cache.tradeCounter.buy.fail}`);
+	logger.info('═'.repeat(80));
+};
+
+module.exports = {
+	name: "cycle",
+	description: "N-hop cycles from the route template file at the optimal size",
+	rotation: false,
+	init,
+	describe,
+	scan,
+	decide,
+	execute,
+	onResult,
+};
@@ -0,0 +1,89 @@
+// Discovery: profitable 2-4 hop cycles found on a rate graph over liquid and trending mints,
+// sized and executed like template cycles
+const logger = require("../../utils/logger");
+const dynamicTradeSizer = require("../../utils/dynamicTradeSizer");
+const cycleDiscovery = require("../../utils/cycleDiscovery");
+const {fetchTrendingTokens} = require("../../utils/tokenFetcher");
+const {INTERMEDIATE_TOKENS} = require("../../constants");
+const cycle = require("./cycle");
+
+// Configured mints (symbols or addresses) plus the top of the trending list
+const buildUniverse = async (tokenA) => {
+	const configured = process.env.DISCOVERY_MINTS
+		? process.env.DISCOVERY_MINTS.split(",").map((item) => item.trim()).filter(Boolean)
+		: INTERMEDIATE_TOKENS.map((token) => token.address);
+	const trendingCount = parseInt(process.env.DISCOVERY_TRENDING_COUNT ?? "5");
+
+	let trending = [];
+	try {
+		trending = (await fetchTrendingTokens()).filter((token) => token.address !== tokenA.address);
+	} catch (error) {
+		logger.warn(`Discovery continuing without trending tokens: ${error.message}`);
+	}
+
+	const known = [...INTERMEDIATE_TOKENS, ...trending];
+	const mints = configured.map((entry) => {
+		const token = known.find((candidate) => candidate.symbol === entry || candidate.address === entry);
+		if (!token) {
+			logger.warn(`⚠️ DISCOVERY_MINTS entry ${entry} is not a known token - skipped`);
+		}
+		return token;
+	}).filter(Boolean);
+
+	return [...mints, ...trending.slice(0, trendingCount)];
+};
+
+const init = async (context) => {
+	cycleDiscovery.setUniverse(context.tokenA, await buildUniverse(context.tokenA));
+	return context;
+};
+
+const describe = () => `${cycleDiscovery.tokens.size} mint rate graph`;
+
+// Run a discovery round and size the best ranked cycles, keeping the most profitable.
+// The round's edge refreshes left the sizer's quotes for these candidates unspent.
+const scan = async ({solPriceUSD}) => {
+	const candidates = (await cycleDiscovery.discover(solPriceUSD)).slice(0, cycleDiscovery.topCandidates);
+
+	if (candidates.length === 0) {
+		return null;
+	}
+
+	let best = null;
+	for (const candidate of candidates) {
+		logger.info(`🧭 CANDIDATE ${candidate.name}: ${candidate.grossProfitPercent.toFixed(4)}% gross, ${candidate.netProfitPercent.toFixed(4)}% net at ${cycleDiscovery.probeSizeSOL} SOL`);
+
+		const optimalResult = await dynamicTradeSizer.findOptimalCycleSize(candidate.path, solPriceUSD, candidate.name);
+		if (optimalResult && (!best || optimalResult.profitUSD > best.optimalResult.profitUSD)) {
+			best = {candidate, optimalResult};
+		}
+	}
+
+	const {candidate, optimalResult} = best || {candidate: candidates[0], optimalResult: null};
+
+	return {
+		pair: candidate.name,
+		template: {name: candidate.name, path: candidate.path},
+		solPriceUSD,
+		optimalResult
+	};
+};
+
+const decide = (opportunity, context) => {
+	if (!opportunity) {
+		return { execute: false, reason: "no_cycle" };
+	}
+	return cycle.decide(opportunity, context);
+};
+
+module.exports = {
+	name: "discovery",
+	description: "Profitable 2-4 hop cycles found on a quoted rate graph",
+	rotation: false,
+	init,
+	describe,
+	scan,
+	decide,
+	execute: cycle.execute,
+	onResult: cycle.onResult,
+};
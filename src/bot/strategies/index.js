@@ -0,0 +1,151 @@
+// Trading strategies, keyed by cache.config.tradingStrategy
+//
+// A strategy is a plain object:
+//   name         registry key
+//   description  one line for logs
+//   rotation     whether the main loop rotates the intermediate token
+//   init(context)                          optional, runs once before the first scan and may return an updated context
+//   describe(context)                      optional, the route shown in the scan log line
+//   scan(context)                          look for an opportunity (null when there is none)
+//   decide(opportunity, context)           { execute, reason }
+//   execute(opportunity, context)          trade it, resolves to { success, profitUSD, error, ... }
+//   onResult(result, opportunity, context) bookkeeping once the trade has settled
+//
+// The context carries jupiter, tokenA, tokenB, wallet and, per pass, solPriceUSD, iteration and date.
+const cache = require("../cache");
+const logger = require("../../utils/logger");
+const {updateIterationsPerMin} = require("../../utils");
+const healthMonitor = require("../../utils/healthMonitor");
+const memoryManager = require("../../utils/memoryManager");
+const dynamicTradeSizer = require("../../utils/dynamicTradeSizer");
+const mevProtector = require("../../utils/mevProtector");
+const riskEngine = require("../../utils/riskEngine");
+
+const REQUIRED_HOOKS = ["scan", "decide", "execute", "onResult"];
+const strategies = new Map();
+
+const registerStrategy = (strategy) => {
+	const missing = REQUIRED_HOOKS.filter((hook) => typeof strategy[hook] !== "function");
+	if (!strategy.name || missing.length > 0) {
+		throw new Error(`Strategy ${strategy.name || "(unnamed)"} is missing ${missing.join(", ") || "a name"}`);
+	}
+
+	strategies.set(strategy.name, strategy);
+	return strategy;
+};
+
+const getStrategy = (name) => {
+	const strategy = strategies.get(name);
+	if (!strategy) {
+		throw new Error(`Unknown trading strategy "${name}" - available: ${listStrategies().join(", ")}`);
+	}
+	return strategy;
+};
+
+const listStrategies = () => [...strategies.keys()];
+
+// One scan → decide → execute → onResult pass. Risk limits are checked before every
+// execution, forced ones included, and the result is recorded with the risk engine.
+const runStrategy = async (strategy, context) => {
+	cache.iteration++;
+	const i = cache.iteration;
+	cache.queue[i] = -1;
+
+	const pass = {...context, iteration: i, date: new Date()};
+	let swapping = false;
+
+	try {
+		// Calculate & update iterations per minute
+		updateIterationsPerMin(cache);
+
+		const opportunity = await strategy.scan(pass);
+		cache.queue[i] = 0;
+
+		const decision = strategy.decide(opportunity, pass);
+		if (!decision.execute) {
+			return decision;
+		}
+
+		if (cache.swappingRightNow) {
+			logger.debug('⏳ Skipping - swap already in progress');
+			return { execute: false, reason: "swap_in_progress" };
+		}
+
+		const risk = riskEngine.checkTrade(opportunity.pair);
+		if (!risk.allowed) {
+			return { execute: false, reason: risk.reason };
+		}
+
+		cache.swappingRightNow = true;
+		swapping = true;
+
+		let result;
+		try {
+			result = await strategy.execute(opportunity, pass);
+		} catch (error) {
+			result = { success: false, profitUSD: 0, error };
+		}
+
+		riskEngine.recordTrade(opportunity.pair, { profitUSD: result.profitUSD || 0, success: result.success });
+		await strategy.onResult(result, opportunity, pass);
+
+		return decision;
+
+	} catch(error) {
+		logger.error(`CRITICAL: Error in ${strategy.name} strategy:`, {
+			message: error.message,
+			stack: error.stack,
+			iteration: i,
+			tokenPair: `${context.tokenA.symbol} → ${context.tokenB.symbol}`,
+			solPrice: `${context.solPriceUSD}`
+		});
+
+		// Record error for monitoring
+		if (healthMonitor && healthMonitor.recordError) {
+			healthMonitor.recordError();
+		}
+
+		cache.queue[i] = 0;
+		return { execute: false, reason: "error" };
+
+	} finally {
+		// CRITICAL: Always clean up, regardless of what happened
+		try {
+			if (swapping) {
+				cache.swappingRightNow = false;
+			}
+
+			if (cache.queue && cache.queue[i] !== undefined) {
+				delete cache.queue[i];
+			}
+
+			// Clean up memory if needed
+			if (cache.iteration && cache.iteration % 50 === 0) {
+				if (memoryManager && memoryManager.performGarbageCollection) {
+					memoryManager.performGarbageCollection();
+				}
+			}
+
+			// Clean up old performance data periodically
+			if (cache.iteration % 100 === 0) {
+				dynamicTradeSizer.cleanupOldData();
+				mevProtector.cleanupOldData();
+			}
+
+		} catch (cleanupError) {
+			logger.error('Cleanup error (non-critical):', cleanupError.message);
+		}
+	}
+};
+
+registerStrategy(require("./roundTrip"));
+registerStrategy(require("./pingPong"));
+registerStrategy(require("./cycle"));
+registerStrategy(require("./discovery"));
+
+module.exports = {
+	registerStrategy,
+	getStrategy,
+	listStrategies,
+	runStrategy,
+};
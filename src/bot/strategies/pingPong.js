@@ -0,0 +1,178 @@
+// Ping pong: swap tokenA → tokenB, then back to tokenA once that buys more than the
+// last tokenA balance, switching sides after every successful swap
+const cache = require("../cache");
+const logger = require("../../utils/logger");
+const {calculateProfit,toDecimal} = require("../../utils");
+const {INTERMEDIATE_TOKENS} = require("../../constants");
+const {swap,failedSwapHandler,successSwapHandler} = require("../swap");
+const {transactionSimulator} = require("../../utils/transactionSimulator");
+
+const side = () => (cache.sideBuy ? "buy" : "sell");
+
+// Pick tokenB and measure the first buy against what tokenA buys right now
+const init = async (context) => {
+	const {jupiter, tokenA} = context;
+	const configured = process.env.PINGPONG_TOKEN;
+	const tokenB = configured
+		? INTERMEDIATE_TOKENS.find((token) => token.symbol === configured || token.address === configured)
+		: context.tokenB;
+
+	if (!tokenB) {
+		throw new Error(`PINGPONG_TOKEN ${configured || "(unset)"} must be one of ${INTERMEDIATE_TOKENS.map((token) => token.symbol).join(", ")}`);
+	}
+
+	const {routesInfos} = await jupiter.computeRoutes({
+		inputMint: tokenA.address,
+		outputMint: tokenB.address,
+		amount: cache.initialBalance.tokenA,
+		slippageBps: cache.config.slippage,
+	});
+
+	if (!routesInfos[0]) {
+		throw new Error(`No ${tokenA.symbol} → ${tokenB.symbol} route to set the ping pong baseline`);
+	}
+
+	cache.sideBuy = true;
+	cache.initialBalance.tokenB = Number(routesInfos[0].outAmount);
+	cache.lastBalance.tokenB = cache.initialBalance.tokenB;
+
+	logger.info(`🏓 PING PONG ${tokenA.symbol} ⇄ ${tokenB.symbol} | Baseline: ${toDecimal(cache.initialBalance.tokenB, tokenB.decimals)} ${tokenB.symbol}`);
+
+	return {...context, tokenB};
+};
+
+// Quote the current side and compare it with what the other token was last worth
+const scan = async ({jupiter, tokenA, tokenB}) => {
+	const inputToken = cache.sideBuy ? tokenA : tokenB;
+	const outputToken = cache.sideBuy ? tokenB : tokenA;
+	const inputKey = cache.sideBuy ? "tokenA" : "tokenB";
+	const amountToTrade = cache.config.tradeSize.strategy === "cumulative"
+		? cache.currentBalance[inputKey]
+		: cache.initialBalance[inputKey];
+	const baseAmount = cache.lastBalance[cache.sideBuy ? "tokenB" : "tokenA"];
+
+	const {routesInfos} = await jupiter.computeRoutes({
+		inputMint: inputToken.address,
+		outputMint: outputToken.address,
+		amount: amountToTrade,
+		slippageBps: cache.config.slippage,
+		priority: "normal",
+	});
+
+	cache.availableRoutes[side()] = routesInfos.length;
+	if (!routesInfos[0]) {
+		logger.warn(`❌ No ${inputToken.symbol} → ${outputToken.symbol} route`);
+		return null;
+	}
+
+	const route = routesInfos[0];
+	const simulatedProfit = calculateProfit(String(baseAmount), String(route.outAmount));
+
+	if (simulatedProfit > (cache.maxProfitSpotted[side()] || 0)) {
+		cache.maxProfitSpotted[side()] = simulatedProfit;
+	}
+
+	logger.info(`🏓 ${side().toUpperCase()}: ${toDecimal(amountToTrade, inputToken.decimals)} ${inputToken.symbol} → ${toDecimal(route.outAmount, outputToken.decimals)} ${outputToken.symbol} | ${simulatedProfit.toFixed(4)}% vs last ${outputToken.symbol} balance`);
+
+	return {
+		pair: `${tokenA.symbol}-${tokenB.symbol}`,
+		route,
+		inputToken,
+		outputToken,
+		amountToTrade,
+		baseAmount,
+		simulatedProfit,
+	};
+};
+
+const decide = (opportunity) => {
+	if (!opportunity) {
+		return { execute: false, reason: "no_route" };
+	}
+
+	// Hotkeys ([R] is cleared once the revert swap has landed)
+	if (cache.hotkeys?.e) {
+		logger.info("🔥 [E] PRESSED - FORCED EXECUTION!");
+		cache.hotkeys.e = false;
+		return { execute: true, reason: "forced" };
+	}
+	if (cache.hotkeys?.r) {
+		logger.info("↩️ [R] PRESSED - REVERT TRADE!");
+		return { execute: true, reason: "revert" };
+	}
+
+	if (opportunity.simulatedProfit >= cache.config.minPercProfit) {
+		return { execute: true, reason: "profitable" };
+	}
+
+	return { execute: false, reason: "below_min_profit" };
+};
+
+const execute = async (opportunity, {jupiter, tokenA, solPriceUSD, date}) => {
+	const {route, inputToken, outputToken, baseAmount, simulatedProfit} = opportunity;
+
+	const [tx, performanceOfTx] = await swap(jupiter, route);
+	const error = tx.error ? (tx.error.message || JSON.stringify(tx.error)) : null;
+
+	const tradeEntry = {
+		date: date.toLocaleString(),
+		buy: cache.sideBuy,
+		inputToken: inputToken.symbol,
+		outputToken: outputToken.symbol,
+		inAmount: toDecimal(route.amount, inputToken.decimals),
+		expectedOutAmount: toDecimal(route.outAmount, outputToken.decimals),
+		expectedProfit: simulatedProfit,
+		outAmount: tx.outputAmount || 0,
+		profit: calculateProfit(String(baseAmount), String(tx.outputAmount || 0)),
+		slippage: cache.config.slippage / 100,
+		performanceOfTx,
+		tradeType: "PINGPONG",
+		txid: tx.txid || null,
+		mode: cache.tradingEnabled ? "LIVE" : "SIMULATION",
+		error,
+		// A swap vetoed by its simulation keeps why
+		...(transactionSimulator.isVetoError(tx.error) ? transactionSimulator.getHistoryFields(tx.error.simulation) : {}),
+	};
+
+	// P&L is only realized when selling back into tokenA
+	const profitUSD = !cache.sideBuy && !error
+		? (Number(tx.outputAmount) - Number(cache.lastBalance.tokenA)) / Math.pow(10, tokenA.decimals) * solPriceUSD
+		: 0;
+
+	return {
+		success: !error,
+		error: error ? new Error(error) : null,
+		profitPercent: tradeEntry.profit,
+		profitUSD,
+		txid: tradeEntry.txid,
+		tx,
+		tradeEntry,
+	};
+};
+
+const onResult = async (result, {inputToken, amountToTrade}, {tokenA, tokenB}) => {
+	if (!result.success) {
+		await failedSwapHandler(result.tradeEntry || {error: result.error?.message}, inputToken, amountToTrade);
+		return;
+	}
+
+	if (cache.hotkeys?.r) {
+		logger.info("↩️ [R] REVERT BACK SWAP - SUCCESS! Trading disabled");
+		cache.tradingEnabled = false;
+		cache.hotkeys.r = false;
+	}
+
+	await successSwapHandler(result.tx, result.tradeEntry, tokenA, tokenB);
+	cache.sideBuy = !cache.sideBuy;
+};
+
+module.exports = {
+	name: "pingpong",
+	description: "Alternate tokenA ⇄ tokenB whenever the swap beats the last balance",
+	rotation: false,
+	init,
+	scan,
+	decide,
+	execute,
+	onResult,
+};
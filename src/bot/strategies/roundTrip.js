@@ -0,0 +1,616 @@
+// Round trip arbitrage: tokenA → tokenB → tokenA at the size the dynamic sizer finds most profitable
+const cache = require("../cache");
+const logger = require("../../utils/logger");
+const {toDecimal,toNumber,calculateProfit} = require("../../utils");
+const dynamicTradeSizer = require("../../utils/dynamicTradeSizer");
+const mevProtector = require("../../utils/mevProtector");
+const costModel = require("../../utils/costModel");
+const priceFeedService = require("../../utils/priceFeedService");
+const inventoryRecovery = require("../../utils/inventoryRecovery");
+const {transactionSimulator} = require("../../utils/transactionSimulator");
+const {decideTrade,decideSecondLeg,getLegGateThresholds} = require("../decision");
+const scanScheduler = require("../../utils/scanScheduler");
+const {INTERMEDIATE_TOKENS} = require("../../constants");
+
+const waitabit = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// With concurrent scanning every intermediate token is a candidate each tick, so there is nothing to rotate
+const parallelScan = scanScheduler.concurrency > 1;
+
+// Find the most profitable size for the current intermediate token, or for the best of them when scanning in parallel
+const scan = async ({tokenA, tokenB, solPriceUSD, iteration}) => {
+	const candidates = parallelScan ? INTERMEDIATE_TOKENS : [tokenB];
+
+	logger.debug('Starting DYNAMIC TRIANGULAR arbitrage strategy', {
+		iteration,
+		tokenPairs: candidates.map((token) => `${tokenA.symbol} → ${token.symbol} → ${tokenA.symbol}`),
+		tradingMode: cache.tradingEnabled ? 'LIVE' : 'SIMULATION',
+		solPrice: `$${solPriceUSD}`
+	});
+
+	// Get max trade size and calculate USD value
+	const maxTradeSizeSOL = parseFloat(process.env.MAX_TRADE_SIZE_SOL) || 0.1;
+	const maxTradeSizeUSD = maxTradeSizeSOL * solPriceUSD;
+
+	logger.info(`💰 DYNAMIC TRIANGULAR ARBITRAGE: ${tokenA.symbol} → ${candidates.map((token) => token.symbol).join(' | ')} → ${tokenA.symbol}`);
+	logger.info(`📊 Max Trade Size: ${maxTradeSizeSOL} SOL | SOL Price: $${solPriceUSD} | Max Value: $${maxTradeSizeUSD.toFixed(2)}`);
+	logger.info(`🔥 Trading Mode: ${cache.tradingEnabled ? '🔥 LIVE TRADING' : '💡 SIMULATION'}`);
+
+	// Find optimal trade size using dynamic sizer with REAL SOL PRICE
+	logger.info(`🎯 FINDING OPTIMAL TRADE SIZE...`);
+	const scanned = await scanScheduler.scanPairs(candidates, {
+		key: (token) => `${tokenA.symbol}-${token.symbol}`,
+		quotesPerScan: dynamicTradeSizer.estimateQuoteCount(2),
+		scan: (token) => dynamicTradeSizer.findOptimalTradeSize(tokenA, token, solPriceUSD)
+	});
+
+	const best = scanned
+		.filter(({result}) => result)
+		.sort((a, b) => b.result.profitUSD - a.result.profitUSD)[0];
+	const bestToken = best ? best.item : (scanned[0]?.item || tokenB);
+
+	return {
+		pair: `${tokenA.symbol}-${bestToken.symbol}`,
+		tokenA,
+		tokenB: bestToken,
+		solPriceUSD,
+		optimalResult: best ? best.result : null
+	};
+};
+
+// Apply the shared decision rules, with the [E]/[R] hotkeys forcing execution
+const decide = ({tokenA, tokenB, solPriceUSD, optimalResult}) => {
+	const decision = decideTrade(optimalResult);
+
+	if (decision.reason === 'no_profitable_size') {
+		logger.warn(`❌ No profitable trade size found for ${tokenA.symbol} → ${tokenB.symbol} → ${tokenA.symbol}`);
+		logger.debug(`💡 This could be due to:`);
+		logger.debug(`   - All sizes below minimum profit threshold (${process.env.MIN_PROFIT_THRESHOLD}% OR $${process.env.MIN_PROFIT_USD})`);
+		logger.debug(`   - High price impact on tested sizes (>${process.env.MAX_PRICE_IMPACT_PERCENT}%)`);
+		logger.debug(`   - Insufficient liquidity for profitable arbitrage`);
+		logger.debug(`   - Current SOL price: $${solPriceUSD} may make small trades unprofitable`);
+		return decision;
+	}
+
+	const {
+		sizeSOL: optimalSizeSOL,
+		profitPercent,
+		profitUSD,
+		grossProfitPercent,
+		grossProfitUSD,
+		costLamports,
+		costUSD,
+		totalValue,
+		totalPriceImpact
+	} = optimalResult;
+
+	cache.availableRoutes["buy"] = 2; // Two-step route
+
+	logger.info('═'.repeat(80));
+	logger.info('🎯 DYNAMIC TRIANGULAR ARBITRAGE ANALYSIS');
+	logger.info('═'.repeat(80));
+	logger.info(`🔄 Route: ${tokenA.symbol} → ${tokenB.symbol} → ${tokenA.symbol}`);
+	logger.info(`⚡ OPTIMAL SIZE: ${optimalSizeSOL} SOL ($${totalValue.toFixed(2)} USD)`);
+	logger.info(`💰 Expected Profit: ${profitPercent > 0 ? '+' : ''}${profitPercent.toFixed(4)}% ($${profitUSD.toFixed(2)} USD) net`);
+	logger.info(`💸 Gross: ${grossProfitPercent.toFixed(4)}% ($${grossProfitUSD.toFixed(2)}) | Costs: ${toDecimal(costLamports, tokenA.decimals)} ${tokenA.symbol} ($${costUSD.toFixed(2)})`);
+	logger.info(`📊 Price Impact: ${totalPriceImpact.toFixed(4)}%`);
+	logger.info(`💵 SOL Price: $${solPriceUSD} ${priceFeedService.getPriceSummary().trend}`);
+
+	if (decision.reason === 'stale_quote') {
+		logger.warn(`⌛ Quotes are ${(decision.ageMs / 1000).toFixed(1)}s and ${decision.slotLag} slots old - skipping trade`);
+		return decision;
+	}
+
+	// Verify profit meets USD threshold
+	if (decision.reason === 'below_min_profit_usd') {
+		logger.warn(`⚠️ Profit $${profitUSD.toFixed(2)} below minimum $${parseFloat(process.env.MIN_PROFIT_USD) || 0.50} - skipping trade`);
+		logger.debug(`💡 Try lowering MIN_PROFIT_USD or increasing MAX_TRADE_SIZE_SOL`);
+		return decision;
+	}
+
+	// Every gate has run, so this is the verdict
+	logger.info(`🎯 Profitable: ${decision.execute ? 'YES ✅' : 'NO ❌'}`);
+	logger.info(`🔥 Trading Mode: ${cache.tradingEnabled ? 'LIVE' : 'SIMULATION'}`);
+
+	// Store max profit spotted
+	if(profitPercent > (cache.maxProfitSpotted["buy"] || 0)) {
+		cache.maxProfitSpotted["buy"] = profitPercent;
+	}
+
+	// Hotkeys
+	if(cache.hotkeys?.e) {
+		logger.info("🔥 [E] PRESSED - FORCED EXECUTION!");
+		cache.hotkeys.e = false;
+		return { execute: true, reason: "forced" };
+	}
+	if(cache.hotkeys?.r) {
+		logger.info("↩️ [R] PRESSED - REVERT TRADE!");
+		cache.hotkeys.r = false;
+		return { execute: true, reason: "revert" };
+	}
+
+	return decision;
+};
+
+// Send both legs, atomically or one after the other, and measure the realized result
+const execute = async (opportunity, {jupiter, wallet}) => {
+	const {tokenA, tokenB, optimalResult} = opportunity;
+	const {
+		sizeSOL: optimalSizeSOL,
+		sizeRaw: optimalSizeRaw,
+		profitPercent,
+		profitUSD,
+		grossProfitPercent,
+		grossProfitUSD,
+		costLamports,
+		totalValue,
+		route1,
+		route2
+	} = optimalResult;
+
+	logger.info('🚀 EXECUTING DYNAMIC TRIANGULAR ARBITRAGE TRADE');
+	logger.info(`💰 Optimal Amount: ${optimalSizeSOL} SOL ($${totalValue.toFixed(2)} USD)`);
+	logger.info(`📈 Expected Profit: ${profitPercent.toFixed(4)}% ($${profitUSD.toFixed(2)} USD)`);
+	logger.info(`🔄 Route: ${tokenA.symbol} → ${tokenB.symbol} → ${tokenA.symbol}`);
+	logger.info(`💡 Mode: ${cache.tradingEnabled ? '🔥 REAL TRADING' : '💡 SIMULATION'}`);
+
+	let txResult1, txResult2;
+	let finalRoute2 = route2; // Replaced by the leg 2 re-quote in sequential mode
+	let actualProfit = profitPercent; // Default to expected
+	let actualProfitUSD = profitUSD;
+	let actualGrossProfit = grossProfitPercent;
+	let actualGrossProfitUSD = grossProfitUSD;
+	let finalTxid = null;
+	let mevData = null;
+
+	const step1Route = {
+		inAmount: optimalSizeRaw.toString(),
+		outAmount: route1.outAmount,
+		_fullQuote: route1
+	};
+
+	if (cache.tradingEnabled) {
+		// REAL TRADE EXECUTION with MEV PROTECTION
+		logger.info('🔥 EXECUTING REAL TRADES ON SOLANA BLOCKCHAIN');
+
+		const atomicMode = cache.config.executionMode === 'atomic';
+		const bundleMode = cache.config.executionMode === 'bundle';
+
+		// Each leg's dynamic priority fee is capped against half the expected gross profit, none without one
+		const expectedGrossLamports = BigInt(route2.outAmount) - BigInt(optimalSizeRaw);
+		const legProfitLamports = expectedGrossLamports > BigInt(0) ? Number(expectedGrossLamports / BigInt(2)) : 0;
+
+		// Apply MEV protection
+		const protectionParams = await mevProtector.applyMEVProtection({
+			priority: parseInt(process.env.PRIORITY) || 150000,
+			slippage: parseInt(process.env.MAX_SLIPPAGE_PERCENT * 100) || 100
+		}, optimalSizeSOL, grossProfitPercent);
+
+		try {
+			if (atomicMode) {
+				// Both legs in one transaction: it lands whole or reverts whole
+				logger.info(`⚛️ ATOMIC ROUND TRIP: ${optimalSizeSOL} ${tokenA.symbol} → ${tokenB.symbol} → ${tokenA.symbol}`);
+
+				txResult2 = await jupiter.executeAtomicRoundTrip({ route1, route2 });
+				txResult1 = txResult2;
+
+				logger.info(`✅ ATOMIC ROUND TRIP COMPLETED! TXID: ${txResult2.txid}`);
+				costModel.markTokenAccountExists(tokenB.address);
+			} else if (bundleMode) {
+				// Both legs and a tip in one Jito bundle: both land in order or neither does
+				logger.info(`📦 BUNDLED ROUND TRIP: ${optimalSizeSOL} ${tokenA.symbol} → ${tokenB.symbol} → ${tokenA.symbol}`);
+
+				txResult2 = await jupiter.executeBundledCycle({
+					routes: [route1, route2],
+					bundleConfig: protectionParams.bundleConfig || await mevProtector.prepareBundleConfig(optimalSizeSOL, grossProfitPercent)
+				});
+				txResult1 = { ...txResult2, txid: txResult2.hopTxids[0], outputAmount: route1.outAmount };
+
+				logger.info(`✅ BUNDLED ROUND TRIP COMPLETED! Bundle ${txResult2.bundleId} | STEP 1: ${txResult1.txid} | STEP 2: ${txResult2.txid}`);
+				costModel.markTokenAccountExists(tokenB.address);
+			} else {
+				// Execute Step 1: SOL → Intermediate Token
+				logger.info(`🔄 STEP 1: Swapping ${optimalSizeSOL} ${tokenA.symbol} → ${tokenB.symbol}`);
+
+				const exchange1 = await jupiter.exchange({ routeInfo: step1Route });
+				const swap1 = await exchange1.buildTransaction({ expectedProfitLamports: legProfitLamports });
+				txResult1 = await mevProtector.executeProtectedTransaction(
+					swap1.transaction,
+					protectionParams,
+					{ lastValidBlockHeight: swap1.lastValidBlockHeight, skipPreflight: swap1.preflighted, payer: wallet }
+				);
+
+				if (!txResult1.success) {
+					throw new Error(`Step 1 trade failed: ${txResult1.error || 'Unknown error'}`);
+				}
+
+				logger.info(`✅ STEP 1 COMPLETED! TXID: ${txResult1.txid}`);
+				costModel.markTokenAccountExists(tokenB.address);
+
+				// Leg 2 sells what leg 1 actually delivered, read from the landed transaction
+				const receivedAmount = await jupiter.getReceivedAmount(txResult1.txid, tokenB.address).catch(() => null);
+				if (receivedAmount && BigInt(receivedAmount) > BigInt(0)) {
+					txResult1.outputAmount = receivedAmount;
+				} else {
+					logger.warn(`⚠️ Could not read the step 1 fill from chain - using the quoted ${route1.outAmount}`);
+					txResult1.outputAmount = route1.outAmount;
+				}
+				logger.info(`💰 Received: ${toDecimal(txResult1.outputAmount, tokenB.decimals)} ${tokenB.symbol} (quoted ${toDecimal(route1.outAmount, tokenB.decimals)})`);
+
+				// Re-quote leg 2 for that amount and gate it on the recomputed round trip
+				const gateThresholds = getLegGateThresholds();
+				const gateStart = Date.now();
+				let step2Route = null;
+
+				while (!step2Route) {
+					const {routesInfos} = await jupiter.computeRoutes({
+						inputMint: tokenB.address,
+						outputMint: tokenA.address,
+						amount: txResult1.outputAmount,
+						slippageBps: protectionParams.slippage
+					});
+
+					if (!routesInfos[0]) {
+						throw new Error('Step 2 re-quote returned no route');
+					}
+
+					const gate = decideSecondLeg({
+						inputAmount: optimalSizeRaw,
+						requotedOutAmount: routesInfos[0].outAmount,
+						costLamports,
+						heldMs: Date.now() - gateStart
+					}, gateThresholds);
+
+					logger.info(`🚦 STEP 2 GATE: ${gate.action.toUpperCase()} (${gate.reason}) | Round trip now ${gate.pnlPercent.toFixed(4)}% vs max loss ${gateThresholds.maxLossPercent}%`);
+
+					if (gate.action === 'proceed') {
+						step2Route = routesInfos[0];
+					} else if (gate.action === 'recover') {
+						throw new Error(`Step 2 aborted: round trip ${gate.pnlPercent.toFixed(4)}% is past the ${gateThresholds.maxLossPercent}% max loss`);
+					} else {
+						await waitabit(2000);
+					}
+				}
+				finalRoute2 = step2Route._fullQuote;
+
+				// Execute Step 2: Intermediate Token → SOL
+				logger.info(`🔄 STEP 2: Swapping ${tokenB.symbol} → ${tokenA.symbol}`);
+
+				const exchange2 = await jupiter.exchange({ routeInfo: step2Route });
+				const swap2 = await exchange2.buildTransaction({ expectedProfitLamports: legProfitLamports });
+				txResult2 = await mevProtector.executeProtectedTransaction(
+					swap2.transaction,
+					protectionParams,
+					{ lastValidBlockHeight: swap2.lastValidBlockHeight, skipPreflight: swap2.preflighted, payer: wallet }
+				);
+
+				if (!txResult2.success) {
+					throw new Error(`Step 2 trade failed: ${txResult2.error || 'Unknown error'}`);
+				}
+
+				logger.info(`✅ STEP 2 COMPLETED! TXID: ${txResult2.txid}`);
+
+				// The round trip's result is what leg 2 actually returned, read from the landed transaction
+				const returnedAmount = await jupiter.getReceivedAmount(txResult2.txid, tokenA.address).catch(() => null);
+				if (returnedAmount && BigInt(returnedAmount) > BigInt(0)) {
+					txResult2.outputAmount = returnedAmount;
+				} else {
+					logger.warn(`⚠️ Could not read the step 2 fill from chain - using the quoted ${finalRoute2.outAmount}`);
+					txResult2.outputAmount = finalRoute2.outAmount;
+				}
+			}
+			logger.info(`💰 Final Amount: ${toDecimal(txResult2.outputAmount || finalRoute2.outAmount, tokenA.decimals)} ${tokenA.symbol}`);
+
+			// Calculate actual profit based on real execution results with CURRENT SOL PRICE
+			const currentSolPrice = await priceFeedService.getCurrentSOLPrice(); // Get fresh price
+			const actualInputAmount = BigInt(optimalSizeRaw.toString());
+			const actualOutputAmount = BigInt(txResult2.outputAmount || finalRoute2.outAmount);
+			const actualGrossAmount = actualOutputAmount - actualInputAmount;
+			const actualProfitAmount = actualGrossAmount - BigInt(costLamports);
+			actualGrossProfit = Number(actualGrossAmount * BigInt(10000) / actualInputAmount) / 100;
+			actualProfit = Number(actualProfitAmount * BigInt(10000) / actualInputAmount) / 100;
+
+			// Calculate actual USD profit with current price
+			const actualProfitSOL = Number(actualProfitAmount) / Math.pow(10, tokenA.decimals);
+			actualProfitUSD = actualProfitSOL * currentSolPrice;
+			actualGrossProfitUSD = Number(actualGrossAmount) / Math.pow(10, tokenA.decimals) * currentSolPrice;
+
+			finalTxid = txResult2.txid;
+
+			// Monitor for MEV attacks - the final transaction was quoted leg 2, or the whole round trip when atomic
+			const finalQuote = atomicMode
+				? { inputMint: tokenA.address, inAmount: optimalSizeRaw.toString(), outputMint: tokenA.address, outAmount: route2.outAmount }
+				: { inputMint: tokenB.address, inAmount: finalRoute2.inAmount, outputMint: tokenA.address, outAmount: finalRoute2.outAmount };
+			mevData = await mevProtector.monitorMEVAttack(finalTxid, profitPercent, optimalSizeSOL, finalQuote);
+
+			logger.info('🎉 DYNAMIC TRIANGULAR ARBITRAGE COMPLETED SUCCESSFULLY!');
+			logger.info(`💰 ACTUAL PROFIT: ${actualProfit > 0 ? '+' : ''}${actualProfit.toFixed(4)}%`);
+			logger.info(`💵 ACTUAL PROFIT USD: $${actualProfitUSD.toFixed(2)} net, $${actualGrossProfitUSD.toFixed(2)} gross (at SOL price $${currentSolPrice})`);
+			logger.info(`💵 PROFIT AMOUNT: ${toDecimal(actualProfitAmount, tokenA.decimals)} ${tokenA.symbol}`);
+
+			// Update dynamic trade sizer with actual results
+			dynamicTradeSizer.updateActualPerformance(
+				`${tokenA.symbol}-${tokenB.symbol}`,
+				optimalSizeSOL,
+				actualProfit,
+				actualProfit > 0
+			);
+
+		} catch (realTradeError) {
+			logger.error(`❌ Real trade execution failed: ${realTradeError.message}`);
+
+			// A simulation veto before leg 1 means nothing was sent
+			const vetoed = transactionSimulator.isVetoError(realTradeError);
+			const nothingSent = vetoed && !txResult1?.success;
+
+			// A failed atomic round trip reverts whole and a failed bundle lands nothing
+			const allOrNothing = atomicMode || bundleMode;
+			if (allOrNothing) {
+				logger.info(`${atomicMode ? '⚛️ Atomic round trip' : '📦 Bundled round trip'} did not land - no intermediate tokens left in the wallet`);
+			}
+
+			// Leg 1 landed but leg 2 did not: the intermediate token is still in the wallet
+			let strandedPosition = null;
+			if (!allOrNothing && txResult1?.success) {
+				strandedPosition = await inventoryRecovery.handleFailedCycle({
+					pair: opportunity.pair,
+					tokenA,
+					tokenB,
+					costBasis: optimalSizeRaw,
+					expectedAmount: txResult1.outputAmount,
+					step1Txid: txResult1.txid
+				});
+			}
+
+			// Update sizer with failure: nothing lost when nothing landed, the whole trade otherwise
+			dynamicTradeSizer.updateActualPerformance(
+				`${tokenA.symbol}-${tokenB.symbol}`,
+				optimalSizeSOL,
+				allOrNothing || nothingSent ? 0 : -100,
+				false
+			);
+
+			// Still record the attempt but mark as failed
+			actualProfit = allOrNothing || nothingSent ? 0 : -100;
+			// Stranded inventory is settled by recovery, otherwise mark as loss of full trade value
+			actualProfitUSD = allOrNothing || nothingSent || strandedPosition ? 0 : -totalValue;
+			finalTxid = `failed_${Date.now()}`;
+
+			return {
+				success: false,
+				error: realTradeError,
+				simulation: vetoed ? realTradeError.simulation : null,
+				profitPercent: actualProfit,
+				profitUSD: actualProfitUSD,
+				txid: finalTxid
+			};
+		}
+	} else {
+		// SIMULATION MODE
+		logger.info('💡 SIMULATION MODE - Trade execution simulated');
+		finalTxid = `simulation_${Date.now()}`;
+
+		// The wallet's own transaction is simulated on chain. Chained or bundled, leg 2 would
+		// sell tokens the wallet does not hold yet, so only leg 1 can be simulated.
+		try {
+			if (cache.config.executionMode === 'atomic') {
+				txResult2 = await jupiter.executeAtomicRoundTrip({ route1, route2 });
+				txResult1 = txResult2;
+			} else if (cache.config.executionMode === 'bundle') {
+				txResult2 = await jupiter.executeBundledCycle({
+					routes: [route1, route2],
+					bundleConfig: await mevProtector.prepareBundleConfig(optimalSizeSOL, grossProfitPercent)
+				});
+				txResult1 = txResult2;
+			} else {
+				const exchange1 = await jupiter.exchange({ routeInfo: step1Route });
+				txResult1 = await exchange1.execute();
+			}
+		} catch (simulationError) {
+			if (!transactionSimulator.isVetoError(simulationError)) throw simulationError;
+
+			return {
+				success: false,
+				error: simulationError,
+				simulation: simulationError.simulation,
+				profitPercent: 0,
+				profitUSD: 0,
+				txid: null
+			};
+		}
+
+		// In simulation, use expected profit with current SOL price
+		actualProfit = profitPercent;
+		actualProfitUSD = profitUSD;
+	}
+
+	return {
+		success: actualProfit > 0,
+		profitPercent: actualProfit,
+		profitUSD: actualProfitUSD,
+		grossProfitPercent: actualGrossProfit,
+		grossProfitUSD: actualGrossProfitUSD,
+		txid: finalTxid,
+		txResult1,
+		txResult2,
+		finalRoute2,
+		mevData
+	};
+};
+
+// Trade history, counters, balance tracking and the trade summary
+const onResult = async (result, {tokenA, tokenB, solPriceUSD, optimalResult}, {date}) => {
+	if (result.error) {
+		logger.error(`❌ Trade execution failed: ${result.error.message}`);
+
+		// Record failed trade
+		if (!cache.tradeCounter.buy) cache.tradeCounter.buy = { success: 0, fail: 0 };
+		cache.tradeCounter.buy.fail++;
+
+		// Every failed trade is kept in the history with its error, a vetoed one with why its simulation failed
+		if (cache.config.storeFailedTxInHistory) {
+			if (!cache.tradeHistory) cache.tradeHistory = [];
+			cache.tradeHistory.push({
+				date: date.toLocaleString(),
+				buy: true,
+				inputToken: tokenA.symbol,
+				outputToken: tokenA.symbol,
+				intermediateToken: tokenB.symbol,
+				inAmount: optimalResult.sizeSOL,
+				inAmountUSD: optimalResult.totalValue,
+				solPriceAtTrade: solPriceUSD,
+				expectedProfit: optimalResult.profitPercent,
+				expectedProfitUSD: optimalResult.profitUSD,
+				actualProfit: result.profitPercent,
+				actualProfitUSD: result.profitUSD,
+				tradeType: 'DYNAMIC_TRIANGULAR_ARBITRAGE',
+				executionMode: cache.config.executionMode,
+				route: `${tokenA.symbol} → ${tokenB.symbol} → ${tokenA.symbol}`,
+				txid: result.txid || null,
+				mode: cache.tradingEnabled ? 'LIVE' : 'SIMULATION',
+				success: false,
+				error: result.error.message,
+				...(result.simulation ? transactionSimulator.getHistoryFields(result.simulation) : {})
+			});
+		}
+		return;
+	}
+
+	const {
+		sizeSOL: optimalSizeSOL,
+		profitPercent,
+		profitUSD,
+		grossProfitPercent,
+		grossProfitUSD,
+		costLamports,
+		costUSD,
+		totalValue,
+		totalPriceImpact,
+		route2
+	} = optimalResult;
+	const {
+		profitPercent: actualProfit,
+		profitUSD: actualProfitUSD,
+		grossProfitPercent: actualGrossProfit,
+		grossProfitUSD: actualGrossProfitUSD,
+		txid: finalTxid,
+		txResult1,
+		txResult2,
+		finalRoute2
+	} = result;
+
+	// Record transaction performance
+	logger.performance('dynamic_triangular_arbitrage', 6000, {
+		success: actualProfit > 0,
+		profit: actualProfit,
+		profitUSD: actualProfitUSD,
+		optimalSize: optimalSizeSOL,
+		solPrice: solPriceUSD,
+		route: `${tokenA.symbol}-${tokenB.symbol}-${tokenA.symbol}`,
+		txid: finalTxid,
+		mode: cache.tradingEnabled ? 'live' : 'simulation',
+		mevProtected: mevProtector.enabled
+	});
+
+	// Store trade to the history - WITH ENHANCED DETAILS
+	const tradeEntry = {
+		date: date.toLocaleString(),
+		buy: true,
+		inputToken: tokenA.symbol,
+		outputToken: tokenA.symbol,
+		intermediateToken: tokenB.symbol,
+		inAmount: optimalSizeSOL,
+		inAmountUSD: totalValue,
+		solPriceAtTrade: solPriceUSD,
+		expectedOutAmount: toDecimal(route2.outAmount, tokenA.decimals),
+		actualOutAmount: toDecimal(txResult2?.outputAmount || finalRoute2.outAmount, tokenA.decimals),
+		expectedProfit: profitPercent,
+		expectedProfitUSD: profitUSD,
+		expectedGrossProfit: grossProfitPercent,
+		expectedGrossProfitUSD: grossProfitUSD,
+		estimatedCost: toDecimal(costLamports, tokenA.decimals),
+		estimatedCostUSD: costUSD,
+		actualProfit: actualProfit,
+		actualProfitUSD: actualProfitUSD,
+		actualGrossProfit: actualGrossProfit,
+		actualGrossProfitUSD: actualGrossProfitUSD,
+		slippage: (parseInt(process.env.MAX_SLIPPAGE_PERCENT * 100) || 100) / 100,
+		priceImpact: totalPriceImpact,
+		tradeType: 'DYNAMIC_TRIANGULAR_ARBITRAGE',
+		tradingStrategy: 'OPTIMAL_SIZING',
+		executionMode: cache.config.executionMode,
+		route: `${tokenA.symbol} → ${tokenB.symbol} → ${tokenA.symbol}`,
+		txid: finalTxid,
+		step1Txid: txResult1?.txid || null,
+		step2Txid: txResult2?.txid || null,
+		bundleId: txResult2?.bundleId || null,
+		mode: cache.tradingEnabled ? 'LIVE' : 'SIMULATION',
+		success: actualProfit > 0,
+		mevProtected: mevProtector.enabled,
+		sandwichedBy: result.mevData?.attacker || null,
+		mevLossSOL: result.mevData?.estimatedMEVLoss || 0,
+		optimalSize: optimalSizeSOL,
+		sizeOptimization: 'DYNAMIC',
+		profitabilityScore: (actualProfitUSD / totalValue) * 100, // ROI as percentage
+		tradeSizeRank: optimalSizeSOL / parseFloat(process.env.MAX_TRADE_SIZE_SOL) * 100 // Size utilization %
+	};
+
+	// Add to trade history safely
+	if (!cache.tradeHistory) cache.tradeHistory = [];
+	cache.tradeHistory.push(tradeEntry);
+
+	// Update counters safely
+	if (!cache.tradeCounter.buy) cache.tradeCounter.buy = { success: 0, fail: 0 };
+
+	if (actualProfit > 0) {
+		cache.tradeCounter.buy.success++;
+		logger.info(`✅ SUCCESSFUL DYNAMIC ARBITRAGE TRADE #${cache.tradeCounter.buy.success}`);
+	} else {
+		cache.tradeCounter.buy.fail++;
+		logger.error(`❌ FAILED DYNAMIC ARBITRAGE TRADE #${cache.tradeCounter.buy.fail}`);
+	}
+
+	// Update balance tracking for arbitrage
+	if (cache.tradingEnabled && actualProfit > 0) {
+		const profitAmount = (actualProfit / 100) * optimalSizeSOL;
+		const newBalance = cache.currentBalance.tokenA + toNumber(profitAmount, tokenA.decimals);
+		cache.lastBalance.tokenA = cache.currentBalance.tokenA;
+		cache.currentBalance.tokenA = newBalance;
+
+		// Update cumulative profit
+		cache.currentProfit.tokenA = calculateProfit(
+			String(cache.initialBalance.tokenA),
+			String(cache.currentBalance.tokenA)
+		);
+
+		logger.info(`💰 UPDATED BALANCE: ${toDecimal(cache.currentBalance.tokenA, tokenA.decimals)} ${tokenA.symbol}`);
+		logger.info(`📈 CUMULATIVE PROFIT: ${cache.currentProfit.tokenA.toFixed(4)}%`);
+	}
+
+	// Calculate profitability metrics
+	const roi = (actualProfitUSD / totalValue) * 100;
+	const profitPerHour = actualProfitUSD * (3600000 / (parseInt(process.env.UPDATE_INTERVAL) || 8000));
+	const sizeEfficiency = (optimalSizeSOL / parseFloat(process.env.MAX_TRADE_SIZE_SOL)) * 100;
+
+	logger.info('═'.repeat(80));
+	logger.info(`📊 DYNAMIC TRADE SUMMARY:`);
+	logger.info(`🎯 Success: ${actualProfit > 0 ? 'YES ✅' : 'NO ❌'}`);
+	logger.info(`⚡ Optimal Size: ${optimalSizeSOL} SOL (${sizeEfficiency.toFixed(1)}% of max)`);
+	logger.info(`📈 Profit: ${actualProfit.toFixed(4)}% | ${actualProfitUSD.toFixed(2)} USD`);
+	logger.info(`💎 ROI: ${roi.toFixed(2)}% | Est. $/hour: ${profitPerHour.toFixed(2)}`);
+	logger.info(`💰 SOL Price: ${solPriceUSD} ${priceFeedService.getPriceSummary().trend}`);
+	logger.info(`🛡️ MEV Protected: ${mevProtector.enabled ? 'YES' : 'NO'}`);
+	logger.info(`🆔 TX ID: ${finalTxid}`);
+	logger.info(`📊 Total: ✅ ${cache.tradeCounter.buy.success} | ❌ ${cache.tradeCounter.buy.fail} | Success Rate: ${cache.tradeCounter.buy.success + cache.tradeCounter.buy.fail > 0 ? ((cache.tradeCounter.buy.success / (cache.tradeCounter.buy.success + cache.tradeCounter.buy.fail)) * 100).toFixed(1) : 0}%`);
+	logger.info('═'.repeat(80));
+};
+
+module.exports = {
+	name: "arbitrage",
+	description: "Round trip tokenA → tokenB → tokenA at the optimal size",
+	rotation: !parallelScan,
+	scan,
+	decide,
+	execute,
+	onResult,
+};
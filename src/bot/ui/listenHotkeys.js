@@ -5,6 +5,7 @@ const { DISCORD_INVITE_URL } = require("../../constants");
 const { logExit } = require("../exit");
 const cache = require("../cache");
 const { rotateToNextToken } = require("../setup");
+const quoteCassette = require("../../utils/quoteCassette");
 
 const listenHotkeys = () => {
 	keypress(process.stdin);
@@ -65,7 +66,7 @@ const listenHotkeys = () => {
 		}
 
 		// [S] - simulation mode switch
-		if (key && key.name === "s") {
+		if (key && key.name === "s" && !quoteCassette.isReplaying()) {
 			cache.tradingEnabled = !cache.tradingEnabled;
 		}
 
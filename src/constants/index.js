@@ -87,6 +87,31 @@ const CONFIG_INITIAL_STATE = {
 	},
 };
 
+// Intermediate tokens for SOL → X → SOL triangular arbitrage
+const INTERMEDIATE_TOKENS = [
+	{
+		address: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", // USDC
+		symbol: "USDC",
+		decimals: 6
+	},
+	{
+		address: "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB", // USDT
+		symbol: "USDT", 
+		decimals: 6
+	},
+	{
+		address: "7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs", // ETH
+		symbol: "ETH",
+		decimals: 8
+	},
+	{
+		address: "JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN", // JUP
+		symbol: "JUP",
+		decimals: 6
+	}
+];
+
 module.exports = {
 	CONFIG_INITIAL_STATE,
+	INTERMEDIATE_TOKENS,
 };
\ No newline at end of file
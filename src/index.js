@@ -11,6 +11,7 @@ const configValidator = require("./utils/configValidator");
 const memoryManager = require("./utils/memoryManager");
 const healthMonitor = require("./utils/healthMonitor");
 const transactionValidator = require("./utils/transactionValidator");
+const rpcPool = require("./utils/rpcPool");
 
 const chalk = require("chalk");
 const ora = require("ora-classic");
@@ -45,10 +46,11 @@ try {
     
     checkArbReady = async () => {
         try {
-            const { Connection, Keypair } = require("@solana/web3.js");
+            const { Keypair } = require("@solana/web3.js");
             const bs58 = require("bs58");
             
-            const connection = new Connection(process.env.DEFAULT_RPC);
+            // Throws when no RPC endpoint is configured
+            rpcPool.getConnection();
             const wallet = Keypair.fromSecretKey(bs58.decode(process.env.SOLANA_WALLET_PRIVATE_KEY));
             
             console.log(chalk.green(`Wallet connected successfully: ${wallet.publicKey.toString()}`));
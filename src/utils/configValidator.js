@@ -38,7 +38,7 @@ class ConfigValidator {
             'TRADE_SIZE_SOL': { type: 'number', min: 0.001, max: 100 },
             'MIN_PROFIT_THRESHOLD': { type: 'number', min: 0, max: 100 },
             'MAX_SLIPPAGE_PERCENT': { type: 'number', min: 0.1, max: 50 },
-            'PRIORITY': { type: 'integer', min: 1, max: 1000000 },
+            'PRIORITY': { type: 'integer', min: 1, max: 1000000, allow: ['dynamic'] },
             'MIN_INTERVAL_MS': { type: 'integer', min: 100, max: 3600000 },
             'UPDATE_INTERVAL': { type: 'integer', min: 1000, max: 3600000 },
             'TOKEN_ROTATION_INTERVAL_MINUTES': { type: 'integer', min: 1, max: 1440 },
@@ -141,6 +141,7 @@ class ConfigValidator {
             const value = validation.config[fieldName];
             
             if (!value) continue;
+            if (rules.allow && rules.allow.includes(value)) continue;
 
             try {
                 switch (rules.type) {
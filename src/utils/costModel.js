@@ -0,0 +1,168 @@
+const { PublicKey } = require('@solana/web3.js');
+const logger = require('./logger');
+const priorityFeeEstimator = require('./priorityFeeEstimator');
+const tipOptimizer = require('./tipOptimizer');
+
+const LAMPORTS_PER_SOL = 1000000000;
+const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+
+// Rent-exempt minimum for a 165 byte SPL token account
+const TOKEN_ACCOUNT_RENT_LAMPORTS = 2039280;
+
+/**
+ * All-in cost estimates for a round trip, so profit checks run on net numbers
+ */
+class CostModel {
+    constructor() {
+        this.baseFeeLamports = 5000; // per signature
+        this.computeUnitsPerLeg = parseInt(process.env.COMPUTE_UNITS_PER_LEG) || 300000;
+        this.includeJitoTip = process.env.ENABLE_MEV_PROTECTION === 'true' && process.env.USE_JITO_BUNDLES === 'true';
+
+        // Intermediate mints the wallet already holds a token account for
+        this.tokenAccounts = new Set();
+    }
+
+    /**
+     * Jito tip in SOL for a trade of tradeSize SOL expected to make expectedProfit percent,
+     * as the tip optimizer would pay it
+     */
+    calculateBundleTip(tradeSize, expectedProfit) {
+        return tipOptimizer.getTipSOL(tradeSize, expectedProfit);
+    }
+
+    /**
+     * Compute unit price estimates assume (micro-lamports per CU, as transactions pay it) -
+     * the latest sampled price when PRIORITY=dynamic
+     */
+    getPriorityMicroLamports() {
+        return priorityFeeEstimator.getExpectedMicroLamports();
+    }
+
+    /**
+     * Network fee for one transaction: signatures plus compute unit price times units
+     */
+    estimateTransactionFeeLamports({
+        computeUnits = this.computeUnitsPerLeg,
+        priorityMicroLamports = this.getPriorityMicroLamports(),
+        signatures = 1,
+        baseFeeLamports = this.baseFeeLamports
+    } = {}) {
+        return signatures * baseFeeLamports + priorityFeeEstimator.toFeeLamports(priorityMicroLamports, computeUnits);
+    }
+
+    /**
+     * Cost breakdown for a SOL → X → SOL round trip, or an N-hop cycle through tokenMints
+     */
+    estimateRoundTripCost({
+        tokenMint = null,
+        tokenMints = tokenMint ? [tokenMint] : [],
+        hops = 2,
+        tradeSizeSOL = 0,
+        grossProfitPercent = 0,
+        executionMode = process.env.EXECUTION_MODE || 'sequential',
+        tokenAccountExists = null,
+        includeJitoTip = this.includeJitoTip,
+        ...feeOverrides
+    } = {}) {
+        const computeUnits = feeOverrides.computeUnits || this.computeUnitsPerLeg;
+
+        // Atomic mode is one transaction: one signature, with every hop's compute units.
+        // Sequential pays a signature per hop, bundle mode one per hop plus the tip transaction's
+        const legs = executionMode === 'atomic'
+            ? [this.estimateTransactionFeeLamports({ ...feeOverrides, computeUnits: computeUnits * hops })]
+            : Array.from({ length: hops }, () => this.estimateTransactionFeeLamports({ ...feeOverrides, computeUnits }));
+        if (executionMode === 'bundle') {
+            legs.push(this.estimateTransactionFeeLamports({ ...feeOverrides, computeUnits: 0 }));
+        }
+
+        const networkFeeLamports = legs.reduce((sum, fee) => sum + fee, 0);
+        const jitoTipLamports = includeJitoTip || executionMode === 'bundle'
+            ? Math.round(this.calculateBundleTip(tradeSizeSOL, grossProfitPercent) * LAMPORTS_PER_SOL)
+            : 0;
+
+        // tokenAccountExists overrides the lookup for every mint
+        const missingAccounts = tokenAccountExists === null
+            ? tokenMints.filter(mint => !this.hasTokenAccount(mint)).length
+            : (tokenAccountExists ? 0 : tokenMints.length);
+        const ataRentLamports = missingAccounts * TOKEN_ACCOUNT_RENT_LAMPORTS;
+
+        return {
+            legFeesLamports: legs,
+            networkFeeLamports,
+            jitoTipLamports,
+            ataRentLamports,
+            totalLamports: networkFeeLamports + jitoTipLamports + ataRentLamports
+        };
+    }
+
+    /**
+     * Net profit figures for a quoted round trip (amounts in lamports)
+     */
+    applyCosts({ inputAmount, outputAmount, sizeSOL, solPriceUSD, tokenMint, tokenMints, hops }, options = {}) {
+        const input = BigInt(inputAmount.toString());
+        const grossProfitAmount = BigInt(outputAmount.toString()) - input;
+        const grossProfitPercent = Number(grossProfitAmount * BigInt(10000) / input) / 100;
+
+        const costs = this.estimateRoundTripCost({
+            tokenMint,
+            tokenMints,
+            hops,
+            tradeSizeSOL: sizeSOL,
+            grossProfitPercent,
+            ...options
+        });
+
+        const netProfitAmount = grossProfitAmount - BigInt(costs.totalLamports);
+        const netProfitPercent = Number(netProfitAmount * BigInt(10000) / input) / 100;
+        const tradeSizeUSD = sizeSOL * solPriceUSD;
+
+        return {
+            grossProfitAmount: Number(grossProfitAmount),
+            grossProfitPercent,
+            grossProfitUSD: (grossProfitPercent / 100) * tradeSizeUSD,
+            netProfitAmount: Number(netProfitAmount),
+            netProfitPercent,
+            netProfitUSD: (netProfitPercent / 100) * tradeSizeUSD,
+            costLamports: costs.totalLamports,
+            costUSD: costs.totalLamports / LAMPORTS_PER_SOL * solPriceUSD,
+            costs
+        };
+    }
+
+    /**
+     * Whether the wallet has a token account for a mint (unknown counts as missing)
+     */
+    hasTokenAccount(mint) {
+        return this.tokenAccounts.has(mint.toString());
+    }
+
+    markTokenAccountExists(mint) {
+        this.tokenAccounts.add(mint.toString());
+    }
+
+    /**
+     * Load the wallet's existing token accounts so ATA rent is only charged when due
+     */
+    async refreshTokenAccounts(connection, owner) {
+        try {
+            const { value } = await connection.getParsedTokenAccountsByOwner(owner, {
+                programId: TOKEN_PROGRAM_ID
+            });
+
+            value.forEach(account => {
+                this.tokenAccounts.add(account.account.data.parsed.info.mint);
+            });
+
+            logger.debug(`Loaded ${this.tokenAccounts.size} existing token accounts for cost estimates`);
+        } catch (error) {
+            logger.warn('Could not load token accounts, ATA rent will be charged on every estimate:', error.message);
+        }
+
+        return this.tokenAccounts.size;
+    }
+}
+
+// Create singleton instance
+const costModel = new CostModel();
+
+module.exports = costModel;
@@ -0,0 +1,283 @@
+const logger = require('./logger');
+const costModel = require('./costModel');
+const quoteCache = require('./quoteCache');
+const dynamicTradeSizer = require('./dynamicTradeSizer');
+const { getQuoteAllowance } = require('./jupiterApiClient');
+const { toNumber } = require('./index');
+
+const MIN_CYCLE_HOPS = 2;
+const MAX_CYCLE_HOPS = 4;
+const PATHS_PER_NODE = 5;
+const FAILED_EDGE_RETRY_MS = 10 * 60000;
+
+/**
+ * Finds profitable cycles through the base token on a directed graph of quoted rates.
+ * Every round refreshes the stalest edges within a quote budget capped by what is left
+ * of the Jupiter allowance in the rate limiter, then runs a bounded Bellman-Ford pass over
+ * -log(rate) weights: a cycle whose weights sum below zero returns more than it started
+ * with. Cycles are ranked by expected net profit at the probe size.
+ *
+ * The round's budget also pays for sizing its top candidates, and the graph only spans
+ * as many mints as the refreshes left over can keep younger than the edge max age.
+ */
+class CycleDiscovery {
+    constructor() {
+        this.quoteBudget = parseInt(process.env.DISCOVERY_QUOTE_BUDGET) || 25;
+        this.topCandidates = parseInt(process.env.DISCOVERY_TOP_CANDIDATES) || 1;
+        this.maxCycleHops = Math.min(MAX_CYCLE_HOPS, Math.max(MIN_CYCLE_HOPS, parseInt(process.env.DISCOVERY_MAX_CYCLE_HOPS) || 3));
+        this.probeSizeSOL = parseFloat(process.env.DISCOVERY_PROBE_SIZE_SOL) || 0.05;
+        this.edgeMaxAgeMs = parseInt(process.env.DISCOVERY_EDGE_MAX_AGE_MS) || 120000;
+        this.slippageBps = parseInt(process.env.MAX_SLIPPAGE_PERCENT * 100) || 100;
+
+        // Where quotes come from - the backtester swaps in a snapshot store. Live
+        // scanning quotes queue in the background lane, behind execution traffic
+        this.quoteProvider = (inputMint, outputMint, amount, slippageBps) =>
+            quoteCache.getQuote(inputMint, outputMint, amount, slippageBps, { priority: 'background' });
+
+        this.baseToken = null;
+        this.tokens = new Map(); // address -> token, base included
+        this.edges = new Map(); // "from:to" -> quoted edge
+        this.stats = { rounds: 0, quotes: 0, failedQuotes: 0, cyclesFound: 0 };
+    }
+
+    /**
+     * Set the mints the graph spans; cycles always start and end at baseToken
+     */
+    setUniverse(baseToken, tokens) {
+        this.baseToken = baseToken;
+        this.tokens = new Map([[baseToken.address, baseToken]]);
+
+        const maxMints = this.getMaxMints();
+        const dropped = [];
+        tokens
+            .filter(token => token && token.address && Number.isInteger(token.decimals))
+            .forEach(token => {
+                if (this.tokens.has(token.address)) return;
+                if (this.tokens.size >= maxMints) {
+                    dropped.push(token.symbol);
+                    return;
+                }
+                this.tokens.set(token.address, token);
+            });
+
+        if (dropped.length > 0) {
+            logger.warn(`⚠️ Discovery graph capped at ${maxMints} mints, the edges the quote budget keeps fresh - left out: ${dropped.join(', ')}`);
+        }
+
+        // Forget edges to mints that left the universe
+        for (const [key, edge] of this.edges) {
+            if (!this.tokens.has(edge.from) || !this.tokens.has(edge.to)) {
+                this.edges.delete(key);
+            }
+        }
+
+        logger.info(`🕸️ Discovery graph: ${this.tokens.size} mints, up to ${this.tokens.size * (this.tokens.size - 1)} edges, cycles of ${MIN_CYCLE_HOPS}-${this.maxCycleHops} hops`);
+    }
+
+    /**
+     * Quotes a round keeps back for the sizer, enough for its top candidates at the longest cycle length
+     */
+    getSizingQuotes() {
+        return this.topCandidates * dynamicTradeSizer.estimateQuoteCount(this.maxCycleHops);
+    }
+
+    /**
+     * Most mints whose edges all stay younger than the edge max age. Rounds spend the whole
+     * budget, so at the Jupiter limit one runs at most every quoteBudget / limit minutes.
+     */
+    getMaxMints() {
+        const refreshesPerRound = Math.max(0, this.quoteBudget - this.getSizingQuotes());
+        const roundsPerMaxAge = (this.edgeMaxAgeMs / 60000) * getQuoteAllowance().limit / this.quoteBudget;
+        const freshEdges = Math.floor(refreshesPerRound * roundsPerMaxAge);
+
+        // n mints span n * (n - 1) edges
+        return Math.max(MIN_CYCLE_HOPS, Math.floor((1 + Math.sqrt(1 + 4 * freshEdges)) / 2));
+    }
+
+    /**
+     * Raw amount of a token worth about the probe size, from the latest base → token quote
+     */
+    getProbeAmount(address) {
+        if (address === this.baseToken.address) {
+            return toNumber(this.probeSizeSOL, this.baseToken.decimals);
+        }
+
+        const edge = this.edges.get(`${this.baseToken.address}:${address}`);
+        return edge && edge.weight !== null ? edge.outAmount : null;
+    }
+
+    /**
+     * Edges ordered stalest first, base edges first among equals since they set the probe amounts
+     */
+    getRefreshQueue(now) {
+        const queue = [];
+        const base = this.baseToken.address;
+
+        for (const from of this.tokens.keys()) {
+            for (const to of this.tokens.keys()) {
+                if (from === to) continue;
+
+                const edge = this.edges.get(`${from}:${to}`);
+                if (edge?.failedAt && now - edge.failedAt < FAILED_EDGE_RETRY_MS) continue;
+
+                queue.push({ from, to, quotedAt: edge?.quotedAt || 0, fromBase: from === base });
+            }
+        }
+
+        return queue.sort((a, b) => (a.quotedAt - b.quotedAt) || (b.fromBase - a.fromBase));
+    }
+
+    /**
+     * Refresh up to the quote budget of edges, never more than the Jupiter allowance has
+     * left - in both cases after the quotes kept back for sizing
+     */
+    async refreshEdges() {
+        const allowance = getQuoteAllowance();
+        const sizingQuotes = this.getSizingQuotes();
+        const budget = Math.max(0, Math.min(this.quoteBudget, allowance.remaining) - sizingQuotes);
+        let used = 0;
+
+        if (budget === 0) {
+            logger.debug(`Discovery skipping refresh - Jupiter allowance frees up in ${Math.ceil(allowance.resetInMs / 1000)}s`);
+            return 0;
+        }
+
+        for (const { from, to } of this.getRefreshQueue(Date.now())) {
+            if (used >= budget) break;
+
+            const amount = this.getProbeAmount(from);
+            if (!amount) continue; // No base → from quote yet to size it with
+
+            used++;
+            const key = `${from}:${to}`;
+
+            try {
+                const quote = await this.quoteProvider(from, to, amount.toString(), this.slippageBps);
+                if (!quote || !quote.outAmount || quote.outAmount === '0') {
+                    throw new Error('No route available');
+                }
+
+                const rate = Number(quote.outAmount) / Number(amount);
+                this.edges.set(key, {
+                    from,
+                    to,
+                    inAmount: amount.toString(),
+                    outAmount: quote.outAmount,
+                    rate,
+                    weight: -Math.log(rate),
+                    priceImpact: parseFloat(quote.priceImpactPct || 0),
+                    quotedAt: Date.now(),
+                    failedAt: null
+                });
+            } catch (error) {
+                this.stats.failedQuotes++;
+                this.edges.set(key, { from, to, weight: null, quotedAt: Date.now(), failedAt: Date.now() });
+                logger.debug(`Discovery edge ${this.tokens.get(from).symbol} → ${this.tokens.get(to).symbol} unavailable: ${error.message}`);
+            }
+        }
+
+        this.stats.quotes += used;
+        return used;
+    }
+
+    /**
+     * Bounded Bellman-Ford from the base token: each relaxation round extends the lightest
+     * few paths per node by one hop, and paths that reach the base again are cycles
+     */
+    searchCycles(now = Date.now()) {
+        const base = this.baseToken.address;
+        const usable = [...this.edges.values()].filter(edge => edge.weight !== null && now - edge.quotedAt <= this.edgeMaxAgeMs);
+        const cycles = [];
+        let frontier = [{ node: base, path: [base], weight: 0 }];
+
+        for (let hops = 1; hops <= this.maxCycleHops && frontier.length > 0; hops++) {
+            const relaxed = new Map(); // node -> candidate paths
+
+            for (const label of frontier) {
+                for (const edge of usable) {
+                    if (edge.from !== label.node) continue;
+
+                    const weight = label.weight + edge.weight;
+                    if (edge.to === base) {
+                        if (hops >= MIN_CYCLE_HOPS) {
+                            cycles.push({ path: [...label.path, base], weight });
+                        }
+                        continue;
+                    }
+                    if (label.path.includes(edge.to)) continue;
+
+                    if (!relaxed.has(edge.to)) relaxed.set(edge.to, []);
+                    relaxed.get(edge.to).push({ node: edge.to, path: [...label.path, edge.to], weight });
+                }
+            }
+
+            frontier = [...relaxed.values()].flatMap(paths => paths.sort((a, b) => a.weight - b.weight).slice(0, PATHS_PER_NODE));
+        }
+
+        // Negative total weight means the rate product is above 1
+        return cycles.filter(cycle => cycle.weight < 0);
+    }
+
+    /**
+     * Expected profit of a cycle at the probe size, net of fees and account rent
+     */
+    scoreCycle({ path, weight }, solPriceUSD) {
+        const tokens = path.map(address => this.tokens.get(address));
+        const hops = path.length - 1;
+        const grossProfitPercent = (Math.exp(-weight) - 1) * 100;
+        const costs = costModel.estimateRoundTripCost({
+            tokenMints: path.slice(1, -1),
+            hops,
+            tradeSizeSOL: this.probeSizeSOL,
+            grossProfitPercent
+        });
+        const probeLamports = toNumber(this.probeSizeSOL, this.baseToken.decimals);
+        const netProfitPercent = grossProfitPercent - costs.totalLamports / probeLamports * 100;
+
+        return {
+            name: tokens.map(token => token.symbol).join('-'),
+            path: tokens,
+            hops,
+            grossProfitPercent,
+            netProfitPercent,
+            netProfitUSD: (netProfitPercent / 100) * this.probeSizeSOL * solPriceUSD,
+            costLamports: costs.totalLamports
+        };
+    }
+
+    /**
+     * One discovery round: refresh edges, search, and rank cycles by expected net profit
+     */
+    async discover(solPriceUSD = 100) {
+        if (!this.baseToken) {
+            throw new Error('Discovery universe not set');
+        }
+
+        this.stats.rounds++;
+        const quotesUsed = await this.refreshEdges();
+        const ranked = this.searchCycles()
+            .map(cycle => this.scoreCycle(cycle, solPriceUSD))
+            .sort((a, b) => b.netProfitUSD - a.netProfitUSD);
+
+        this.stats.cyclesFound += ranked.length;
+
+        const liveEdges = [...this.edges.values()].filter(edge => edge.weight !== null).length;
+        logger.info(`🕸️ Discovery round ${this.stats.rounds}: ${quotesUsed} quotes, ${liveEdges} live edges, ${ranked.length} profitable cycle(s)`);
+
+        return ranked;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            mints: this.tokens.size,
+            edges: this.edges.size,
+            liveEdges: [...this.edges.values()].filter(edge => edge.weight !== null).length
+        };
+    }
+}
+
+// Create singleton instance
+const cycleDiscovery = new CycleDiscovery();
+
+module.exports = cycleDiscovery;
@@ -1,5 +1,6 @@
 const logger = require('./logger');
-const { getQuote } = require('./jupiterApiClient');
+const quoteCache = require('./quoteCache');
+const costModel = require('./costModel');
 const { toDecimal, toNumber } = require('./index');
 
 class DynamicTradeSizer {
@@ -11,13 +12,20 @@ class DynamicTradeSizer {
         this.minProfitThreshold = parseFloat(process.env.MIN_PROFIT_THRESHOLD) || 0.3;
         this.minProfitUSD = parseFloat(process.env.MIN_PROFIT_USD) || 0.50;
         this.maxPriceImpact = parseFloat(process.env.MAX_PRICE_IMPACT_PERCENT) || 2.0;
-        this.sizeTestDelay = parseInt(process.env.SIZE_TEST_DELAY_MS) || 500;
         this.logTests = process.env.LOG_SIZE_TESTS === 'true';
         
         // Performance tracking
         this.performanceHistory = new Map(); // tokenPair -> performance data
         this.lastOptimalSizes = new Map(); // tokenPair -> last optimal size
         
+        // Where quotes come from - the backtester swaps in a snapshot store. Live
+        // scanning quotes queue in the background lane, behind execution traffic
+        this.quoteProvider = (inputMint, outputMint, amount, slippageBps) =>
+            quoteCache.getQuote(inputMint, outputMint, amount, slippageBps, { priority: 'background' });
+        
+        // Cost model options for net profit - the backtester passes its fee model
+        this.costOptions = {};
+        
         logger.info('Dynamic Trade Sizer initialized', {
             maxSize: this.maxTradeSize,
             minSize: this.minTradeSize,
@@ -30,8 +38,30 @@ class DynamicTradeSizer {
      * Find optimal trade size for maximum MEV capture
      */
     async findOptimalTradeSize(tokenA, tokenB, solPriceUSD = 100) {
-        const tokenPair = `${tokenA.symbol}-${tokenB.symbol}`;
-        
+        return this.searchTradeSizes(
+            `${tokenA.symbol}-${tokenB.symbol}`,
+            tokenA,
+            solPriceUSD,
+            (sizeRaw, sizeSOL) => this.testTriangularRoute(tokenA, tokenB, sizeRaw, sizeSOL, solPriceUSD)
+        );
+    }
+
+    /**
+     * Find optimal trade size for an N-hop cycle that starts and ends in path[0]
+     */
+    async findOptimalCycleSize(path, solPriceUSD = 100, label = path.map(token => token.symbol).join('-')) {
+        return this.searchTradeSizes(
+            label,
+            path[0],
+            solPriceUSD,
+            (sizeRaw, sizeSOL) => this.testCycleRoute(path, sizeRaw, sizeSOL, solPriceUSD)
+        );
+    }
+
+    /**
+     * Test every candidate size with testRoute and keep the best scoring result
+     */
+    async searchTradeSizes(tokenPair, tokenA, solPriceUSD, testRoute) {
         try {
             logger.debug(`🔍 Finding optimal trade size for ${tokenPair}`);
             
@@ -41,7 +71,7 @@ class DynamicTradeSizer {
             
             logger.info(`📊 Testing ${testSizes.length} different trade sizes (${this.minTradeSize} - ${this.maxTradeSize} SOL)`);
             
-            // Test each size for profitability
+            // Test each size for profitability, back to back - the rate limiter paces the quotes
             for (let i = 0; i < testSizes.length; i++) {
                 const sizeSOL = testSizes[i];
                 const sizeRaw = toNumber(sizeSOL, tokenA.decimals);
@@ -51,8 +81,8 @@ class DynamicTradeSizer {
                         logger.debug(`Testing size ${i + 1}/${testSizes.length}: ${sizeSOL} SOL`);
                     }
                     
-                    // Test triangular route at this size
-                    const result = await this.testTriangularRoute(tokenA, tokenB, sizeRaw, sizeSOL, solPriceUSD);
+                    // Test the route at this size
+                    const result = await testRoute(sizeRaw, sizeSOL);
                     
                     if (result.success) {
                         results.push(result);
@@ -65,12 +95,6 @@ class DynamicTradeSizer {
                             logger.debug(`❌ Size ${sizeSOL} SOL: ${result.error}`);
                         }
                     }
-                    
-                    // Add small delay between tests to avoid rate limits
-                    if (i < testSizes.length - 1) {
-                        await new Promise(resolve => setTimeout(resolve, this.sizeTestDelay));
-                    }
-                    
                 } catch (testError) {
                     logger.warn(`Error testing size ${sizeSOL}: ${testError.message}`);
                 }
@@ -136,52 +160,77 @@ class DynamicTradeSizer {
         return sizes.map(size => Math.round(size * 10000) / 10000); // Round to 4 decimals
     }
 
+    /**
+     * Quotes one size search costs for a route of the given number of hops
+     */
+    estimateQuoteCount(hops = 2) {
+        return this.generateTestSizes().length * hops;
+    }
+
     /**
      * Test triangular arbitrage route at specific size
      */
     async testTriangularRoute(tokenA, tokenB, sizeRaw, sizeSOL, solPriceUSD) {
+        const result = await this.testCycleRoute([tokenA, tokenB, tokenA], sizeRaw, sizeSOL, solPriceUSD);
+        if (!result.routes) {
+            return result;
+        }
+
+        return {
+            ...result,
+            priceImpact1: result.priceImpacts[0],
+            priceImpact2: result.priceImpacts[1],
+            route1: result.routes[0],
+            route2: result.routes[1]
+        };
+    }
+
+    /**
+     * Test a cycle through path at specific size, quoting each hop with the previous hop's output
+     */
+    async testCycleRoute(path, sizeRaw, sizeSOL, solPriceUSD) {
         try {
-            // Step 1: SOL → Intermediate Token
-            const route1 = await getQuote(
-                tokenA.address, 
-                tokenB.address, 
-                sizeRaw.toString(), 
-                parseInt(process.env.MAX_SLIPPAGE_PERCENT * 100) || 100
-            );
-            
-            if (!route1 || !route1.outAmount) {
-                return { success: false, error: 'No route1 available' };
-            }
-            
-            // Small delay between quotes
-            await new Promise(resolve => setTimeout(resolve, 200));
-            
-            // Step 2: Intermediate Token → SOL  
-            const route2 = await getQuote(
-                tokenB.address, 
-                tokenA.address, 
-                route1.outAmount, 
-                parseInt(process.env.MAX_SLIPPAGE_PERCENT * 100) || 100
-            );
-            
-            if (!route2 || !route2.outAmount) {
-                return { success: false, error: 'No route2 available' };
+            const slippageBps = parseInt(process.env.MAX_SLIPPAGE_PERCENT * 100) || 100;
+            const routes = [];
+            let amount = sizeRaw.toString();
+
+            for (let hop = 0; hop < path.length - 1; hop++) {
+                const route = await this.quoteProvider(
+                    path[hop].address,
+                    path[hop + 1].address,
+                    amount,
+                    slippageBps
+                );
+
+                if (!route || !route.outAmount) {
+                    return { success: false, error: `No route${hop + 1} available (${path[hop].symbol} → ${path[hop + 1].symbol})` };
+                }
+
+                routes.push(route);
+                amount = route.outAmount;
             }
             
-            // Calculate profitability
+            // Calculate profitability net of fees, tips and account rent
             const inputAmount = BigInt(sizeRaw.toString());
-            const outputAmount = BigInt(route2.outAmount);
-            const profitAmount = outputAmount - inputAmount;
-            const profitPercent = Number(profitAmount * BigInt(10000) / inputAmount) / 100;
+            const outputAmount = BigInt(amount);
+            const netProfit = costModel.applyCosts({
+                inputAmount,
+                outputAmount,
+                sizeSOL,
+                solPriceUSD,
+                tokenMints: path.slice(1, -1).map(token => token.address),
+                hops: routes.length
+            }, this.costOptions);
+            const profitAmount = netProfit.netProfitAmount;
+            const profitPercent = netProfit.netProfitPercent;
             
             // Calculate USD values
             const tradeSizeUSD = sizeSOL * solPriceUSD;
-            const profitUSD = (profitPercent / 100) * tradeSizeUSD;
+            const profitUSD = netProfit.netProfitUSD;
             
             // Calculate price impacts
-            const priceImpact1 = parseFloat(route1.priceImpactPct || 0);
-            const priceImpact2 = parseFloat(route2.priceImpactPct || 0);
-            const totalPriceImpact = priceImpact1 + priceImpact2;
+            const priceImpacts = routes.map(route => parseFloat(route.priceImpactPct || 0));
+            const totalPriceImpact = priceImpacts.reduce((sum, impact) => sum + impact, 0);
             
             // Check if this meets our criteria
             const meetsPercentThreshold = profitPercent >= this.minProfitThreshold;
@@ -196,13 +245,16 @@ class DynamicTradeSizer {
                 sizeRaw,
                 profitPercent,
                 profitUSD,
-                profitAmount: Number(profitAmount),
+                profitAmount,
+                grossProfitPercent: netProfit.grossProfitPercent,
+                grossProfitUSD: netProfit.grossProfitUSD,
+                costLamports: netProfit.costLamports,
+                costUSD: netProfit.costUSD,
+                costs: netProfit.costs,
                 totalValue: tradeSizeUSD,
                 totalPriceImpact,
-                priceImpact1,
-                priceImpact2,
-                route1,
-                route2,
+                priceImpacts,
+                routes,
                 inputAmount: Number(inputAmount),
                 outputAmount: Number(outputAmount),
                 meetsPercentThreshold,
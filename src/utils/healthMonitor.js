@@ -1,8 +1,11 @@
 const os = require('os');
 const fs = require('fs');
 const { performance } = require('perf_hooks');
+const chalk = require('chalk');
 const logger = require('./logger');
 const cache = require('../bot/cache');
+const { rateLimiter } = require('./rateLimiter');
+const { jitoEngineProber } = require('./jitoEngineProber');
 
 class HealthMonitor {
     constructor() {
@@ -176,6 +179,8 @@ class HealthMonitor {
             // External service health
             healthStatus.checks.rpc = this.checkRpcHealth();
             healthStatus.checks.jupiter = this.checkJupiterHealth();
+            healthStatus.checks.rateLimiter = this.checkRateLimiterHealth();
+            healthStatus.checks.jito = this.checkJitoHealth();
 
             // Determine overall health
             const failedChecks = Object.entries(healthStatus.checks)
@@ -422,6 +427,61 @@ class HealthMonitor {
         };
     }
 
+    checkRateLimiterHealth() {
+        const hosts = rateLimiter.getStatus();
+
+        const openCircuits = hosts.filter(host => host.circuit === 'open');
+        if (openCircuits.length > 0) {
+            return {
+                status: 'WARNING',
+                message: `Circuit open for ${openCircuits.map(host => host.host).join(', ')}`,
+                value: openCircuits.length
+            };
+        }
+
+        const backlogged = hosts.filter(host => Object.values(host.queued).reduce((sum, count) => sum + count, 0) > 20);
+        if (backlogged.length > 0) {
+            return {
+                status: 'WARNING',
+                message: `Rate limiter backlog on ${backlogged.map(host => host.host).join(', ')}`,
+                value: backlogged.length
+            };
+        }
+
+        return {
+            status: 'HEALTHY',
+            message: 'Outbound request rates healthy',
+            value: hosts.length
+        };
+    }
+
+    checkJitoHealth() {
+        const engines = jitoEngineProber.getStats().filter(engine => engine.requests > 0);
+
+        if (engines.length === 0) {
+            return {
+                status: 'HEALTHY',
+                message: 'No Jito block engine in use',
+                value: 0
+            };
+        }
+
+        const benched = engines.filter(engine => !engine.healthy);
+        if (benched.length === engines.length) {
+            return {
+                status: 'WARNING',
+                message: `Every Jito block engine is failing: ${benched.map(engine => engine.region).join(', ')}`,
+                value: benched.length
+            };
+        }
+
+        return {
+            status: 'HEALTHY',
+            message: `${engines.length - benched.length} of ${engines.length} Jito block engines healthy`,
+            value: benched.length
+        };
+    }
+
     handleAlert(checkName, status) {
         const alertId = `${checkName}_${status.status}`;
         
@@ -541,7 +601,9 @@ class HealthMonitor {
             },
             bot: this.metrics.bot,
             rpc: this.metrics.rpc,
-            jupiter: this.metrics.jupiter
+            jupiter: this.metrics.jupiter,
+            rateLimiter: rateLimiter.getStatus(),
+            jitoEngines: jitoEngineProber.getStats()
         };
     }
 
@@ -611,6 +673,13 @@ class HealthMonitor {
         report += chalk.gray(`   Failed Trades: ${status.metrics.bot.failedTrades}\n`);
         report += chalk.gray(`   RPC Requests: ${status.metrics.rpc.requests}\n`);
         report += chalk.gray(`   Jupiter Requests: ${status.metrics.jupiter.requests}\n`);
+        status.metrics.rateLimiter.forEach(host => {
+            report += chalk.gray(`   ${host.host}: ${host.requests} requests, ${host.rateLimited} rate limited, circuit ${host.circuit}, avg wait ${host.avgWaitMs}ms\n`);
+        });
+        status.metrics.jitoEngines.filter(engine => engine.requests > 0).forEach(engine => {
+            const latency = engine.avgLatencyMs === null ? 'unreachable' : `${engine.avgLatencyMs}ms`;
+            report += chalk.gray(`   Jito ${engine.region}: ${latency}, ${(engine.errorRate * 100).toFixed(1)}% errors, ${engine.healthy ? 'healthy' : 'benched'}\n`);
+        });
         
         report += '\n' + chalk.bold.cyan('='.repeat(50)) + '\n';
         
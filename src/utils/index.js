@@ -3,9 +3,10 @@ const fs = require("fs");
 const ora = require("ora-classic");
 const {logExit} = require("../bot/exit");
 const bs58 = require("bs58");
-const {PublicKey,Connection,Keypair,LAMPORTS_PER_SOL} = require("@solana/web3.js");
+const {PublicKey,Keypair,LAMPORTS_PER_SOL} = require("@solana/web3.js");
 require("dotenv").config();
 const {createTempDir, fetchTrendingTokens, getUSDCToken} = require('./tokenFetcher');
+const rpcPool = require("./rpcPool");
 
 const getCircularReplacer = () => {
 	const seen = new WeakSet();
@@ -173,7 +174,8 @@ const checkWallet = () => {
 const checkArbReady = async () => {
 	try {
 		// For simplicity, we'll just make sure the wallet and RPC can connect
-		const connection = new Connection(process.env.DEFAULT_RPC);
+		// Throws when no RPC endpoint is configured
+		const connection = rpcPool.getConnection();
 		wallet = Keypair.fromSecretKey(bs58.decode(process.env.SOLANA_WALLET_PRIVATE_KEY));
 		
 		// // Get wallet's SOL balance
@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const cache = require('../bot/cache');
+const riskEngine = require('./riskEngine');
+const priceFeedService = require('./priceFeedService');
+
+const RECOVERY_POLICIES = ['retry', 'wait', 'unwind'];
+
+/**
+ * Tracks intermediate tokens stranded in the wallet by a failed second leg
+ * and swaps them back to the base token under a configurable policy:
+ *  - retry: resend the unwind at wider slippage, then go to market after max retries
+ *  - wait: hold until a quote is back to the cost basis, or go to market after max age
+ *  - unwind: sell at market straight away
+ * Open positions are persisted so recovery resumes after a restart.
+ */
+class InventoryRecovery {
+    constructor() {
+        const policy = (process.env.RECOVERY_POLICY || 'retry').toLowerCase();
+
+        this.policy = RECOVERY_POLICIES.includes(policy) ? policy : 'retry';
+        this.retrySlippageBps = parseInt(process.env.RECOVERY_RETRY_SLIPPAGE_BPS) || 300;
+        this.marketSlippageBps = parseInt(process.env.RECOVERY_MARKET_SLIPPAGE_BPS) || 1000;
+        this.maxRetries = parseInt(process.env.RECOVERY_MAX_RETRIES) || 3;
+        this.maxAgeMs = (parseFloat(process.env.RECOVERY_MAX_AGE_MINUTES) || 30) * 60000;
+        this.checkIntervalMs = parseInt(process.env.RECOVERY_CHECK_INTERVAL_MS) || 30000;
+        this.positionsPath = process.env.RECOVERY_POSITIONS_PATH || './temp/open_positions.json';
+
+        this.jupiter = null;
+        this.positions = new Map(); // id -> open position
+        this.closedPositions = [];
+        this.processing = false;
+        this.lastCheck = 0;
+
+        this.loadPositions();
+    }
+
+    /**
+     * Give recovery the trading interface it quotes, swaps and reads balances with
+     */
+    attach(jupiter) {
+        this.jupiter = jupiter;
+
+        if (this.positions.size > 0) {
+            logger.warn(`📦 ${this.positions.size} open position(s) from a previous session awaiting recovery (policy: ${this.policy})`);
+        }
+    }
+
+    loadPositions() {
+        if (!fs.existsSync(this.positionsPath)) return;
+
+        try {
+            const positions = JSON.parse(fs.readFileSync(this.positionsPath, 'utf8'));
+            positions.forEach(position => this.positions.set(position.id, position));
+        } catch (error) {
+            logger.error(`Could not read open positions from ${this.positionsPath}: ${error.message}`);
+        }
+    }
+
+    savePositions() {
+        try {
+            fs.mkdirSync(path.dirname(this.positionsPath), { recursive: true });
+            fs.writeFileSync(this.positionsPath, JSON.stringify([...this.positions.values()], null, 2));
+        } catch (error) {
+            logger.error(`Could not persist open positions to ${this.positionsPath}: ${error.message}`);
+        }
+    }
+
+    hasOpenPositions() {
+        return this.positions.size > 0;
+    }
+
+    /**
+     * Raw wallet balance of a mint, or null when it cannot be read
+     */
+    async getWalletBalance(mint) {
+        try {
+            return BigInt(await this.jupiter.getTokenBalance(mint));
+        } catch (error) {
+            logger.warn(`Could not read ${mint.substring(0, 6)}... balance: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Open a position for the intermediate token a failed cycle left behind and
+     * act on it right away unless the policy is to wait. Never throws.
+     */
+    async handleFailedCycle({ pair, tokenA, tokenB, costBasis, expectedAmount, step1Txid }) {
+        try {
+            const expected = BigInt(expectedAmount.toString());
+            const balance = await this.getWalletBalance(tokenB.address);
+
+            // Only what leg 1 bought is ours to unwind, never inventory held beforehand
+            const amount = balance === null ? expected : (balance < expected ? balance : expected);
+
+            if (amount <= BigInt(0)) {
+                logger.info(`📦 No ${tokenB.symbol} left in the wallet after the failed cycle`);
+                return null;
+            }
+
+            const position = {
+                id: `${tokenB.symbol}_${Date.now()}`,
+                pair,
+                mint: tokenB.address,
+                symbol: tokenB.symbol,
+                decimals: tokenB.decimals,
+                amount: amount.toString(),
+                baseMint: tokenA.address,
+                baseSymbol: tokenA.symbol,
+                baseDecimals: tokenA.decimals,
+                costBasis: costBasis.toString(),
+                policy: this.policy,
+                step1Txid,
+                openedAt: Date.now(),
+                attempts: 0,
+                lastError: null
+            };
+
+            this.positions.set(position.id, position);
+            this.savePositions();
+
+            logger.warn(`📦 STRANDED INVENTORY: ${amount} raw ${tokenB.symbol} from ${pair} (cost ${costBasis} raw ${tokenA.symbol}) - policy ${this.policy}`);
+
+            if (this.policy !== 'wait') {
+                await this.processPosition(position);
+            }
+
+            return position;
+        } catch (error) {
+            logger.error(`Inventory recovery could not open a position: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Work through open positions, at most once per check interval
+     */
+    async processOpenPositions({ force = false } = {}) {
+        if (this.processing || !this.jupiter || this.positions.size === 0) return;
+        if (!force && Date.now() - this.lastCheck < this.checkIntervalMs) return;
+
+        // Simulated swaps would close real positions without selling anything
+        if (!cache.tradingEnabled) {
+            logger.debug(`📦 ${this.positions.size} open position(s) held until live trading is enabled`);
+            return;
+        }
+
+        this.processing = true;
+        this.lastCheck = Date.now();
+
+        try {
+            for (const position of [...this.positions.values()]) {
+                await this.processPosition(position);
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async processPosition(position) {
+        const age = Date.now() - position.openedAt;
+
+        try {
+            if (this.policy === 'unwind') {
+                return await this.unwind(position, this.marketSlippageBps, 'market');
+            }
+
+            if (this.policy === 'retry') {
+                if (position.attempts < this.maxRetries) {
+                    return await this.unwind(position, this.retrySlippageBps, 'retry');
+                }
+                return await this.unwind(position, this.marketSlippageBps, 'market');
+            }
+
+            // wait: sell once the round trip is back to break-even, or at market once too old
+            if (age >= this.maxAgeMs) {
+                logger.warn(`⏰ ${position.symbol} position is ${Math.round(age / 60000)} min old - unwinding at market`);
+                return await this.unwind(position, this.marketSlippageBps, 'market');
+            }
+
+            const route = await this.quoteUnwind(position, BigInt(position.amount), this.retrySlippageBps);
+            if (route && BigInt(route.outAmount) >= BigInt(position.costBasis)) {
+                return await this.unwind(position, this.retrySlippageBps, 'recovered');
+            }
+
+            logger.info(`⏳ Holding ${position.symbol}: unwind quote ${route ? route.outAmount : 'unavailable'} < cost ${position.costBasis} raw ${position.baseSymbol}`);
+        } catch (error) {
+            position.attempts++;
+            position.lastError = error.message;
+            this.savePositions();
+
+            logger.error(`❌ Recovery attempt ${position.attempts} for ${position.symbol} failed: ${error.message}`);
+        }
+
+        return null;
+    }
+
+    async quoteUnwind(position, amount, slippageBps) {
+        const { routesInfos } = await this.jupiter.computeRoutes({
+            inputMint: position.mint,
+            outputMint: position.baseMint,
+            amount: amount.toString(),
+            slippageBps
+        });
+
+        return routesInfos[0] || null;
+    }
+
+    /**
+     * Swap the position back to the base token and settle its realized P&L
+     */
+    async unwind(position, slippageBps, reason) {
+        const balance = await this.getWalletBalance(position.mint);
+        const held = BigInt(position.amount);
+        const amount = balance === null ? held : (balance < held ? balance : held);
+
+        if (amount <= BigInt(0)) {
+            logger.warn(`📦 ${position.symbol} balance is gone - closing position without a swap`);
+            return this.closePosition(position, 'no_balance', BigInt(0));
+        }
+
+        logger.info(`🔁 Unwinding ${amount} raw ${position.symbol} → ${position.baseSymbol} (${reason}, ${slippageBps / 100}% slippage)`);
+
+        const route = await this.quoteUnwind(position, amount, slippageBps);
+        if (!route) {
+            throw new Error(`No route to unwind ${position.symbol}`);
+        }
+
+        const exchange = await this.jupiter.exchange({ routeInfo: route });
+        const result = await exchange.execute();
+
+        if (!result.success) {
+            throw new Error(result.error || 'Unwind swap failed');
+        }
+
+        logger.info(`✅ Unwind landed: ${result.txid}`);
+        return this.closePosition(position, reason, BigInt(result.outputAmount), result.txid);
+    }
+
+    async closePosition(position, reason, recoveredAmount, txid = null) {
+        const realizedAmount = recoveredAmount - BigInt(position.costBasis);
+        const solPrice = await priceFeedService.getCurrentSOLPrice();
+        const realizedUSD = Number(realizedAmount) / Math.pow(10, position.baseDecimals) * solPrice;
+
+        this.positions.delete(position.id);
+        this.savePositions();
+
+        const closed = {
+            ...position,
+            closedAt: Date.now(),
+            closeReason: reason,
+            recoveredAmount: recoveredAmount.toString(),
+            realizedAmount: realizedAmount.toString(),
+            realizedUSD,
+            unwindTxid: txid
+        };
+        this.closedPositions.push(closed);
+
+        riskEngine.recordRealizedPnl(realizedUSD);
+        logger.info(`📦 Closed ${position.symbol} position (${reason}): ${realizedUSD >= 0 ? '+' : ''}$${realizedUSD.toFixed(2)} realized`);
+
+        return closed;
+    }
+
+    getStats() {
+        return {
+            policy: this.policy,
+            openPositions: [...this.positions.values()],
+            closedPositions: this.closedPositions.length,
+            realizedUSD: this.closedPositions.reduce((sum, position) => sum + position.realizedUSD, 0)
+        };
+    }
+}
+
+// Create singleton instance
+const inventoryRecovery = new InventoryRecovery();
+
+module.exports = inventoryRecovery;
@@ -0,0 +1,254 @@
+const {
+    PublicKey,
+    SystemProgram,
+    TransactionMessage,
+    VersionedTransaction,
+    LAMPORTS_PER_SOL
+} = require('@solana/web3.js');
+const logger = require('./logger');
+const { jitoEngineProber } = require('./jitoEngineProber');
+const tipOptimizer = require('./tipOptimizer');
+const { serializeTransaction, signTransaction, getTransactionSignature } = require('./versionedTransaction');
+const { TX_OUTCOME } = require('./transactionSender');
+
+// Jito's mainnet tip accounts, any of them credits the tip
+const DEFAULT_TIP_ACCOUNTS = [
+    '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+    'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+    'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+    'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+    'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+    'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+    'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+    '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT'
+];
+
+const COMMITMENT_LEVELS = ['processed', 'confirmed', 'finalized'];
+
+// A bundle holds at most this many transactions, the tip included
+const MAX_BUNDLE_TRANSACTIONS = 5;
+
+/**
+ * Jito bundle submission. A tip transfer to a random tip account is appended as the
+ * last transaction of the bundle, the bundle is sent with sendBundle and polled with
+ * getBundleStatuses / getInflightBundleStatuses until it lands, fails or the chain is
+ * past its blockhash. Outcomes have the same shape as transactionSender's.
+ */
+class JitoBundleSender {
+    constructor() {
+        this.commitment = 'confirmed';
+        this.pollIntervalMs = parseInt(process.env.JITO_BUNDLE_POLL_INTERVAL_MS) || 1000;
+        this.tipAccounts = (process.env.JITO_TIP_ACCOUNTS ? process.env.JITO_TIP_ACCOUNTS.split(',') : DEFAULT_TIP_ACCOUNTS)
+            .map(account => account.trim())
+            .filter(Boolean)
+            .map(account => new PublicKey(account));
+
+        this.stats = {
+            sent: 0,
+            landed: 0,
+            failed: 0,
+            expired: 0,
+            unknown: 0,
+            tipLamports: 0 // Paid by landed bundles
+        };
+    }
+
+    getRandomTipAccount() {
+        return this.tipAccounts[Math.floor(Math.random() * this.tipAccounts.length)];
+    }
+
+    /**
+     * Signed transfer of tipLamports from payer to a random tip account
+     */
+    buildTipTransaction(payer, tipLamports, recentBlockhash) {
+        const message = new TransactionMessage({
+            payerKey: payer.publicKey,
+            recentBlockhash,
+            instructions: [
+                SystemProgram.transfer({
+                    fromPubkey: payer.publicKey,
+                    toPubkey: this.getRandomTipAccount(),
+                    lamports: tipLamports
+                })
+            ]
+        }).compileToV0Message();
+
+        return signTransaction(new VersionedTransaction(message), [payer]);
+    }
+
+    /**
+     * Tip in lamports for a bundleConfig, whose tip is in SOL
+     */
+    getTipLamports(bundleConfig) {
+        return Math.round(bundleConfig.tip * LAMPORTS_PER_SOL);
+    }
+
+    /**
+     * JSON-RPC call to a block engine's bundle API, timed and scored by the prober
+     */
+    request(engine, method, params, timeout = 5000) {
+        return jitoEngineProber.request(engine, method, params, { priority: 'critical', timeout });
+    }
+
+    /**
+     * Send signed transactions, in order, as one bundle with a tip and wait for its outcome.
+     * options: { engine, payer, tipLamports, connection, lastValidBlockHeight, timeoutMs }
+     *
+     * A bundle only expires once the block height is past lastValidBlockHeight. When no
+     * status can be read for timeoutMs before that, the outcome is unknown - it may still land.
+     */
+    async sendBundle(transactions, { engine, payer, tipLamports, connection, lastValidBlockHeight, timeoutMs = 30000 }) {
+        const startTime = Date.now();
+        const signature = getTransactionSignature(transactions[0]);
+        const landedVia = new URL(engine).host;
+
+        if (transactions.length + 1 > MAX_BUNDLE_TRANSACTIONS) {
+            throw new Error(`A bundle holds at most ${MAX_BUNDLE_TRANSACTIONS - 1} transactions besides the tip, got ${transactions.length}`);
+        }
+        if (this.tipAccounts.length === 0) {
+            throw new Error('No Jito tip account to pay the tip to - check JITO_TIP_ACCOUNTS');
+        }
+
+        // The newest blockhash outlives the transactions' own, so this never expires the bundle early
+        const latest = await connection.getLatestBlockhash(this.commitment);
+        lastValidBlockHeight = lastValidBlockHeight || latest.lastValidBlockHeight;
+
+        const bundle = [...transactions, this.buildTipTransaction(payer, tipLamports, latest.blockhash)];
+        const signatures = bundle.map(getTransactionSignature);
+        const base = { signature, signatures, landedVia, tipLamports, startTime };
+
+        this.stats.sent++;
+
+        let bundleId;
+        try {
+            bundleId = await this.request(engine, 'sendBundle', [
+                bundle.map(transaction => serializeTransaction(transaction).toString('base64')),
+                { encoding: 'base64' }
+            ]);
+            if (!bundleId) {
+                throw new Error('Block engine returned no bundle id');
+            }
+        } catch (error) {
+            return this.finish(TX_OUTCOME.FAILED, { ...base, error: `sendBundle rejected: ${error.message}` });
+        }
+
+        logger.info(`📦 Bundle ${bundleId} sent to ${landedVia}: ${bundle.length} transactions, tip ${tipLamports} lamports (valid until block ${lastValidBlockHeight})`);
+
+        let blockHeight = 0;
+        let seenInSlot = false; // Waiting on confirmations, not on the blockhash
+        let lastStatusAt = Date.now();
+
+        while (blockHeight <= lastValidBlockHeight || seenInSlot) {
+            try {
+                // Read the height before the status so a late landing is never reported as expired
+                const height = await connection.getBlockHeight(this.commitment);
+                const status = await this.getBundleStatus(engine, bundleId);
+                blockHeight = height;
+                lastStatusAt = Date.now();
+
+                if (status.landed) {
+                    return this.finish(TX_OUTCOME.LANDED, { ...base, bundleId, slot: status.slot });
+                }
+                if (status.failed) {
+                    return this.finish(TX_OUTCOME.FAILED, { ...base, bundleId, slot: status.slot, error: status.error, dropped: status.dropped });
+                }
+                seenInSlot = !!status.slot;
+                if (blockHeight > lastValidBlockHeight && !seenInSlot) break;
+            } catch (error) {
+                logger.debug(`Bundle ${bundleId} status check failed:`, error.message);
+
+                if (Date.now() - lastStatusAt > timeoutMs) {
+                    return this.finish(TX_OUTCOME.UNKNOWN, {
+                        ...base,
+                        bundleId,
+                        error: `No bundle status for ${timeoutMs}ms - it can still land until block ${lastValidBlockHeight}: ${error.message}`
+                    });
+                }
+            }
+
+            await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        }
+
+        return this.finish(TX_OUTCOME.EXPIRED, { ...base, bundleId, error: `Blockhash expired at block ${lastValidBlockHeight}` });
+    }
+
+    /**
+     * { landed, failed, dropped, slot, error } from the landed bundle statuses, falling back
+     * to the in-flight statuses for bundles that have not landed (yet). dropped is a failure
+     * in the auctions, not a transaction that ran into an error.
+     */
+    async getBundleStatus(engine, bundleId) {
+        const statuses = await this.request(engine, 'getBundleStatuses', [[bundleId]]);
+        const landed = statuses?.value?.[0];
+
+        if (landed) {
+            if (landed.err && !('Ok' in landed.err)) {
+                return { landed: false, failed: true, dropped: false, slot: landed.slot, error: JSON.stringify(landed.err) };
+            }
+            const confirmed = COMMITMENT_LEVELS.indexOf(landed.confirmation_status || 'processed') >= COMMITMENT_LEVELS.indexOf(this.commitment);
+            return { landed: confirmed, failed: false, dropped: false, slot: landed.slot };
+        }
+
+        // Invalid means the engine does not know the bundle (yet), Pending is still in its auction
+        const inflight = await this.request(engine, 'getInflightBundleStatuses', [[bundleId]]);
+        const status = inflight?.value?.[0]?.status;
+
+        return status === 'Failed'
+            ? { landed: false, failed: true, dropped: true, slot: null, error: 'Bundle failed to land in any auction' }
+            : { landed: false, failed: false, dropped: false, slot: inflight?.value?.[0]?.landed_slot ?? null };
+    }
+
+    /**
+     * Build the outcome object and record it
+     */
+    finish(status, { signature, signatures, bundleId = null, slot = null, error = null, dropped = false, landedVia, tipLamports, startTime }) {
+        this.stats[status]++;
+        if (status === TX_OUTCOME.LANDED) {
+            this.stats.tipLamports += tipLamports;
+        }
+
+        // Only auction outcomes say what a tip buys: landed, lost every auction or expired
+        // unlanded. A swap that ran into an error lost on slippage, an unread status can
+        // still land and an engine that refused the bundle never ran one.
+        if (bundleId && (status === TX_OUTCOME.LANDED || status === TX_OUTCOME.EXPIRED || dropped)) {
+            tipOptimizer.record({ tipLamports, landed: status === TX_OUTCOME.LANDED, latencyMs: Date.now() - startTime });
+        }
+
+        const outcome = {
+            status,
+            success: status === TX_OUTCOME.LANDED,
+            txid: signature,
+            error,
+            slot,
+            landedVia,
+            rebroadcasts: 0,
+            durationMs: Date.now() - startTime,
+            bundleId,
+            signatures, // Every transaction of the bundle in order, the tip last
+            tipLamports
+        };
+
+        if (outcome.success) {
+            logger.info(`✅ Bundle ${bundleId} landed in slot ${slot}: ${signature} (tip ${tipLamports} lamports via ${landedVia})`);
+        } else {
+            logger.warn(`⚠️ Bundle ${bundleId || '(not accepted)'} ${status}: ${signature} - ${error}`);
+        }
+
+        return outcome;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            landingRate: this.stats.sent > 0 ? this.stats.landed / this.stats.sent : 0
+        };
+    }
+}
+
+// Create singleton instance
+const jitoBundleSender = new JitoBundleSender();
+
+module.exports = {
+    JitoBundleSender,
+    jitoBundleSender
+};
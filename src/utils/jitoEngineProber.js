@@ -0,0 +1,253 @@
+const axios = require('axios');
+const logger = require('./logger');
+const { rateLimiter } = require('./rateLimiter');
+
+// Jito's public block engines, one per region
+const DEFAULT_BLOCK_ENGINES = [
+    'https://mainnet.block-engine.jito.wtf',
+    'https://amsterdam.mainnet.block-engine.jito.wtf',
+    'https://frankfurt.mainnet.block-engine.jito.wtf',
+    'https://ny.mainnet.block-engine.jito.wtf',
+    'https://tokyo.mainnet.block-engine.jito.wtf'
+];
+
+const FAILURES_TO_COOL_DOWN = 3;
+const COOL_DOWN_MS = 60000;
+
+// Weighting for the score, in milliseconds of latency
+const ERROR_RATE_PENALTY_MS = 5000;
+
+const parseList = (value) => (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+// Region of a block engine URL: the first host label of Jito's regional hosts
+// ("ny.mainnet.block-engine.jito.wtf" is "ny", the unprefixed host is "global"),
+// the whole host for anything else
+const getRegion = (host) => {
+    const match = host.match(/^(?:([a-z0-9-]+)\.)?mainnet\.block-engine\.jito\.wtf$/);
+    if (!match) return host;
+    return match[1] || 'global';
+};
+
+// Failures that say the engine is in trouble, as opposed to a rejected bundle
+const isEngineFailure = (error) => {
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+};
+
+/**
+ * Jito block engine selection. Every call to a block engine, the background probes
+ * included, is timed and scored per engine; engines that keep failing are benched
+ * for a while. Bundles go to the best engine and fail over down the ranking.
+ * JITO_REGIONS limits the engines to an allowlist of regions.
+ */
+class JitoEngineProber {
+    constructor() {
+        this.probeIntervalMs = parseInt(process.env.JITO_PROBE_INTERVAL_MS) || 30000;
+        this.regions = parseList(process.env.JITO_REGIONS).map(region => region.toLowerCase());
+
+        const urls = process.env.JITO_BLOCK_ENGINES ? parseList(process.env.JITO_BLOCK_ENGINES) : DEFAULT_BLOCK_ENGINES;
+        this.engines = [...new Set(urls.map(url => url.replace(/\/+$/, '')).filter(url => /^https?:\/\//.test(url)))]
+            .map(url => this.createEngine(url))
+            .filter(engine => this.regions.length === 0 || this.regions.includes(engine.region));
+
+        this.probeInterval = null;
+        this.firstProbe = null;
+
+        // The block engine takes about one request a second per region
+        this.engines.forEach(engine => {
+            rateLimiter.configureHost(engine.label, { requestsPerMinute: 60, burst: 1 });
+        });
+
+        if (this.engines.length === 0) {
+            logger.error(`No Jito block engine in the allowed regions (${this.regions.join(', ')}) - bundles are disabled`);
+        }
+
+        logger.info('Jito Engine Prober initialized', {
+            engines: this.engines.map(engine => `${engine.region} (${engine.label})`),
+            probeIntervalMs: this.probeIntervalMs
+        });
+    }
+
+    createEngine(url) {
+        const label = new URL(url).host;
+        return {
+            url,
+            label,
+            region: getRegion(label),
+            cooldownUntil: 0,
+            stats: {
+                requests: 0,
+                failures: 0,
+                probes: 0,
+                consecutiveFailures: 0,
+                avgLatencyMs: null,
+                errorRate: 0,
+                lastError: null,
+                lastProbeAt: 0
+            }
+        };
+    }
+
+    getEngine(url) {
+        return this.engines.find(engine => engine.url === url.replace(/\/+$/, ''));
+    }
+
+    /**
+     * JSON-RPC call to a block engine's bundle API, timed from when the rate limiter
+     * lets it through so queueing does not count as latency
+     */
+    async request(url, method, params, { priority = 'critical', timeout = 5000 } = {}) {
+        const engine = this.getEngine(url);
+
+        const response = await rateLimiter.schedule(new URL(url).host, async () => {
+            const startedAt = Date.now();
+            try {
+                const result = await axios.request({
+                    method: 'post',
+                    url: `${url}/api/v1/bundles`,
+                    data: { jsonrpc: '2.0', id: 1, method, params },
+                    headers: { 'Content-Type': 'application/json' },
+                    timeout
+                });
+                if (engine) this.record(engine, Date.now() - startedAt, null);
+                return result;
+            } catch (error) {
+                if (engine) this.record(engine, Date.now() - startedAt, isEngineFailure(error) ? error.message : null);
+                throw error;
+            }
+        }, { priority });
+
+        if (response.data?.error) {
+            throw new Error(response.data.error.message || `Jito ${method} failed`);
+        }
+        return response.data?.result;
+    }
+
+    record(engine, latencyMs, errorMessage) {
+        const { stats } = engine;
+        const now = Date.now();
+
+        stats.requests++;
+        stats.errorRate = stats.errorRate * 0.9 + (errorMessage ? 0.1 : 0);
+
+        if (errorMessage) {
+            stats.failures++;
+            stats.consecutiveFailures++;
+            stats.lastError = errorMessage;
+
+            if (stats.consecutiveFailures >= FAILURES_TO_COOL_DOWN && engine.cooldownUntil <= now) {
+                engine.cooldownUntil = now + COOL_DOWN_MS;
+                logger.warn(`📦 Jito ${engine.region} failed ${stats.consecutiveFailures}x in a row - benched for ${COOL_DOWN_MS / 1000}s: ${errorMessage}`);
+            }
+        } else {
+            stats.consecutiveFailures = 0;
+            stats.avgLatencyMs = stats.avgLatencyMs === null ? latencyMs : stats.avgLatencyMs * 0.8 + latencyMs * 0.2;
+        }
+    }
+
+    isHealthy(engine, now = Date.now()) {
+        return engine.cooldownUntil <= now;
+    }
+
+    /**
+     * Lower is better: smoothed latency plus a penalty for errors. Engines that have
+     * never answered rank after every engine that has.
+     */
+    getScore(engine) {
+        const { stats } = engine;
+        return (stats.avgLatencyMs ?? Number.MAX_SAFE_INTEGER) + stats.errorRate * ERROR_RATE_PENALTY_MS;
+    }
+
+    /**
+     * Ask every engine for its tip accounts, the cheapest call it answers
+     */
+    async probe() {
+        await Promise.all(this.engines.map(async (engine) => {
+            engine.stats.probes++;
+            engine.stats.lastProbeAt = Date.now();
+            try {
+                await this.request(engine.url, 'getTipAccounts', [], { priority: 'background', timeout: 3000 });
+            } catch (error) {
+                logger.debug(`Jito probe of ${engine.region} failed: ${error.message}`);
+            }
+        }));
+    }
+
+    startProbing() {
+        if (this.probeInterval || this.engines.length === 0) return;
+
+        this.firstProbe = this.probe();
+        this.probeInterval = setInterval(() => this.probe(), this.probeIntervalMs);
+        this.probeInterval.unref();
+    }
+
+    stopProbing() {
+        if (this.probeInterval) {
+            clearInterval(this.probeInterval);
+            this.probeInterval = null;
+        }
+    }
+
+    /**
+     * Engine URLs best first - healthy ones by score, then the benched ones. The first
+     * call waits for the first round of probes so it has latencies to rank by.
+     */
+    async getRankedEngines() {
+        if (this.engines.length === 0) {
+            throw new Error('No Jito block engines configured for the allowed regions');
+        }
+
+        this.startProbing();
+        await this.firstProbe;
+
+        const now = Date.now();
+        return [...this.engines]
+            .sort((a, b) => (this.isHealthy(b, now) - this.isHealthy(a, now)) || (this.getScore(a) - this.getScore(b)))
+            .map(engine => engine.url);
+    }
+
+    async getBestEngine() {
+        const [best] = await this.getRankedEngines();
+        return best;
+    }
+
+    /**
+     * Engines to try for a submission: the preferred one while it is healthy, then the
+     * rest best first
+     */
+    async getFailoverOrder(preferred) {
+        const ranked = await this.getRankedEngines();
+        const engine = preferred && this.getEngine(preferred);
+
+        if (!engine || !this.isHealthy(engine)) return ranked;
+        return [engine.url, ...ranked.filter(url => url !== engine.url)];
+    }
+
+    getStats() {
+        const now = Date.now();
+
+        return this.engines.map(engine => ({
+            engine: engine.label,
+            region: engine.region,
+            healthy: this.isHealthy(engine, now),
+            avgLatencyMs: engine.stats.avgLatencyMs === null ? null : Math.round(engine.stats.avgLatencyMs),
+            errorRate: engine.stats.errorRate,
+            requests: engine.stats.requests,
+            failures: engine.stats.failures,
+            probes: engine.stats.probes,
+            lastProbeAt: engine.stats.lastProbeAt,
+            lastError: engine.stats.lastError
+        }));
+    }
+}
+
+// Create singleton instance
+const jitoEngineProber = new JitoEngineProber();
+
+module.exports = {
+    JitoEngineProber,
+    jitoEngineProber
+};
@@ -1,80 +1,237 @@
-const axios = require("axios");
 const chalk = require("chalk");
+const quoteCassette = require("./quoteCassette");
+const { rateLimiter } = require("./rateLimiter");
 
-// Rate limiting variables
-let lastRequestTime = 0;
-const MIN_REQUEST_INTERVAL = 2000; // Increased to 2 seconds
-let requestCount = 0;
-let requestResetTime = Date.now();
+// Jupiter's public tier, one request every two seconds on average
+const MAX_REQUESTS_PER_MINUTE = 30;
 
 // Helper function to add delays
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Rate limiting function
-const enforceRateLimit = async () => {
-    const now = Date.now();
-    
-    if (now - requestResetTime > 60000) {
-        requestCount = 0;
-        requestResetTime = now;
-    }
-    
-    // Reduced from 50 to 30 requests per minute for better stability
-    if (requestCount >= 30) {
-        const waitTime = 60000 - (now - requestResetTime);
-        console.log(chalk.yellow(`Rate limit approaching, waiting ${waitTime/1000}s...`));
-        await delay(waitTime);
-        requestCount = 0;
-        requestResetTime = Date.now();
-    }
-    
-    const timeSinceLastRequest = now - lastRequestTime;
-    if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-        const waitTime = MIN_REQUEST_INTERVAL - timeSinceLastRequest;
-        await delay(waitTime);
-    }
-    
-    lastRequestTime = Date.now();
-    requestCount++;
-};
+const DEFAULT_JUPITER_API_URL = 'https://quote-api.jup.ag/v6';
+
+// Freshness tags the quote cache adds, not part of Jupiter's quote
+const QUOTE_TAGS = ['quotedAt', 'ageMs', 'cacheHit'];
+
+// Parse a comma separated env list, undefined when unset
+const parseList = (value) => value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined;
+
+// Parse a boolean env flag, undefined when unset so Jupiter's default applies
+const parseFlag = (value) => value === undefined || value === '' ? undefined : value === 'true';
 
 /**
- * Get a quote for swapping tokens with enhanced error handling
+ * Jupiter v6 API client for /quote, /swap and /swap-instructions
+ * Works against the public endpoint, a paid endpoint or a self-hosted instance
  */
-const getQuote = async (inputMint, outputMint, amount, slippageBps = 100, retryCount = 0) => {
-    const maxRetries = 3;
-    
-    try {
-        await enforceRateLimit();
-        const amountStr = amount.toString();
+class JupiterClient {
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || process.env.JUPITER_API_URL || DEFAULT_JUPITER_API_URL).replace(/\/+$/, '');
+        this.apiKey = options.apiKey ?? process.env.JUPITER_API_KEY;
+        this.timeout = options.timeout || 20000;
 
-        console.log(chalk.cyan(`Fetching quote: ${inputMint.substring(0,6)}... → ${outputMint.substring(0,6)}... Amount: ${amountStr}`));
+        // Route restrictions applied to every quote unless overridden per call
+        this.quoteDefaults = options.quoteDefaults || {
+            dexes: parseList(process.env.JUPITER_DEXES),
+            excludeDexes: parseList(process.env.JUPITER_EXCLUDE_DEXES),
+            onlyDirectRoutes: parseFlag(process.env.JUPITER_ONLY_DIRECT_ROUTES) ?? false,
+            restrictIntermediateTokens: parseFlag(process.env.JUPITER_RESTRICT_INTERMEDIATE_TOKENS),
+            maxAccounts: parseInt(process.env.JUPITER_MAX_ACCOUNTS) || undefined,
+            swapMode: process.env.JUPITER_SWAP_MODE || undefined,
+            platformFeeBps: parseInt(process.env.JUPITER_PLATFORM_FEE_BPS) || undefined,
+            // Legacy swaps must be quoted as legacy too
+            asLegacyTransaction: parseFlag(process.env.AS_LEGACY_TRANSACTION)
+        };
 
-        const url = `https://quote-api.jup.ag/v6/quote?inputMint=${inputMint}&outputMint=${outputMint}&amount=${amountStr}&slippageBps=${slippageBps}&onlyDirectRoutes=false`;
+        // Token account that collects the platform fee, required when platformFeeBps is set
+        this.feeAccount = options.feeAccount ?? process.env.JUPITER_FEE_ACCOUNT;
 
-        const response = await axios.get(url, {
-            timeout: 20000, // Increased timeout to 20 seconds
-            headers: {
-                'User-Agent': 'Jupiter-Bot/1.0',
-                'Accept': 'application/json',
-                'Content-Type': 'application/json'
-            }
+        // Every call shares the host's bucket in the rate limiter
+        this.host = new URL(this.baseUrl).host;
+        rateLimiter.configureHost(this.host, {
+            requestsPerMinute: parseInt(process.env.JUPITER_REQUESTS_PER_MINUTE) || MAX_REQUESTS_PER_MINUTE,
+            burst: 1
         });
-        
-        const quoteResponse = response.data;
-        
+    }
+
+    /**
+     * Requests Jupiter can take over the next minute
+     */
+    getAllowance() {
+        return rateLimiter.getAllowance(this.host);
+    }
+
+    /**
+     * Request headers, including the API key when configured
+     */
+    getHeaders() {
+        const headers = {
+            'User-Agent': 'Jupiter-Bot/1.0',
+            'Accept': 'application/json',
+            'Content-Type': 'application/json'
+        };
+
+        if (this.apiKey) {
+            headers['x-api-key'] = this.apiKey;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Build the /quote query string from the defaults and per call overrides
+     */
+    buildQuoteParams({ inputMint, outputMint, amount, slippageBps = 100, ...overrides }) {
+        const params = {
+            ...this.quoteDefaults,
+            ...overrides,
+            inputMint,
+            outputMint,
+            amount: amount.toString(),
+            slippageBps
+        };
+
+        const query = new URLSearchParams();
+        for (const [key, value] of Object.entries(params)) {
+            if (value === undefined || value === null) continue;
+            if (Array.isArray(value)) {
+                if (value.length > 0) query.append(key, value.join(','));
+                continue;
+            }
+            query.append(key, value.toString());
+        }
+
+        return query;
+    }
+
+    /**
+     * Get a raw quote response from /quote, queued in the given rate limiter lane
+     */
+    async quote({ priority = 'normal', ...params }) {
+        const query = this.buildQuoteParams(params);
+        const request = Object.fromEntries(query);
+
+        const quoteResponse = quoteCassette.isReplaying()
+            ? quoteCassette.replay('quote', request)
+            : await this.fetchQuote(query, request, priority);
+
         // Enhanced validation of response
         if (!quoteResponse) {
             throw new Error('Empty response from Jupiter API');
         }
-        
+
         if (!quoteResponse.outAmount || quoteResponse.outAmount === '0') {
             throw new Error('No valid output amount in quote response');
         }
-        
+
         if (!quoteResponse.inAmount) {
             throw new Error('No input amount in quote response');
         }
+
+        return quoteResponse;
+    }
+
+    /**
+     * Fetch a quote over the network, recording it when a cassette is recording
+     */
+    async fetchQuote(query, request, priority = 'normal') {
+        try {
+            const response = await rateLimiter.request({
+                method: 'get',
+                url: `${this.baseUrl}/quote?${query.toString()}`,
+                timeout: this.timeout,
+                headers: this.getHeaders()
+            }, { priority });
+
+            quoteCassette.record('quote', request, response.data);
+            return response.data;
+        } catch (error) {
+            quoteCassette.record('quote', request, null, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Body shared by /swap and /swap-instructions
+     */
+    buildSwapBody(quoteResponse, userPublicKey, options = {}) {
+        const body = {
+            quoteResponse: Object.fromEntries(Object.entries(quoteResponse).filter(([key]) => !QUOTE_TAGS.includes(key))),
+            userPublicKey: userPublicKey.toString(),
+            wrapAndUnwrapSol: true,
+            dynamicComputeUnitLimit: true,
+            ...options
+        };
+
+        if (quoteResponse.platformFee && this.feeAccount && !body.feeAccount) {
+            body.feeAccount = this.feeAccount;
+        }
+
+        return body;
+    }
+
+    /**
+     * Get a serialized swap transaction from /swap, ahead of any queued quotes
+     */
+    async swap(quoteResponse, userPublicKey, options = {}) {
+        const response = await rateLimiter.request({
+            method: 'post',
+            url: `${this.baseUrl}/swap`,
+            data: this.buildSwapBody(quoteResponse, userPublicKey, options),
+            timeout: this.timeout,
+            headers: this.getHeaders()
+        }, { priority: 'critical' });
+
+        if (!response.data || !response.data.swapTransaction) {
+            throw new Error('Failed to get swap transaction from Jupiter');
+        }
+
+        return response.data;
+    }
+
+    /**
+     * Get the individual swap instructions from /swap-instructions
+     */
+    async swapInstructions(quoteResponse, userPublicKey, options = {}) {
+        const response = await rateLimiter.request({
+            method: 'post',
+            url: `${this.baseUrl}/swap-instructions`,
+            data: this.buildSwapBody(quoteResponse, userPublicKey, options),
+            timeout: this.timeout,
+            headers: this.getHeaders()
+        }, { priority: 'critical' });
+
+        if (!response.data || response.data.error || !response.data.swapInstruction) {
+            throw new Error(`Failed to get swap instructions from Jupiter: ${response.data?.error || 'empty response'}`);
+        }
+
+        return response.data;
+    }
+}
+
+// Shared client configured from the environment
+const jupiterClient = new JupiterClient();
+
+// Quotes Jupiter can take over the next minute, so callers can budget before they ask
+const getQuoteAllowance = () => jupiterClient.getAllowance();
+
+/**
+ * Get a quote for swapping tokens with enhanced error handling
+ */
+const getQuote = async (inputMint, outputMint, amount, slippageBps = 100, retryCount = 0, quoteOptions = {}) => {
+    const maxRetries = 3;
+    
+    try {
+        const amountStr = amount.toString();
+
+        console.log(chalk.cyan(`Fetching quote: ${inputMint.substring(0,6)}... → ${outputMint.substring(0,6)}... Amount: ${amountStr}`));
+
+        const quoteResponse = await jupiterClient.quote({
+            ...quoteOptions,
+            inputMint,
+            outputMint,
+            amount: amountStr,
+            slippageBps
+        });
         
         const inAmount = quoteResponse.inAmount;
         const outAmount = quoteResponse.outAmount;
@@ -87,12 +244,10 @@ const getQuote = async (inputMint, outputMint, amount, slippageBps = 100, retryC
     } catch(error) {
         console.error(chalk.red(`Quote request failed (attempt ${retryCount + 1}/${maxRetries + 1}):`), error.message);
         
-        // Handle rate limiting
+        // Handle rate limiting - the rate limiter holds the retry until Jupiter's Retry-After or backoff passes
         if (error.response?.status === 429 && retryCount < maxRetries) {
-            const backoffTime = Math.pow(2, retryCount) * 5000; // Exponential backoff starting at 5s
-            console.log(chalk.yellow(`Rate limit hit, waiting ${backoffTime/1000}s before retry...`));
-            await delay(backoffTime);
-            return getQuote(inputMint, outputMint, amount, slippageBps, retryCount + 1);
+            console.log(chalk.yellow(`Rate limit hit, retrying once the backoff clears...`));
+            return getQuote(inputMint, outputMint, amount, slippageBps, retryCount + 1, quoteOptions);
         }
         
         // Handle network errors
@@ -103,7 +258,7 @@ const getQuote = async (inputMint, outputMint, amount, slippageBps = 100, retryC
             const backoffTime = (retryCount + 1) * 3000; // Linear backoff for network errors
             console.log(chalk.yellow(`Network error, retrying in ${backoffTime/1000}s (${retryCount + 1}/${maxRetries})...`));
             await delay(backoffTime);
-            return getQuote(inputMint, outputMint, amount, slippageBps, retryCount + 1);
+            return getQuote(inputMint, outputMint, amount, slippageBps, retryCount + 1, quoteOptions);
         }
         
         // Handle server errors (5xx)
@@ -111,7 +266,7 @@ const getQuote = async (inputMint, outputMint, amount, slippageBps = 100, retryC
             const backoffTime = (retryCount + 1) * 4000;
             console.log(chalk.yellow(`Server error (${error.response.status}), retrying in ${backoffTime/1000}s...`));
             await delay(backoffTime);
-            return getQuote(inputMint, outputMint, amount, slippageBps, retryCount + 1);
+            return getQuote(inputMint, outputMint, amount, slippageBps, retryCount + 1, quoteOptions);
         }
         
         // Handle client errors (4xx) - don't retry most of these
@@ -179,6 +334,9 @@ const checkArbitrageOpportunity = async (tokenAMint, tokenBMint, amount) => {
 };
 
 module.exports = {
+    JupiterClient,
+    jupiterClient,
     getQuote,
+    getQuoteAllowance,
     checkArbitrageOpportunity
 };
\ No newline at end of file
@@ -1,5 +1,5 @@
 const logger = require('./logger');
-const { getQuoteWithRateLimit } = require('./rateLimiter');
+const quoteCache = require('./quoteCache');
 
 class MarketConditionAnalyzer {
     constructor() {
@@ -98,11 +98,12 @@ class MarketConditionAnalyzer {
             
             for (const size of testSizes) {
                 try {
-                    const quote = await getQuoteWithRateLimit(
+                    const quote = await quoteCache.getQuote(
                         tokenA.address,
                         tokenB.address,
                         size.toString(),
-                        100 // 1% slippage
+                        100, // 1% slippage
+                        { priority: 'background' }
                     );
                     
                     if (quote && quote.outAmount) {
@@ -242,11 +243,12 @@ class MarketConditionAnalyzer {
      */
     async analyzePriceImpact(tokenA, tokenB, tradeAmount) {
         try {
-            const quote = await getQuoteWithRateLimit(
+            const quote = await quoteCache.getQuote(
                 tokenA.address,
                 tokenB.address,
                 tradeAmount.toString(),
-                50 // 0.5% slippage for impact measurement
+                50, // 0.5% slippage for impact measurement
+                { priority: 'background' }
             );
             
             if (!quote || !quote.priceImpactPct) {
@@ -301,8 +303,8 @@ class MarketConditionAnalyzer {
         try {
             // Test bid-ask spread by comparing both directions
             const [buyQuote, sellQuote] = await Promise.all([
-                getQuoteWithRateLimit(tokenA.address, tokenB.address, tradeAmount.toString(), 50),
-                getQuoteWithRateLimit(tokenB.address, tokenA.address, tradeAmount.toString(), 50)
+                quoteCache.getQuote(tokenA.address, tokenB.address, tradeAmount.toString(), 50, { priority: 'background' }),
+                quoteCache.getQuote(tokenB.address, tokenA.address, tradeAmount.toString(), 50, { priority: 'background' })
             ]);
             
             if (!buyQuote || !sellQuote) {
@@ -365,11 +367,12 @@ class MarketConditionAnalyzer {
         
         for (let i = 0; i < sampleCount; i++) {
             try {
-                const quote = await getQuoteWithRateLimit(
+                const quote = await quoteCache.getQuote(
                     tokenA.address,
                     tokenB.address,
                     '1000000', // 1M units for price sampling
-                    100
+                    100,
+                    { priority: 'background' }
                 );
                 
                 if (quote && quote.outAmount) {
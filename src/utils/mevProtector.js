@@ -1,5 +1,11 @@
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const logger = require('./logger');
-const axios = require('axios');
+const { transactionSender } = require('./transactionSender');
+const { jitoBundleSender } = require('./jitoBundleSender');
+const { jitoEngineProber } = require('./jitoEngineProber');
+const tipOptimizer = require('./tipOptimizer');
+const { sandwichDetector } = require('./sandwichDetector');
+const rpcPool = require('./rpcPool');
 
 class MEVProtector {
     constructor() {
@@ -8,6 +14,7 @@ class MEVProtector {
         this.randomizeGas = process.env.RANDOMIZE_GAS === 'true';
         this.usePrivateMempool = process.env.USE_PRIVATE_MEMPOOL === 'true';
         this.maxMEVLoss = parseFloat(process.env.MAX_MEV_LOSS_PERCENT) || 0.2;
+        this.mevMonitorDelayMs = parseInt(process.env.MEV_MONITOR_DELAY_MS) || 5000;
         
         // MEV tracking
         this.detectedMEV = new Map(); // txHash -> MEV data
@@ -18,14 +25,8 @@ class MEVProtector {
             bundleSuccessRate: 0
         };
         
-        // Jito bundle endpoints
-        this.jitoBundleEndpoints = [
-            'https://mainnet.block-engine.jito.wtf',
-            'https://amsterdam.mainnet.block-engine.jito.wtf',
-            'https://frankfurt.mainnet.block-engine.jito.wtf',
-            'https://ny.mainnet.block-engine.jito.wtf',
-            'https://tokyo.mainnet.block-engine.jito.wtf'
-        ];
+        // A submission moves on to the next block engine this many times when one does not accept it
+        this.maxBundleFailovers = parseInt(process.env.JITO_MAX_FAILOVERS) || 2;
         
         logger.info('MEV Protector initialized', {
             enabled: this.enabled,
@@ -113,16 +114,16 @@ class MEVProtector {
      */
     async prepareBundleConfig(tradeSize, expectedProfit) {
         try {
-            // Calculate bundle tip based on expected profit
-            const profitUSD = expectedProfit * tradeSize * 100; // Rough USD estimate
-            const bundleTip = Math.max(0.001, Math.min(0.01, profitUSD * 0.1)); // 10% of profit, capped
+            // Tip that maximizes the expected net profit on the learned landing curve
+            const tip = tipOptimizer.chooseTip(tipOptimizer.getProfitLamports(tradeSize, expectedProfit));
             
             // Select best Jito endpoint
             const endpoint = await this.selectBestJitoEndpoint();
             
             return {
                 endpoint,
-                tip: bundleTip,
+                tip: tip.tipLamports / LAMPORTS_PER_SOL,
+                landingProbability: tip.landingProbability,
                 maxRetries: 3,
                 timeout: 30000
             };
@@ -134,13 +135,10 @@ class MEVProtector {
     }
 
     /**
-     * Select the best performing Jito endpoint
+     * Select the best performing Jito endpoint by probed latency and error rate
      */
     async selectBestJitoEndpoint() {
-        // For now, return a random endpoint
-        // TODO: Implement latency testing and endpoint selection
-        const randomIndex = Math.floor(Math.random() * this.jitoBundleEndpoints.length);
-        return this.jitoBundleEndpoints[randomIndex];
+        return await jitoEngineProber.getBestEngine();
     }
 
     /**
@@ -161,10 +159,10 @@ class MEVProtector {
     /**
      * Execute transaction with MEV protection
      */
-    async executeProtectedTransaction(signedTransaction, protectionParams) {
+    async executeProtectedTransaction(signedTransaction, protectionParams, sendOptions = {}) {
         if (!this.enabled || !protectionParams.mevMonitoring) {
             // Standard execution
-            return await this.standardExecution(signedTransaction);
+            return await this.standardExecution(signedTransaction, sendOptions);
         }
 
         const protectionLevel = protectionParams.mevMonitoring.protectionLevel;
@@ -183,13 +181,13 @@ class MEVProtector {
             // Try Jito bundle first if enabled
             if (this.useJitoBundles && protectionParams.bundleConfig) {
                 logger.debug('📦 Attempting Jito bundle submission');
-                txResult = await this.executeJitoBundle(signedTransaction, protectionParams.bundleConfig);
+                txResult = await this.executeJitoBundle(signedTransaction, protectionParams.bundleConfig, sendOptions);
                 
                 if (txResult && txResult.success) {
                     logger.info('✅ Transaction executed via Jito bundle');
-                    this.protectionStats.bundleSuccessRate++;
                     return txResult;
                 } else {
+                    // The same signed transaction can only land once, resending it is safe
                     logger.warn('⚠️ Jito bundle failed, falling back to standard execution');
                 }
             }
@@ -197,7 +195,7 @@ class MEVProtector {
             // Fallback to private mempool if available
             if (this.usePrivateMempool && protectionLevel === 'HIGH') {
                 logger.debug('🔒 Attempting private mempool submission');
-                txResult = await this.executePrivateMempool(signedTransaction);
+                txResult = await this.executePrivateMempool(signedTransaction, sendOptions);
                 
                 if (txResult && txResult.success) {
                     logger.info('✅ Transaction executed via private mempool');
@@ -207,47 +205,49 @@ class MEVProtector {
             
             // Standard execution as final fallback
             logger.debug('📡 Executing via standard RPC');
-            return await this.standardExecution(signedTransaction);
+            return await this.standardExecution(signedTransaction, sendOptions);
             
         } catch (error) {
             logger.error('Error in protected transaction execution:', error);
             // Final fallback to standard execution
-            return await this.standardExecution(signedTransaction);
+            return await this.standardExecution(signedTransaction, sendOptions);
         }
     }
 
     /**
-     * Execute transaction via Jito bundle
+     * Execute signed transactions, in order, as one Jito bundle with a tip paid by
+     * sendOptions.payer, confirmed, failed or expired before returning
      */
-    async executeJitoBundle(signedTransaction, bundleConfig) {
+    async executeJitoBundle(signedTransactions, bundleConfig, sendOptions = {}) {
         try {
-            const bundleEndpoint = `${bundleConfig.endpoint}/api/v1/bundles`;
-            
-            const bundle = {
-                jsonrpc: "2.0",
-                id: 1,
-                method: "sendBundle",
-                params: [
-                    [signedTransaction.serialize({ verifySignatures: false }).toString('base64')]
-                ]
-            };
-            
-            const response = await axios.post(bundleEndpoint, bundle, {
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                timeout: bundleConfig.timeout
-            });
-            
-            if (response.data && response.data.result) {
-                return {
-                    success: true,
-                    txid: response.data.result,
-                    method: 'jito_bundle'
-                };
-            } else {
-                throw new Error('Invalid bundle response');
+            if (!sendOptions.payer) {
+                throw new Error('No payer to sign the bundle tip');
+            }
+
+            // The configured engine while it is healthy, then the best of the rest. A bundle the
+            // engine did not accept never reached an auction, so sending it elsewhere is safe.
+            const engines = (await jitoEngineProber.getFailoverOrder(bundleConfig.endpoint))
+                .slice(0, this.maxBundleFailovers + 1);
+
+            let outcome;
+            for (const engine of engines) {
+                outcome = await jitoBundleSender.sendBundle([].concat(signedTransactions), {
+                    engine,
+                    payer: sendOptions.payer,
+                    tipLamports: jitoBundleSender.getTipLamports(bundleConfig),
+                    connection: sendOptions.connection || rpcPool.getConnection(),
+                    lastValidBlockHeight: sendOptions.lastValidBlockHeight,
+                    timeoutMs: bundleConfig.timeout
+                });
+
+                if (outcome.bundleId) break;
+                logger.warn(`📦 ${new URL(engine).host} did not accept the bundle, trying the next block engine`);
             }
+
+            return {
+                ...outcome,
+                method: 'jito_bundle'
+            };
             
         } catch (error) {
             logger.debug('Jito bundle execution failed:', error.message);
@@ -258,13 +258,13 @@ class MEVProtector {
     /**
      * Execute transaction via private mempool (placeholder for future implementation)
      */
-    async executePrivateMempool(signedTransaction) {
+    async executePrivateMempool(signedTransaction, sendOptions = {}) {
         try {
             // TODO: Implement actual private mempool submission
             // This could integrate with services like Flashbots, Eden, etc.
             
             logger.debug('Private mempool execution not yet implemented, using standard');
-            return await this.standardExecution(signedTransaction);
+            return await this.standardExecution(signedTransaction, sendOptions);
             
         } catch (error) {
             logger.debug('Private mempool execution failed:', error.message);
@@ -273,21 +273,22 @@ class MEVProtector {
     }
 
     /**
-     * Standard transaction execution
+     * Standard transaction execution (legacy or versioned), confirmed or expired before returning
      */
-    async standardExecution(signedTransaction) {
+    async standardExecution(signedTransaction, sendOptions = {}) {
         try {
-            const { Connection } = require('@solana/web3.js');
-            const connection = new Connection(process.env.DEFAULT_RPC);
-            
-            const txid = await connection.sendRawTransaction(signedTransaction.serialize(), {
-                skipPreflight: false,
-                maxRetries: 3
+            const connection = sendOptions.connection || rpcPool.getConnection();
+            
+            // Rebroadcast at the signed price. A re-priced copy of a single swap is another
+            // transaction, and if the original lands as well the swap runs twice - nothing reverts
+            // the extra one the way an atomic transaction's min out does.
+            const outcome = await transactionSender.sendAndConfirm(connection, signedTransaction, {
+                lastValidBlockHeight: sendOptions.lastValidBlockHeight,
+                skipPreflight: sendOptions.skipPreflight
             });
             
             return {
-                success: true,
-                txid,
+                ...outcome,
                 method: 'standard_rpc'
             };
             
@@ -298,32 +299,50 @@ class MEVProtector {
     }
 
     /**
-     * Monitor for MEV attacks after transaction
+     * Check the block a landed transaction went into for a sandwich around it. quote is
+     * what the transaction expected to receive ({ inputMint, inAmount, outputMint, outAmount }),
+     * the shortfall against it is the loss put down to a sandwich.
      */
-    async monitorMEVAttack(txid, expectedProfit, tradeSize) {
+    async monitorMEVAttack(txid, expectedProfit, tradeSize, quote = null) {
         if (!this.enabled) return null;
         
         try {
-            // Wait a bit for transaction to be processed
-            await new Promise(resolve => setTimeout(resolve, 5000));
+            // Give the block time to be served at confirmed commitment
+            await new Promise(resolve => setTimeout(resolve, this.mevMonitorDelayMs));
             
-            // TODO: Implement actual MEV detection logic
-            // This could analyze:
-            // 1. Transaction ordering in the block
-            // 2. Similar transactions executed before/after
-            // 3. Actual vs expected profit
-            // 4. Price impact differences
+            const fetched = await sandwichDetector.fetchBlockFor(txid);
+            if (!fetched) {
+                logger.warn(`🥪 Could not fetch the block for ${txid} - MEV check skipped`);
+                return null;
+            }
+            
+            const analysis = sandwichDetector.analyzeBlock(fetched.block, txid, quote);
+            
+            // Loss in SOL: the trade's size times the share of the quote it fell short by
+            const estimatedMEVLoss = analysis.sandwiched && analysis.shortfallBps > 0
+                ? tradeSize * analysis.shortfallBps / 10000
+                : 0;
             
             const mevData = {
                 txid,
                 timestamp: Date.now(),
                 expectedProfit,
                 tradeSize,
-                mevDetected: false, // Placeholder
-                estimatedMEVLoss: 0,
-                blockPosition: null
+                slot: fetched.slot,
+                mevDetected: analysis.sandwiched,
+                attacker: analysis.sandwich?.attacker || null,
+                sandwich: analysis.sandwich || null,
+                estimatedMEVLoss,
+                shortfallBps: analysis.shortfallBps ?? null,
+                blockPosition: analysis.blockPosition
             };
             
+            if (mevData.mevDetected) {
+                logger.warn(`🥪 SANDWICH SUSPECTED on ${txid} in slot ${fetched.slot} by ${mevData.attacker}: front ${analysis.sandwich.frontRun.signature} / back ${analysis.sandwich.backRun.signature}, ${mevData.shortfallBps ?? '?'} bps short of the quote (~${estimatedMEVLoss.toFixed(6)} SOL)`);
+            } else {
+                logger.debug(`🥪 No sandwich around ${txid} (position ${analysis.blockPosition} in slot ${fetched.slot}, ${mevData.shortfallBps ?? '?'} bps short of the quote)`);
+            }
+            
             this.detectedMEV.set(txid, mevData);
             
             return mevData;
@@ -338,17 +357,35 @@ class MEVProtector {
      * Get MEV protection statistics
      */
     getProtectionStats() {
-        const totalMEVSaved = Array.from(this.detectedMEV.values())
-            .reduce((total, data) => total + (data.estimatedMEVLoss || 0), 0);
+        const monitored = Array.from(this.detectedMEV.values());
+        const attacks = monitored.filter(data => data.mevDetected);
+        const totalMEVLoss = attacks.reduce((total, data) => total + (data.estimatedMEVLoss || 0), 0);
+        
+        // Suspected sandwichers, most frequent first
+        const attackers = Object.entries(attacks.reduce((counts, data) => {
+            counts[data.attacker] = (counts[data.attacker] || 0) + 1;
+            return counts;
+        }, {}))
+            .map(([address, sandwiches]) => ({ address, sandwiches }))
+            .sort((a, b) => b.sandwiches - a.sandwiches);
         
+        const bundles = jitoBundleSender.getStats();
+
         return {
             ...this.protectionStats,
-            totalMEVSaved: totalMEVSaved,
+            bundleSuccessRate: bundles.landingRate,
+            bundles,
+            totalMEVLoss,
             protectionRate: this.protectionStats.totalTrades > 0 ? 
                 (this.protectionStats.protectedTrades / this.protectionStats.totalTrades) : 0,
-            averageMEVSaved: this.protectionStats.protectedTrades > 0 ?
-                (totalMEVSaved / this.protectionStats.protectedTrades) : 0,
-            detectedAttacks: this.detectedMEV.size
+            averageMEVLoss: attacks.length > 0 ? totalMEVLoss / attacks.length : 0,
+            monitoredTrades: monitored.length,
+            detectedAttacks: attacks.length,
+            sandwichRate: monitored.length > 0 ? attacks.length / monitored.length : 0,
+            attackers,
+            blockEngines: jitoEngineProber.getStats(),
+            tipPolicy: tipOptimizer.getStats(),
+            broadcastEndpoints: transactionSender.getEndpointLandingStats()
         };
     }
 
@@ -370,9 +407,11 @@ class MEVProtector {
             report += `   Total Trades: ${stats.totalTrades}\n`;
             report += `   Protected Trades: ${stats.protectedTrades}\n`;
             report += `   Protection Rate: ${(stats.protectionRate * 100).toFixed(1)}%\n`;
-            report += `   Bundle Success Rate: ${(stats.bundleSuccessRate * 100).toFixed(1)}%\n`;
-            report += `   Total MEV Saved: ${stats.totalMEVSaved.toFixed(2)}\n`;
-            report += `   Average MEV Saved: ${stats.averageMEVSaved.toFixed(4)} per trade\n\n`;
+            report += `   Bundle Success Rate: ${(stats.bundleSuccessRate * 100).toFixed(1)}% (${stats.bundles.landed} of ${stats.bundles.sent} landed${stats.bundles.unknown > 0 ? `, ${stats.bundles.unknown} unknown` : ''}, ${stats.bundles.tipLamports} lamports tipped)\n`;
+            report += `   Tip Policy: ${stats.tipPolicy.policy} from ${stats.tipPolicy.samples} bundles (${(stats.tipPolicy.landingRate * 100).toFixed(1)}% landed${stats.tipPolicy.lastDecision ? `, last tip ${stats.tipPolicy.lastDecision.tipLamports} lamports` : ''})\n`;
+            report += `   Sandwiched Trades: ${stats.detectedAttacks} of ${stats.monitoredTrades} checked (${(stats.sandwichRate * 100).toFixed(1)}%)\n`;
+            report += `   Total MEV Loss: ${stats.totalMEVLoss.toFixed(6)} SOL\n`;
+            report += `   Average MEV Loss: ${stats.averageMEVLoss.toFixed(6)} SOL per sandwich\n\n`;
             
             report += `🔧 ACTIVE PROTECTIONS:\n`;
             report += `   Jito Bundles: ${this.useJitoBundles ? 'ENABLED' : 'DISABLED'}\n`;
@@ -382,12 +421,33 @@ class MEVProtector {
             
             if (stats.detectedAttacks > 0) {
                 report += `⚠️ DETECTED MEV ATTACKS: ${stats.detectedAttacks}\n`;
+                stats.attackers.slice(0, 5).forEach(attacker => {
+                    report += `   ${attacker.address}: ${attacker.sandwiches} sandwich(es)\n`;
+                });
                 report += `   Check logs for detailed attack analysis\n\n`;
             }
         } else {
             report += `⚠️ MEV protection is DISABLED\n`;
             report += `   Enable with ENABLE_MEV_PROTECTION=true in .env\n\n`;
         }
+
+        if (this.useJitoBundles && stats.blockEngines.length > 0) {
+            report += `📦 JITO BLOCK ENGINES (latency / error rate / requests):\n`;
+            stats.blockEngines.forEach(engine => {
+                const latency = engine.avgLatencyMs === null ? 'not reached' : `${engine.avgLatencyMs}ms`;
+                const name = engine.region === engine.engine ? engine.engine : `${engine.region} (${engine.engine})`;
+                report += `   ${name}: ${latency} / ${(engine.errorRate * 100).toFixed(1)}% / ${engine.requests}${engine.healthy ? '' : ' - BENCHED'}\n`;
+            });
+            report += '\n';
+        }
+
+        if (stats.broadcastEndpoints.length > 0) {
+            report += `📡 BROADCAST ENDPOINTS (sent / accepted / first to see it land):\n`;
+            stats.broadcastEndpoints.forEach(endpoint => {
+                report += `   ${endpoint.endpoint}: ${endpoint.sent} / ${endpoint.accepted} (${(endpoint.acceptRate * 100).toFixed(1)}%) / ${endpoint.firstToReport}\n`;
+            });
+            report += '\n';
+        }
         
         report += '='.repeat(60) + '\n';
         
@@ -1,5 +1,6 @@
-const axios = require('axios');
 const logger = require('./logger');
+const quoteCassette = require('./quoteCassette');
+const { rateLimiter } = require('./rateLimiter');
 
 class PriceFeedService {
     constructor() {
@@ -60,40 +61,11 @@ class PriceFeedService {
         try {
             logger.debug('🔄 Updating SOL price from multiple sources...');
             
-            const prices = [];
-            
-            // Try all price sources concurrently with timeout
-            const pricePromises = this.priceSources.map(async (source) => {
-                try {
-                    const response = await axios.get(source.url, {
-                        timeout: 5000,
-                        headers: source.headers || {}
-                    });
-                    
-                    const price = source.parser(response.data);
-                    
-                    if (price && typeof price === 'number' && price > 0) {
-                        logger.debug(`✅ ${source.name}: $${price.toFixed(2)}`);
-                        return { source: source.name, price };
-                    } else {
-                        logger.debug(`❌ ${source.name}: Invalid price data`);
-                        return null;
-                    }
-                } catch (error) {
-                    logger.debug(`❌ ${source.name}: ${error.message}`);
-                    return null;
-                }
-            });
-            
-            // Wait for all price requests (with timeout)
-            const results = await Promise.allSettled(pricePromises);
-            
-            // Collect valid prices
-            results.forEach(result => {
-                if (result.status === 'fulfilled' && result.value) {
-                    prices.push(result.value);
-                }
-            });
+            // Replay serves the prices recorded alongside the quotes they sized
+            const prices = quoteCassette.isReplaying()
+                ? quoteCassette.replay('sol_price').prices
+                : await this.fetchSourcePrices();
+            quoteCassette.record('sol_price', {}, { prices });
             
             if (prices.length > 0) {
                 // Calculate average price from all sources
@@ -138,6 +110,50 @@ class PriceFeedService {
         return this.solPrice;
     }
 
+    /**
+     * Fetch the SOL price from every source that responds
+     */
+    async fetchSourcePrices() {
+        const prices = [];
+        
+        // Try all price sources concurrently with timeout
+        const pricePromises = this.priceSources.map(async (source) => {
+            try {
+                const response = await rateLimiter.request({
+                    method: 'get',
+                    url: source.url,
+                    timeout: 5000,
+                    headers: source.headers || {}
+                }, { priority: 'background' });
+                
+                const price = source.parser(response.data);
+                
+                if (price && typeof price === 'number' && price > 0) {
+                    logger.debug(`✅ ${source.name}: $${price.toFixed(2)}`);
+                    return { source: source.name, price };
+                } else {
+                    logger.debug(`❌ ${source.name}: Invalid price data`);
+                    return null;
+                }
+            } catch (error) {
+                logger.debug(`❌ ${source.name}: ${error.message}`);
+                return null;
+            }
+        });
+        
+        // Wait for all price requests (with timeout)
+        const results = await Promise.allSettled(pricePromises);
+        
+        // Collect valid prices
+        results.forEach(result => {
+            if (result.status === 'fulfilled' && result.value) {
+                prices.push(result.value);
+            }
+        });
+        
+        return prices;
+    }
+
     /**
      * Start automatic price updates
      */
@@ -0,0 +1,179 @@
+const logger = require('./logger');
+
+// getRecentPrioritizationFees accepts at most this many accounts
+const MAX_FEE_ACCOUNTS = 128;
+
+const DEFAULT_FIXED_MICRO_LAMPORTS = 150000;
+const MICRO_LAMPORTS_PER_LAMPORT = 1000000;
+
+/**
+ * Compute unit price for a transaction. PRIORITY is either a fixed micro-lamport price or
+ * "dynamic", which samples getRecentPrioritizationFees for the accounts the transaction
+ * writes and takes a percentile of the recent fees. Dynamic prices are capped at a share
+ * of the trade's expected profit and can be raised on rebroadcast until they hit the cap.
+ */
+class PriorityFeeEstimator {
+    constructor() {
+        this.dynamic = process.env.PRIORITY === 'dynamic';
+        this.fixedMicroLamports = parseInt(process.env.PRIORITY) || DEFAULT_FIXED_MICRO_LAMPORTS;
+
+        this.percentile = Math.min(100, Math.max(0, parseFloat(process.env.PRIORITY_FEE_PERCENTILE) || 75));
+        this.minMicroLamports = parseInt(process.env.PRIORITY_FEE_MIN_MICRO_LAMPORTS) || 1000;
+        this.maxProfitShare = parseFloat(process.env.PRIORITY_FEE_MAX_PROFIT_SHARE) || 0.3;
+        this.escalationMultiplier = parseFloat(process.env.PRIORITY_FEE_ESCALATION_MULTIPLIER) || 1.5;
+        this.maxEscalations = parseInt(process.env.PRIORITY_FEE_MAX_ESCALATIONS) || 3;
+
+        this.lastEstimate = null;
+        this.stats = { estimates: 0, capped: 0, escalations: 0, sampleFailures: 0 };
+
+        logger.info('Priority Fee Estimator initialized', {
+            mode: this.dynamic ? `dynamic (p${this.percentile})` : `fixed (${this.fixedMicroLamports} µL/CU)`,
+            maxProfitShare: this.maxProfitShare
+        });
+    }
+
+    /**
+     * Price to assume before a transaction exists, e.g. for net profit estimates
+     */
+    getExpectedMicroLamports() {
+        if (!this.dynamic) return this.fixedMicroLamports;
+        return this.lastEstimate ? this.lastEstimate.percentileMicroLamports : this.minMicroLamports;
+    }
+
+    /**
+     * Unique writable accounts of a list of TransactionInstructions
+     */
+    getWritableAccounts(instructions) {
+        const accounts = new Map();
+        instructions.forEach(instruction => instruction.keys
+            .filter(key => key.isWritable)
+            .forEach(key => accounts.set(key.pubkey.toString(), key.pubkey)));
+
+        return [...accounts.values()];
+    }
+
+    percentileOf(values, percentile) {
+        if (values.length === 0) return 0;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const index = Math.ceil(percentile / 100 * sorted.length) - 1;
+        return sorted[Math.min(sorted.length - 1, Math.max(0, index))];
+    }
+
+    /**
+     * Highest price whose fee over computeUnits stays within the profit share, null when uncapped
+     */
+    getCapMicroLamports(expectedProfitLamports, computeUnits) {
+        if (expectedProfitLamports === null || expectedProfitLamports === undefined || !computeUnits) {
+            return null;
+        }
+
+        const budgetLamports = Math.max(0, expectedProfitLamports) * this.maxProfitShare;
+        return Math.floor(budgetLamports * MICRO_LAMPORTS_PER_LAMPORT / computeUnits);
+    }
+
+    /**
+     * Lamports a compute unit price costs over computeUnits
+     */
+    toFeeLamports(microLamports, computeUnits) {
+        return Math.ceil(microLamports * computeUnits / MICRO_LAMPORTS_PER_LAMPORT);
+    }
+
+    /**
+     * Priority fee field for Jupiter's /swap. Prices are per compute unit, which Jupiter
+     * takes as computeUnitPriceMicroLamports - its prioritizationFeeLamports is a total
+     * for the whole transaction.
+     */
+    getSwapFeeParams() {
+        return { computeUnitPriceMicroLamports: this.getExpectedMicroLamports() };
+    }
+
+    /**
+     * Price a transaction writing accounts and using computeUnits. expectedProfitLamports
+     * (what this transaction is expected to earn) caps the dynamic price.
+     */
+    async estimate({ connection, accounts = [], computeUnits, expectedProfitLamports = null }) {
+        if (!this.dynamic) {
+            return { microLamports: this.fixedMicroLamports, source: 'fixed', capMicroLamports: null, capped: false };
+        }
+
+        this.stats.estimates++;
+
+        let percentileMicroLamports = this.getExpectedMicroLamports();
+        let source = 'fallback';
+        try {
+            const fees = await connection.getRecentPrioritizationFees({
+                lockedWritableAccounts: accounts.slice(0, MAX_FEE_ACCOUNTS)
+            });
+
+            if (fees.length > 0) {
+                percentileMicroLamports = Math.max(
+                    this.minMicroLamports,
+                    this.percentileOf(fees.map(fee => fee.prioritizationFee), this.percentile)
+                );
+                source = 'percentile';
+            }
+        } catch (error) {
+            this.stats.sampleFailures++;
+            logger.debug(`Could not sample recent prioritization fees, using ${percentileMicroLamports} µL/CU: ${error.message}`);
+        }
+
+        const capMicroLamports = this.getCapMicroLamports(expectedProfitLamports, computeUnits);
+        const capped = capMicroLamports !== null && percentileMicroLamports > capMicroLamports;
+        if (capped) this.stats.capped++;
+
+        const estimate = {
+            microLamports: capped ? capMicroLamports : percentileMicroLamports,
+            percentileMicroLamports,
+            source,
+            capMicroLamports,
+            capped
+        };
+
+        this.lastEstimate = { ...estimate, accounts: accounts.length, estimatedAt: Date.now() };
+        logger.debug(`💸 Priority fee: ${estimate.microLamports} µL/CU (p${this.percentile} of ${accounts.length} accounts ${percentileMicroLamports}${capped ? `, capped at ${capMicroLamports}` : ''})`);
+
+        return estimate;
+    }
+
+    /**
+     * Price for the given rebroadcast attempt, null once escalation has nowhere left to go
+     */
+    getEscalatedMicroLamports(estimate, attempt) {
+        if (!this.dynamic || attempt < 1 || attempt > this.maxEscalations) return null;
+
+        const escalated = Math.ceil(estimate.microLamports * Math.pow(this.escalationMultiplier, attempt));
+        const microLamports = estimate.capMicroLamports === null
+            ? escalated
+            : Math.min(escalated, estimate.capMicroLamports);
+
+        return microLamports > estimate.microLamports ? microLamports : null;
+    }
+
+    escalate(estimate, attempt) {
+        const microLamports = this.getEscalatedMicroLamports(estimate, attempt);
+        if (microLamports !== null) this.stats.escalations++;
+        return microLamports;
+    }
+
+    /**
+     * Most an estimate can grow to through escalation
+     */
+    getCeilingMicroLamports(estimate) {
+        return this.getEscalatedMicroLamports(estimate, this.maxEscalations) ?? estimate.microLamports;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            mode: this.dynamic ? 'dynamic' : 'fixed',
+            percentile: this.percentile,
+            lastEstimate: this.lastEstimate
+        };
+    }
+}
+
+// Create singleton instance
+const priorityFeeEstimator = new PriorityFeeEstimator();
+
+module.exports = priorityFeeEstimator;
@@ -0,0 +1,119 @@
+const logger = require('./logger');
+const { getQuote } = require('./jupiterApiClient');
+
+/**
+ * Quote cache in front of the Jupiter client. Analysis callers get a cached quote
+ * within the TTL, and identical requests already in flight are shared rather than
+ * sent twice. Execution always fetches fresh. Every quote handed out carries
+ * quotedAt, ageMs and contextSlot so decision code can reject stale ones.
+ */
+class QuoteCache {
+    constructor() {
+        const ttlMs = parseInt(process.env.QUOTE_CACHE_TTL_MS);
+        this.ttlMs = Number.isFinite(ttlMs) ? ttlMs : 2000; // 0 turns caching off, coalescing stays
+        this.maxEntries = parseInt(process.env.QUOTE_CACHE_MAX_ENTRIES) || 500;
+
+        this.entries = new Map(); // request key -> { quote, quotedAt }, oldest first
+        this.inFlight = new Map(); // request key -> pending fetch
+        this.latestContextSlot = 0; // Newest slot any quote was computed at
+        this.stats = { hits: 0, misses: 0, coalesced: 0, bypassed: 0 };
+
+        logger.info('Quote Cache initialized', {
+            ttlMs: this.ttlMs,
+            maxEntries: this.maxEntries
+        });
+    }
+
+    getKey(inputMint, outputMint, amount, slippageBps, quoteOptions) {
+        // The rate limiter lane does not change the quote
+        const routeOptions = { ...quoteOptions };
+        delete routeOptions.priority;
+
+        return [inputMint, outputMint, amount.toString(), slippageBps, JSON.stringify(routeOptions)].join(':');
+    }
+
+    /**
+     * Quote for analysis: served from the cache up to maxAgeMs old, or shared with an
+     * identical request already in flight
+     */
+    async getQuote(inputMint, outputMint, amount, slippageBps = 100, quoteOptions = {}, maxAgeMs = this.ttlMs) {
+        const key = this.getKey(inputMint, outputMint, amount, slippageBps, quoteOptions);
+
+        const cached = this.entries.get(key);
+        if (cached && Date.now() - cached.quotedAt <= maxAgeMs) {
+            this.stats.hits++;
+            return this.tag(cached, true);
+        }
+
+        if (this.inFlight.has(key)) {
+            this.stats.coalesced++;
+            return this.tag(await this.inFlight.get(key), true);
+        }
+
+        this.stats.misses++;
+        const request = this.fetch(key, inputMint, outputMint, amount, slippageBps, quoteOptions)
+            .finally(() => this.inFlight.delete(key));
+        this.inFlight.set(key, request);
+
+        return this.tag(await request, false);
+    }
+
+    /**
+     * Quote for execution: always fetched from Jupiter, never served from the cache
+     * or shared with another caller
+     */
+    async getFreshQuote(inputMint, outputMint, amount, slippageBps = 100, quoteOptions = {}) {
+        const key = this.getKey(inputMint, outputMint, amount, slippageBps, quoteOptions);
+
+        this.stats.bypassed++;
+        return this.tag(await this.fetch(key, inputMint, outputMint, amount, slippageBps, quoteOptions), false);
+    }
+
+    async fetch(key, inputMint, outputMint, amount, slippageBps, quoteOptions) {
+        const quote = await getQuote(inputMint, outputMint, amount, slippageBps, 0, quoteOptions);
+        const entry = { quote, quotedAt: Date.now() };
+
+        if (quote.contextSlot > this.latestContextSlot) {
+            this.latestContextSlot = quote.contextSlot;
+        }
+
+        // Re-inserting moves the key to the newest end, so the first key is the oldest
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Copy of the quote with its freshness tags
+     */
+    tag({ quote, quotedAt }, cacheHit) {
+        return {
+            ...quote,
+            contextSlot: quote.contextSlot ?? null,
+            quotedAt,
+            ageMs: Date.now() - quotedAt,
+            cacheHit
+        };
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.coalesced + this.stats.misses;
+
+        return {
+            ...this.stats,
+            entries: this.entries.size,
+            inFlight: this.inFlight.size,
+            hitRate: lookups > 0 ? (this.stats.hits + this.stats.coalesced) / lookups : 0,
+            latestContextSlot: this.latestContextSlot
+        };
+    }
+}
+
+// Create singleton instance
+const quoteCache = new QuoteCache();
+
+module.exports = quoteCache;
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Records Jupiter quotes (and the SOL price they were sized with) to a JSONL
+ * cassette, and serves them back in recorded order for offline replay
+ */
+class QuoteCassette {
+    constructor() {
+        this.mode = (process.env.QUOTE_CASSETTE_MODE || 'off').toLowerCase();
+        this.cassetteDirectory = process.env.QUOTE_CASSETTE_DIR || './temp/cassettes';
+        this.replayPath = process.env.QUOTE_CASSETTE_PATH || null;
+
+        this.recordPath = null;
+        this.sequence = 0;
+
+        // Replay state: request key -> recorded entries in order, loaded on the first replay
+        this.loaded = false;
+        this.entries = [];
+        this.replayQueues = new Map();
+        this.replayStats = {
+            served: 0,
+            misses: 0
+        };
+
+        if (this.mode === 'record') {
+            this.startRecording();
+        }
+    }
+
+    isRecording() {
+        return this.mode === 'record' && this.recordPath !== null;
+    }
+
+    isReplaying() {
+        return this.mode === 'replay';
+    }
+
+    /**
+     * Open a new timestamped cassette file
+     */
+    startRecording(directory = this.cassetteDirectory) {
+        if (!fs.existsSync(directory)) {
+            fs.mkdirSync(directory, { recursive: true });
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        this.mode = 'record';
+        this.recordPath = path.join(directory, `quotes_${timestamp}.jsonl`);
+        this.sequence = 0;
+
+        logger.info(`📼 Recording quotes to ${this.recordPath}`);
+        return this.recordPath;
+    }
+
+    /**
+     * Stable key for a request so replay matches regardless of property order
+     */
+    requestKey(type, request = {}) {
+        const sorted = Object.keys(request).sort().map(key => [key, String(request[key])]);
+        return `${type}:${JSON.stringify(sorted)}`;
+    }
+
+    /**
+     * Append a request and its response (or error) to the cassette
+     */
+    record(type, request, response, error = null) {
+        if (!this.isRecording()) return;
+
+        const entry = {
+            seq: this.sequence++,
+            timestamp: Date.now(),
+            type,
+            request,
+            response: error ? null : response,
+            error: error ? {
+                message: error.message,
+                code: error.code,
+                status: error.response?.status,
+                data: error.response?.data
+            } : null
+        };
+
+        try {
+            fs.appendFileSync(this.recordPath, JSON.stringify(entry) + '\n');
+        } catch (writeError) {
+            logger.error('Failed to write quote cassette:', writeError.message);
+        }
+    }
+
+    /**
+     * Load a cassette for replay
+     */
+    load(filePath) {
+        if (!filePath || !fs.existsSync(filePath)) {
+            throw new Error(`Quote cassette not found: ${filePath}. Set QUOTE_CASSETTE_PATH to a recorded .jsonl file`);
+        }
+
+        this.mode = 'replay';
+        this.replayPath = filePath;
+        this.entries = fs.readFileSync(filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line))
+            .sort((a, b) => a.seq - b.seq);
+
+        this.replayQueues.clear();
+        this.entries.forEach(entry => {
+            const key = this.requestKey(entry.type, entry.request);
+            if (!this.replayQueues.has(key)) {
+                this.replayQueues.set(key, []);
+            }
+            this.replayQueues.get(key).push(entry);
+        });
+
+        this.replayStats = { served: 0, misses: 0 };
+        this.loaded = true;
+
+        logger.info(`📼 Replaying ${this.entries.length} recorded responses from ${filePath}`);
+        return this.entries;
+    }
+
+    /**
+     * Serve the next recorded response for a request, rethrowing recorded errors.
+     * The cassette at QUOTE_CASSETTE_PATH is loaded by the first call.
+     */
+    replay(type, request = {}) {
+        if (!this.loaded) {
+            this.load(this.replayPath);
+        }
+
+        const key = this.requestKey(type, request);
+        const queue = this.replayQueues.get(key);
+
+        if (!queue || queue.length === 0) {
+            this.replayStats.misses++;
+            throw new Error(`No recorded ${type} in cassette for ${JSON.stringify(request)}`);
+        }
+
+        const entry = queue.shift();
+        this.replayStats.served++;
+
+        if (entry.error) {
+            // Rebuild enough of the axios error for the caller's retry handling to behave the same
+            const error = new Error(entry.error.message);
+            error.code = entry.error.code;
+            if (entry.error.status) {
+                error.response = { status: entry.error.status, data: entry.error.data };
+            }
+            throw error;
+        }
+
+        return entry.response;
+    }
+
+    /**
+     * Recorded entries that have not been served yet
+     */
+    getRemainingCount() {
+        let remaining = 0;
+        this.replayQueues.forEach(queue => {
+            remaining += queue.length;
+        });
+        return remaining;
+    }
+
+    getStats() {
+        return {
+            mode: this.mode,
+            recordPath: this.recordPath,
+            replayPath: this.replayPath,
+            recorded: this.sequence,
+            ...this.replayStats,
+            remaining: this.getRemainingCount()
+        };
+    }
+}
+
+// Create singleton instance
+const quoteCassette = new QuoteCassette();
+
+module.exports = quoteCassette;
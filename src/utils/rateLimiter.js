@@ -1,202 +1,334 @@
+const axios = require('axios');
+const logger = require('./logger');
+
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// Lanes in the order they are served - execution first, background scanning last
+const PRIORITIES = ['critical', 'normal', 'background'];
+
+const DEFAULT_REQUESTS_PER_MINUTE = 60;
+const DEFAULT_BURST = 5;
+const FAILURES_TO_OPEN = 5;
+const CIRCUIT_OPEN_MS = 60000;
+const DEFAULT_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS = 120000;
+
+// Hosts that need a tighter budget than the default
+const HOST_LIMITS = {
+    'api.coingecko.com': { requestsPerMinute: 10, burst: 2 },
+    'tokens.jup.ag': { requestsPerMinute: 30, burst: 2 }
+};
+
+// RATE_LIMITS="host=requestsPerMinute[:burst],..." overrides the built in limits
+const parseHostLimits = (value) => {
+    const limits = {};
+    if (!value) return limits;
+
+    value.split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+        const [host, limit] = item.split('=');
+        const [requestsPerMinute, burst] = (limit || '').split(':').map(Number);
+        if (host && requestsPerMinute > 0) {
+            limits[host.trim()] = { requestsPerMinute, ...(burst > 0 ? { burst } : {}) };
+        }
+    });
+
+    return limits;
+};
+
+// Retry-After is either seconds or an HTTP date
+const parseRetryAfter = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Failures that say the host is in trouble, as opposed to a bad request
+const isHostFailure = (error) => {
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+};
+
+/**
+ * One token bucket per host shared by every outbound HTTP call. Requests wait in
+ * priority lanes so execution-critical calls jump ahead of background scanning.
+ * A 429 empties the bucket and pauses the host for its Retry-After (or an exponential
+ * backoff), and consecutive host failures open a circuit that rejects calls until it
+ * cools down.
+ */
 class RateLimiter {
     constructor() {
-        this.requestCount = 0;
-        this.lastReset = Date.now();
-        this.requestQueue = [];
-        this.processing = false;
-        this.maxRequestsPerMinute = 25; // Conservative limit
-        this.minDelayBetweenRequests = 2500; // 2.5 seconds minimum
-        this.lastRequestTime = 0;
-        
-        console.log('Rate Limiter initialized with enhanced protection', {
-            maxPerMinute: this.maxRequestsPerMinute,
-            minDelay: this.minDelayBetweenRequests
+        this.defaultLimits = {
+            requestsPerMinute: parseInt(process.env.RATE_LIMIT_DEFAULT_PER_MINUTE) || DEFAULT_REQUESTS_PER_MINUTE,
+            burst: DEFAULT_BURST
+        };
+        this.hostLimits = { ...HOST_LIMITS };
+        this.envLimits = parseHostLimits(process.env.RATE_LIMITS);
+        this.buckets = new Map(); // host -> bucket
+
+        logger.info('Rate Limiter initialized', {
+            defaultPerMinute: this.defaultLimits.requestsPerMinute,
+            overrides: Object.keys(this.envLimits)
         });
     }
 
-    async queueRequest(requestFn) {
-        return new Promise((resolve, reject) => {
-            this.requestQueue.push({ 
-                requestFn, 
-                resolve, 
-                reject,
-                timestamp: Date.now()
+    /**
+     * Set the limits for a host; RATE_LIMITS still wins so operators can tune any client
+     */
+    configureHost(host, limits) {
+        this.hostLimits[host] = { ...this.hostLimits[host], ...limits };
+
+        const bucket = this.buckets.get(host);
+        if (bucket) {
+            Object.assign(bucket, this.hostLimits[host], this.envLimits[host]);
+            bucket.tokens = Math.min(bucket.tokens, bucket.burst);
+        }
+    }
+
+    getBucket(host) {
+        if (!this.buckets.has(host)) {
+            const limits = { ...this.defaultLimits, ...this.hostLimits[host], ...this.envLimits[host] };
+
+            this.buckets.set(host, {
+                host,
+                requestsPerMinute: limits.requestsPerMinute,
+                burst: limits.burst,
+                tokens: limits.burst,
+                refilledAt: Date.now(),
+                queues: Object.fromEntries(PRIORITIES.map(priority => [priority, []])),
+                draining: false,
+                blockedUntil: 0,
+                backoffMs: 0,
+                circuit: { state: 'closed', failures: 0, openedAt: 0 },
+                stats: { requests: 0, failures: 0, rateLimited: 0, rejected: 0, totalWaitMs: 0, totalLatencyMs: 0 }
             });
-            this.processQueue();
+        }
+        return this.buckets.get(host);
+    }
+
+    refill(bucket, now) {
+        const refilled = (now - bucket.refilledAt) * bucket.requestsPerMinute / 60000;
+        bucket.tokens = Math.min(bucket.burst, bucket.tokens + refilled);
+        bucket.refilledAt = now;
+    }
+
+    queuedCount(bucket) {
+        return PRIORITIES.reduce((sum, priority) => sum + bucket.queues[priority].length, 0);
+    }
+
+    /**
+     * Milliseconds the circuit keeps rejecting calls, 0 when it lets them through
+     */
+    circuitOpenMs(bucket, now) {
+        const { circuit } = bucket;
+        if (circuit.state !== 'open') return 0;
+
+        const remaining = CIRCUIT_OPEN_MS - (now - circuit.openedAt);
+        if (remaining > 0) return remaining;
+
+        // Cooled down - let calls probe the host, the next result decides
+        circuit.state = 'half_open';
+        logger.info(`🔌 Circuit half open for ${bucket.host} - probing`);
+        return 0;
+    }
+
+    /**
+     * Run fn once the host's bucket has a token for it. priority is one of
+     * critical, normal or background.
+     */
+    schedule(host, fn, { priority = 'normal' } = {}) {
+        const bucket = this.getBucket(host);
+        const lane = PRIORITIES.includes(priority) ? priority : 'normal';
+
+        const openMs = this.circuitOpenMs(bucket, Date.now());
+        if (openMs > 0) {
+            bucket.stats.rejected++;
+            return Promise.reject(new Error(`Circuit open for ${host} - retrying in ${Math.ceil(openMs / 1000)}s`));
+        }
+
+        return new Promise((resolve, reject) => {
+            bucket.queues[lane].push({ fn, resolve, reject, queuedAt: Date.now() });
+            this.drain(bucket);
         });
     }
 
-    async processQueue() {
-        if (this.processing || this.requestQueue.length === 0) return;
-        
-        this.processing = true;
-        
+    /**
+     * Hand out tokens to queued calls, highest lane first, until the queues are empty
+     */
+    async drain(bucket) {
+        if (bucket.draining) return;
+        bucket.draining = true;
+
         try {
-            while (this.requestQueue.length > 0) {
+            while (this.queuedCount(bucket) > 0) {
                 const now = Date.now();
-                
-                // Reset counter every minute
-                if (now - this.lastReset > 60000) {
-                    this.requestCount = 0;
-                    this.lastReset = now;
-                    console.log('Rate limiter: Counter reset');
-                }
-                
-                // Check if we need to wait for rate limit
-                if (this.requestCount >= this.maxRequestsPerMinute) {
-                    const waitTime = 60000 - (now - this.lastReset);
-                    console.log(`Rate limit reached (${this.requestCount}/${this.maxRequestsPerMinute}), waiting ${waitTime/1000}s...`);
-                    await delay(waitTime);
-                    this.requestCount = 0;
-                    this.lastReset = Date.now();
-                }
-                
-                // Ensure minimum delay between requests
-                const timeSinceLastRequest = now - this.lastRequestTime;
-                if (timeSinceLastRequest < this.minDelayBetweenRequests) {
-                    const waitTime = this.minDelayBetweenRequests - timeSinceLastRequest;
-                    console.log(`Enforcing minimum delay: waiting ${waitTime}ms...`);
-                    await delay(waitTime);
+
+                if (bucket.blockedUntil > now) {
+                    await delay(bucket.blockedUntil - now);
+                    continue;
                 }
-                
-                const { requestFn, resolve, reject, timestamp } = this.requestQueue.shift();
-                
-                // Check if request is too old (older than 30 seconds)
-                if (Date.now() - timestamp > 30000) {
-                    console.warn('Discarding stale request from queue');
-                    reject(new Error('Request timeout in queue'));
+
+                this.refill(bucket, now);
+                if (bucket.tokens < 1) {
+                    await delay(Math.ceil((1 - bucket.tokens) * 60000 / bucket.requestsPerMinute));
                     continue;
                 }
-                
-                try {
-                    console.log(`Processing request (${this.requestCount + 1}/${this.maxRequestsPerMinute} this minute)`);
-                    const result = await requestFn();
-                    this.requestCount++;
-                    this.lastRequestTime = Date.now();
-                    resolve(result);
-                } catch (error) {
-                    console.error('Request failed in rate limiter:', error.message);
-                    
-                    // If it's a rate limit error, add extra delay
-                    if (error.message.includes('429') || error.message.includes('rate limit')) {
-                        console.log('Rate limit error detected, adding extra delay...');
-                        await delay(10000); // 10 second penalty
-                    }
-                    
-                    reject(error);
+
+                const lane = PRIORITIES.find(priority => bucket.queues[priority].length > 0);
+                const entry = bucket.queues[lane].shift();
+
+                // The circuit may have opened while this call waited
+                const openMs = this.circuitOpenMs(bucket, now);
+                if (openMs > 0) {
+                    bucket.stats.rejected++;
+                    entry.reject(new Error(`Circuit open for ${bucket.host} - retrying in ${Math.ceil(openMs / 1000)}s`));
+                    continue;
                 }
-                
-                // Small delay between processing queue items
-                await delay(500);
+
+                bucket.tokens -= 1;
+                this.run(bucket, entry, now);
             }
-        } catch (error) {
-            console.error('Error in rate limiter queue processing:', error);
         } finally {
-            this.processing = false;
+            bucket.draining = false;
         }
     }
 
-    // Get current status
-    getStatus() {
-        return {
-            requestCount: this.requestCount,
-            maxRequestsPerMinute: this.maxRequestsPerMinute,
-            queueLength: this.requestQueue.length,
-            processing: this.processing,
-            lastRequestTime: this.lastRequestTime,
-            timeToReset: Math.max(0, 60000 - (Date.now() - this.lastReset))
-        };
+    async run(bucket, { fn, resolve, reject, queuedAt }, startedAt) {
+        bucket.stats.requests++;
+        bucket.stats.totalWaitMs += startedAt - queuedAt;
+
+        try {
+            const result = await fn();
+            bucket.stats.totalLatencyMs += Date.now() - startedAt;
+            this.recordSuccess(bucket);
+            resolve(result);
+        } catch (error) {
+            bucket.stats.totalLatencyMs += Date.now() - startedAt;
+            this.recordFailure(bucket, error);
+            reject(error);
+        }
     }
 
-    // Clear the queue (emergency use)
-    clearQueue() {
-        const clearedCount = this.requestQueue.length;
-        this.requestQueue.forEach(({ reject }) => {
-            reject(new Error('Queue cleared'));
-        });
-        this.requestQueue = [];
-        console.log(`Cleared ${clearedCount} requests from queue`);
+    recordSuccess(bucket) {
+        const { circuit } = bucket;
+
+        bucket.backoffMs = 0;
+        circuit.failures = 0;
+        if (circuit.state !== 'closed') {
+            circuit.state = 'closed';
+            logger.info(`🔌 Circuit closed for ${bucket.host}`);
+        }
     }
 
-    // Reset rate limiting (emergency use)
-    reset() {
-        this.requestCount = 0;
-        this.lastReset = Date.now();
-        this.lastRequestTime = 0;
-        console.log('Rate limiter reset');
+    recordFailure(bucket, error) {
+        const { circuit } = bucket;
+        const now = Date.now();
+
+        bucket.stats.failures++;
+
+        if (error.response?.status === 429) {
+            const retryAfterMs = parseRetryAfter(error.response.headers?.['retry-after']);
+            bucket.backoffMs = bucket.backoffMs ? Math.min(bucket.backoffMs * 2, MAX_BACKOFF_MS) : DEFAULT_BACKOFF_MS;
+
+            const waitMs = retryAfterMs ?? bucket.backoffMs;
+            bucket.stats.rateLimited++;
+            bucket.tokens = 0;
+            bucket.blockedUntil = Math.max(bucket.blockedUntil, now + waitMs);
+            logger.warn(`🚦 ${bucket.host} rate limited us - pausing ${(waitMs / 1000).toFixed(1)}s${retryAfterMs !== null ? ' (Retry-After)' : ''}`);
+        }
+
+        if (!isHostFailure(error)) return;
+
+        circuit.failures++;
+        if (circuit.state === 'half_open' || (circuit.state === 'closed' && circuit.failures >= FAILURES_TO_OPEN)) {
+            circuit.state = 'open';
+            circuit.openedAt = now;
+            logger.error(`🔌 Circuit opened for ${bucket.host} after ${circuit.failures} consecutive failure(s) - pausing ${CIRCUIT_OPEN_MS / 1000}s`);
+        }
     }
-}
 
-const rateLimiter = new RateLimiter();
+    /**
+     * Send an axios request config through its host's bucket
+     */
+    request(config, options = {}) {
+        return this.schedule(new URL(config.url).host, () => axios.request(config), options);
+    }
 
-async function makeJupiterRequest(requestFn) {
-    return rateLimiter.queueRequest(requestFn);
-}
+    /**
+     * Requests a host can take over the next window, so callers can budget before they ask
+     */
+    getAllowance(host, windowMs = 60000) {
+        const bucket = this.getBucket(host);
+        const now = Date.now();
+        this.refill(bucket, now);
 
-async function getQuoteWithRateLimit(inputMint, outputMint, amount, slippageBps = 100) {
-    const { getQuote } = require('./jupiterApiClient');
-    
-    return makeJupiterRequest(async () => {
-        return getQuote(inputMint, outputMint, amount, slippageBps);
-    });
-}
+        const msPerToken = 60000 / bucket.requestsPerMinute;
+        const blockedMs = Math.max(0, bucket.blockedUntil - now, this.circuitOpenMs(bucket, now));
+        const available = blockedMs >= windowMs
+            ? 0
+            : Math.floor(bucket.tokens + (windowMs - blockedMs) / msPerToken) - this.queuedCount(bucket);
 
-// Enhanced function with circuit breaker pattern
-async function getQuoteWithCircuitBreaker(inputMint, outputMint, amount, slippageBps = 100) {
-    const maxConsecutiveFailures = 5;
-    const circuitBreakerTimeout = 60000; // 1 minute
-    
-    // Simple circuit breaker state (in a real app, this would be persistent)
-    if (!rateLimiter.circuitBreaker) {
-        rateLimiter.circuitBreaker = {
-            failures: 0,
-            lastFailure: 0,
-            isOpen: false
+        return {
+            limit: bucket.requestsPerMinute,
+            remaining: Math.max(0, available),
+            queued: this.queuedCount(bucket),
+            resetInMs: blockedMs || (bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) * msPerToken)),
+            minIntervalMs: msPerToken
         };
     }
-    
-    const cb = rateLimiter.circuitBreaker;
-    
-    // Check if circuit breaker is open
-    if (cb.isOpen) {
-        if (Date.now() - cb.lastFailure > circuitBreakerTimeout) {
-            // Try to close the circuit breaker
-            cb.isOpen = false;
-            cb.failures = 0;
-            console.log('Circuit breaker: Attempting to close circuit');
-        } else {
-            throw new Error('Circuit breaker is open - too many recent failures');
-        }
+
+    // Get current status
+    getStatus() {
+        const now = Date.now();
+
+        return [...this.buckets.values()].map(bucket => {
+            this.refill(bucket, now);
+            const { stats } = bucket;
+
+            return {
+                host: bucket.host,
+                requestsPerMinute: bucket.requestsPerMinute,
+                tokens: Math.floor(bucket.tokens * 100) / 100,
+                queued: Object.fromEntries(PRIORITIES.map(priority => [priority, bucket.queues[priority].length])),
+                circuit: bucket.circuit.state,
+                blockedForMs: Math.max(0, bucket.blockedUntil - now),
+                requests: stats.requests,
+                failures: stats.failures,
+                rateLimited: stats.rateLimited,
+                rejected: stats.rejected,
+                avgWaitMs: stats.requests > 0 ? Math.round(stats.totalWaitMs / stats.requests) : 0,
+                avgLatencyMs: stats.requests > 0 ? Math.round(stats.totalLatencyMs / stats.requests) : 0
+            };
+        });
     }
-    
-    try {
-        const result = await getQuoteWithRateLimit(inputMint, outputMint, amount, slippageBps);
-        
-        // Success - reset failure count
-        cb.failures = 0;
-        return result;
-        
-    } catch (error) {
-        cb.failures++;
-        cb.lastFailure = Date.now();
-        
-        console.warn(`Circuit breaker: Failure ${cb.failures}/${maxConsecutiveFailures}`);
-        
-        // Open circuit breaker if too many failures
-        if (cb.failures >= maxConsecutiveFailures) {
-            cb.isOpen = true;
-            console.error('Circuit breaker: OPENED due to consecutive failures');
+
+    // Clear the queues (emergency use)
+    clearQueue() {
+        let clearedCount = 0;
+        for (const bucket of this.buckets.values()) {
+            PRIORITIES.forEach(priority => {
+                bucket.queues[priority].forEach(({ reject }) => reject(new Error('Queue cleared')));
+                clearedCount += bucket.queues[priority].length;
+                bucket.queues[priority] = [];
+            });
         }
-        
-        throw error;
+        logger.info(`Cleared ${clearedCount} requests from the rate limiter queues`);
+    }
+
+    // Reset rate limiting (emergency use)
+    reset() {
+        this.clearQueue();
+        this.buckets.clear();
+        logger.info('Rate limiter reset');
     }
 }
 
+const rateLimiter = new RateLimiter();
+
 module.exports = {
-    rateLimiter,
-    makeJupiterRequest,
-    getQuoteWithRateLimit,
-    getQuoteWithCircuitBreaker
-};
\ No newline at end of file
+    PRIORITIES,
+    rateLimiter
+};
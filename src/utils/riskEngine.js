@@ -0,0 +1,159 @@
+const logger = require('./logger');
+const cache = require('../bot/cache');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Pre-trade risk checks: trade frequency, realized losses, drawdown,
+ * per-pair cooldowns and the daily profit target
+ */
+class RiskEngine {
+    constructor() {
+        this.limits = {
+            maxTradesPerPairPerHour: parseInt(process.env.MAX_TRADES_PER_PAIR_PER_HOUR) || 0,
+            maxDailyLossUSD: parseFloat(process.env.MAX_DAILY_LOSS_USD) || 0,
+            maxDrawdownUSD: parseFloat(process.env.MAX_DRAWDOWN_USD) || 0,
+            pairCooldownMs: (parseFloat(process.env.PAIR_COOLDOWN_MINUTES) || 0) * 60000,
+            dailyProfitTargetUSD: parseFloat(process.env.DAILY_PROFIT_TARGET_USD) || 0
+        };
+
+        this.day = this.getDayKey(Date.now());
+        this.dailyPnlUSD = 0;
+        this.sessionPnlUSD = 0;
+        this.sessionHighUSD = 0;
+
+        this.pairTrades = new Map(); // pair -> execution timestamps in the last hour
+        this.pairCooldowns = new Map(); // pair -> cooldown end time
+        this.vetoes = {};
+
+        logger.info('Risk Engine initialized', {
+            maxTradesPerHour: cache.rateLimit.maxTradesPerHour,
+            ...this.limits
+        });
+    }
+
+    getDayKey(timestamp) {
+        return new Date(timestamp).toISOString().substring(0, 10);
+    }
+
+    /**
+     * Reset the daily counters when the UTC day rolls over
+     */
+    rollDay(now) {
+        const day = this.getDayKey(now);
+        if (day !== this.day) {
+            logger.info(`📅 New trading day ${day} - daily P&L reset (was $${this.dailyPnlUSD.toFixed(2)})`);
+            this.day = day;
+            this.dailyPnlUSD = 0;
+        }
+    }
+
+    getRecentPairTrades(pair, now) {
+        const recent = (this.pairTrades.get(pair) || []).filter(timestamp => now - timestamp < HOUR_MS);
+        this.pairTrades.set(pair, recent);
+        return recent;
+    }
+
+    /**
+     * First limit the trade would break, or null when it may go ahead
+     */
+    findViolation(pair, now) {
+        const { maxTradesPerPairPerHour, maxDailyLossUSD, maxDrawdownUSD, dailyProfitTargetUSD } = this.limits;
+
+        if (maxDailyLossUSD > 0 && this.dailyPnlUSD <= -maxDailyLossUSD) {
+            return { reason: 'daily_loss_limit', message: `daily realized loss $${(-this.dailyPnlUSD).toFixed(2)} reached the $${maxDailyLossUSD} limit` };
+        }
+
+        const drawdownUSD = this.sessionHighUSD - this.sessionPnlUSD;
+        if (maxDrawdownUSD > 0 && drawdownUSD >= maxDrawdownUSD) {
+            return { reason: 'max_drawdown', message: `drawdown $${drawdownUSD.toFixed(2)} from session high reached the $${maxDrawdownUSD} limit` };
+        }
+
+        if (dailyProfitTargetUSD > 0 && this.dailyPnlUSD >= dailyProfitTargetUSD) {
+            return { reason: 'daily_profit_target', message: `daily profit $${this.dailyPnlUSD.toFixed(2)} hit the $${dailyProfitTargetUSD} target - paused until tomorrow` };
+        }
+
+        if (!cache.checkRateLimit()) {
+            return { reason: 'max_trades_per_hour', message: `${cache.rateLimit.tradesThisHour}/${cache.rateLimit.maxTradesPerHour} trades this hour` };
+        }
+
+        const cooldownUntil = this.pairCooldowns.get(pair) || 0;
+        if (cooldownUntil > now) {
+            return { reason: 'pair_cooldown', message: `${pair} cooling down after a failure for another ${Math.ceil((cooldownUntil - now) / 1000)}s` };
+        }
+
+        const pairTrades = this.getRecentPairTrades(pair, now);
+        if (maxTradesPerPairPerHour > 0 && pairTrades.length >= maxTradesPerPairPerHour) {
+            return { reason: 'max_trades_per_pair', message: `${pairTrades.length}/${maxTradesPerPairPerHour} ${pair} trades in the last hour` };
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether a trade on a pair may be executed now; vetoes are logged with their reason
+     */
+    checkTrade(pair) {
+        const now = Date.now();
+        this.rollDay(now);
+
+        const violation = this.findViolation(pair, now);
+        if (!violation) {
+            return { allowed: true, reason: null };
+        }
+
+        this.vetoes[violation.reason] = (this.vetoes[violation.reason] || 0) + 1;
+        logger.warn(`🛑 RISK VETO [${violation.reason}]: ${violation.message}`, { pair });
+
+        return { allowed: false, reason: violation.reason, message: violation.message };
+    }
+
+    /**
+     * Record an executed trade's realized result
+     */
+    recordTrade(pair, { profitUSD = 0, success = true } = {}) {
+        const now = Date.now();
+        this.rollDay(now);
+
+        cache.incrementTradeCount();
+        this.getRecentPairTrades(pair, now).push(now);
+        this.recordRealizedPnl(profitUSD);
+
+        if (!success && this.limits.pairCooldownMs > 0) {
+            this.pairCooldowns.set(pair, now + this.limits.pairCooldownMs);
+            logger.warn(`🧊 ${pair} on cooldown for ${this.limits.pairCooldownMs / 60000} min after a failed trade`);
+        }
+    }
+
+    /**
+     * Settle P&L realized outside a trade, such as unwinding stranded inventory
+     */
+    recordRealizedPnl(profitUSD) {
+        this.rollDay(Date.now());
+
+        this.dailyPnlUSD += profitUSD;
+        this.sessionPnlUSD += profitUSD;
+        this.sessionHighUSD = Math.max(this.sessionHighUSD, this.sessionPnlUSD);
+    }
+
+    getStats() {
+        return {
+            day: this.day,
+            dailyPnlUSD: this.dailyPnlUSD,
+            sessionPnlUSD: this.sessionPnlUSD,
+            sessionHighUSD: this.sessionHighUSD,
+            drawdownUSD: this.sessionHighUSD - this.sessionPnlUSD,
+            tradesThisHour: cache.rateLimit.tradesThisHour,
+            pairsOnCooldown: [...this.pairCooldowns.entries()]
+                .filter(([, until]) => until > Date.now())
+                .map(([pair]) => pair),
+            vetoes: { ...this.vetoes },
+            limits: { ...this.limits }
+        };
+    }
+}
+
+// Create singleton instance
+const riskEngine = new RiskEngine();
+
+module.exports = riskEngine;
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { INTERMEDIATE_TOKENS } = require('../constants');
+
+// Symbols that always mean the base token
+const BASE_ALIASES = ['SOL', 'WSOL'];
+
+/**
+ * Parse a route template file, YAML for .yaml/.yml and JSON otherwise
+ */
+const readTemplateFile = (filePath) => {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.yaml' || extension === '.yml') {
+        return require('js-yaml').load(raw);
+    }
+
+    return JSON.parse(raw);
+};
+
+/**
+ * Tokens declared in the file, keyed by symbol
+ */
+const readDeclaredTokens = (tokens = {}) => Object.entries(tokens).map(([symbol, token]) => {
+    if (!token || !token.address || !Number.isInteger(token.decimals)) {
+        throw new Error(`Token ${symbol} needs an address and integer decimals`);
+    }
+
+    return { symbol, address: token.address, decimals: token.decimals };
+});
+
+/**
+ * Resolve one path entry, a symbol or a mint address, to a token
+ */
+const resolveToken = (entry, baseToken, knownTokens) => {
+    const value = String(entry);
+
+    if (value === baseToken.address || value === baseToken.symbol || BASE_ALIASES.includes(value.toUpperCase())) {
+        return baseToken;
+    }
+
+    return knownTokens.find(token => token.symbol === value || token.address === value) || null;
+};
+
+/**
+ * Load the cycle templates from a route template file. Each route is a token path
+ * that starts and ends with the base token, such as [SOL, USDC, JUP, SOL], given
+ * either as a bare list or as { name, path }. Tokens other than the base and
+ * INTERMEDIATE_TOKENS are declared under tokens: { SYMBOL: { address, decimals } }.
+ */
+const loadRouteTemplates = (filePath, baseToken) => {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Route template file ${filePath} not found`);
+    }
+
+    const template = readTemplateFile(filePath) || {};
+    const knownTokens = [...readDeclaredTokens(template.tokens), ...INTERMEDIATE_TOKENS];
+    const routes = template.routes;
+
+    if (!Array.isArray(routes) || routes.length === 0) {
+        throw new Error(`${filePath} does not define any routes`);
+    }
+
+    return routes.map((route, index) => {
+        const entries = Array.isArray(route) ? route : route?.path;
+        const name = (!Array.isArray(route) && route?.name) || (Array.isArray(entries) ? entries.join('-') : `route ${index + 1}`);
+
+        if (!Array.isArray(entries) || entries.length < 3) {
+            throw new Error(`Route ${name} needs a path of at least two hops`);
+        }
+
+        const tokens = entries.map(entry => {
+            const token = resolveToken(entry, baseToken, knownTokens);
+            if (!token) {
+                throw new Error(`Route ${name}: unknown token ${entry} - declare it under tokens`);
+            }
+            return token;
+        });
+
+        if (tokens[0] !== baseToken || tokens[tokens.length - 1] !== baseToken) {
+            throw new Error(`Route ${name} must start and end with ${baseToken.symbol}`);
+        }
+
+        tokens.slice(1).forEach((token, hop) => {
+            if (token.address === tokens[hop].address) {
+                throw new Error(`Route ${name} swaps ${token.symbol} into itself at hop ${hop + 1}`);
+            }
+        });
+
+        return { name, path: tokens };
+    });
+};
+
+module.exports = {
+    readTemplateFile,
+    loadRouteTemplates
+};
@@ -0,0 +1,255 @@
+const { Connection } = require('@solana/web3.js');
+const logger = require('./logger');
+const healthMonitor = require('./healthMonitor');
+
+// JSON-RPC errors that say the node is unwell rather than the request being bad
+const ENDPOINT_ERROR_CODES = [-32603, -32005, -32004];
+
+const FAILURES_TO_COOL_DOWN = 3;
+const COOL_DOWN_MS = 30000;
+
+// Weighting for the score, in milliseconds of latency
+const MS_PER_SLOT_BEHIND = 400;
+const ERROR_RATE_PENALTY_MS = 5000;
+
+// DEFAULT_RPC first, then ALT_RPC_LIST, without duplicates or non-http entries
+const parseEndpoints = (primary, altList) => [...new Set(
+    [primary, ...(altList ? altList.split(',') : [])]
+        .map(url => (url || '').trim())
+        .filter(url => /^https?:\/\//.test(url))
+)];
+
+/**
+ * Long-lived connections to DEFAULT_RPC and ALT_RPC_LIST. Every request made on a
+ * pool connection, whichever module makes it, is timed and scored per endpoint;
+ * a background check tracks each endpoint's slot. Reads go to the healthiest
+ * endpoint, falling over to the next on failure, and sends go to all healthy ones.
+ */
+class RpcPool {
+    constructor() {
+        this.commitment = 'confirmed';
+        this.maxSlotLag = parseInt(process.env.RPC_MAX_SLOT_LAG) || 50;
+        this.healthCheckIntervalMs = parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL_MS) || 15000;
+
+        this.endpoints = parseEndpoints(process.env.DEFAULT_RPC, process.env.ALT_RPC_LIST)
+            .map(url => this.createEndpoint(url));
+        this.healthCheckInterval = null;
+
+        logger.info('RPC Pool initialized', {
+            endpoints: this.endpoints.map(endpoint => endpoint.label),
+            maxSlotLag: this.maxSlotLag
+        });
+    }
+
+    createEndpoint(url) {
+        const connection = new Connection(url, {
+            commitment: this.commitment,
+            disableRetryOnRateLimit: true
+        });
+        const endpoint = {
+            url,
+            label: new URL(url).host, // The path often carries an API key
+            connection,
+            slot: 0,
+            slotAt: 0,
+            cooldownUntil: 0,
+            stats: {
+                requests: 0,
+                failures: 0,
+                consecutiveFailures: 0,
+                avgLatencyMs: 0,
+                errorRate: 0,
+                lastError: null,
+                lastSuccessAt: 0
+            }
+        };
+
+        // Every RPC method of a web3.js Connection goes through _rpcRequest
+        const rpcRequest = connection._rpcRequest;
+        connection._rpcRequest = async (method, args) => {
+            const startedAt = Date.now();
+            try {
+                const response = await rpcRequest(method, args);
+                const code = response?.error?.code;
+                this.record(endpoint, Date.now() - startedAt, ENDPOINT_ERROR_CODES.includes(code) ? response.error.message : null);
+                return response;
+            } catch (error) {
+                this.record(endpoint, Date.now() - startedAt, error.message);
+                throw error;
+            }
+        };
+
+        return endpoint;
+    }
+
+    record(endpoint, latencyMs, errorMessage) {
+        const { stats } = endpoint;
+        const now = Date.now();
+
+        stats.requests++;
+        stats.avgLatencyMs = stats.requests === 1 ? latencyMs : stats.avgLatencyMs * 0.8 + latencyMs * 0.2;
+        stats.errorRate = stats.errorRate * 0.9 + (errorMessage ? 0.1 : 0);
+
+        if (errorMessage) {
+            stats.failures++;
+            stats.consecutiveFailures++;
+            stats.lastError = errorMessage;
+
+            if (stats.consecutiveFailures >= FAILURES_TO_COOL_DOWN && endpoint.cooldownUntil <= now) {
+                endpoint.cooldownUntil = now + COOL_DOWN_MS;
+                logger.warn(`🛰️ RPC ${endpoint.label} failed ${stats.consecutiveFailures}x in a row - benched for ${COOL_DOWN_MS / 1000}s: ${errorMessage}`);
+            }
+        } else {
+            stats.consecutiveFailures = 0;
+            stats.lastSuccessAt = now;
+        }
+
+        healthMonitor.recordRpcRequest(endpoint.label, !errorMessage, latencyMs);
+    }
+
+    getHighestSlot() {
+        return this.endpoints.reduce((highest, endpoint) => Math.max(highest, endpoint.slot), 0);
+    }
+
+    getSlotLag(endpoint) {
+        return endpoint.slot ? this.getHighestSlot() - endpoint.slot : 0;
+    }
+
+    isHealthy(endpoint, now = Date.now()) {
+        return endpoint.cooldownUntil <= now && this.getSlotLag(endpoint) <= this.maxSlotLag;
+    }
+
+    /**
+     * Lower is better: smoothed latency, plus penalties for errors and for lagging slots
+     */
+    getScore(endpoint) {
+        const { stats } = endpoint;
+        return stats.avgLatencyMs + stats.errorRate * ERROR_RATE_PENALTY_MS + this.getSlotLag(endpoint) * MS_PER_SLOT_BEHIND;
+    }
+
+    /**
+     * Endpoints best first - healthy ones by score, then the rest; DEFAULT_RPC wins ties
+     */
+    getRankedEndpoints() {
+        if (this.endpoints.length === 0) {
+            throw new Error('No RPC endpoints configured - set DEFAULT_RPC');
+        }
+
+        this.startHealthChecks();
+
+        const now = Date.now();
+        return [...this.endpoints].sort((a, b) =>
+            (this.isHealthy(b, now) - this.isHealthy(a, now)) || (this.getScore(a) - this.getScore(b))
+        );
+    }
+
+    /**
+     * Connection to the healthiest endpoint
+     */
+    getConnection() {
+        return this.getRankedEndpoints()[0].connection;
+    }
+
+    /**
+     * Connections best first, for callers that walk the pool themselves
+     */
+    getConnections() {
+        return this.getRankedEndpoints().map(endpoint => endpoint.connection);
+    }
+
+    /**
+     * Run a read on the healthiest endpoint, trying the next one on failure
+     */
+    async read(operation) {
+        let lastError = null;
+
+        for (const endpoint of this.getRankedEndpoints()) {
+            try {
+                return await operation(endpoint.connection);
+            } catch (error) {
+                lastError = error;
+                logger.debug(`RPC read on ${endpoint.label} failed, trying the next endpoint: ${error.message}`);
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Where to broadcast a transaction: every healthy endpoint, plus the given
+     * connection first when it is not one of them
+     */
+    getBroadcastTargets(connection = null) {
+        const now = Date.now();
+        const targets = this.endpoints
+            .filter(endpoint => this.isHealthy(endpoint, now))
+            .map(({ label, connection }) => ({ label, connection }));
+
+        if (connection && !targets.some(target => target.connection === connection)) {
+            targets.unshift({ label: this.getLabel(connection), connection });
+        }
+        if (targets.length === 0) {
+            const [best] = this.getRankedEndpoints();
+            targets.push({ label: best.label, connection: best.connection });
+        }
+
+        return targets;
+    }
+
+    getLabel(connection) {
+        const endpoint = this.endpoints.find(candidate => candidate.connection === connection);
+        return endpoint ? endpoint.label : new URL(connection.rpcEndpoint).host;
+    }
+
+    /**
+     * Refresh every endpoint's slot, the basis of slot lag
+     */
+    async checkSlots() {
+        await Promise.all(this.endpoints.map(async (endpoint) => {
+            try {
+                endpoint.slot = await endpoint.connection.getSlot(this.commitment);
+                endpoint.slotAt = Date.now();
+            } catch (error) {
+                logger.debug(`Slot check on ${endpoint.label} failed: ${error.message}`);
+            }
+        }));
+    }
+
+    startHealthChecks() {
+        if (this.healthCheckInterval || this.endpoints.length === 0) return;
+
+        this.checkSlots();
+        this.healthCheckInterval = setInterval(() => this.checkSlots(), this.healthCheckIntervalMs);
+        this.healthCheckInterval.unref();
+    }
+
+    stopHealthChecks() {
+        if (this.healthCheckInterval) {
+            clearInterval(this.healthCheckInterval);
+            this.healthCheckInterval = null;
+        }
+    }
+
+    getStats() {
+        const now = Date.now();
+        const highestSlot = this.getHighestSlot();
+
+        return this.endpoints.map(endpoint => ({
+            endpoint: endpoint.label,
+            healthy: this.isHealthy(endpoint, now),
+            score: Math.round(this.getScore(endpoint)),
+            slot: endpoint.slot,
+            slotLag: endpoint.slot ? highestSlot - endpoint.slot : null,
+            requests: endpoint.stats.requests,
+            failures: endpoint.stats.failures,
+            errorRate: endpoint.stats.errorRate,
+            avgLatencyMs: Math.round(endpoint.stats.avgLatencyMs),
+            lastError: endpoint.stats.lastError
+        }));
+    }
+}
+
+// Create singleton instance
+const rpcPool = new RpcPool();
+
+module.exports = rpcPool;
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const rpcPool = require('./rpcPool');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Native SOL moves smaller than this (rent, tips, fees) do not count as a trade direction
+const NATIVE_DUST_LAMPORTS = 100000;
+
+const toAddress = (key) => String(key?.pubkey ?? key);
+
+/**
+ * Post-trade sandwich detection. The block holding our transaction is fetched and the
+ * transactions just before and after ours are searched for a pair from one signer that
+ * writes the same pool accounts we wrote and trades a token in opposite directions -
+ * buy in front of us, sell behind us. Our fill is compared with the quote to size the loss.
+ *
+ * analyzeBlock works on getParsedBlock results as they are or as recorded JSON, so
+ * blocks saved to MEV_BLOCK_FIXTURE_DIR can be replayed through it offline.
+ */
+class SandwichDetector {
+    constructor() {
+        this.window = parseInt(process.env.MEV_SANDWICH_WINDOW) || 5;
+        this.fetchAttempts = parseInt(process.env.MEV_BLOCK_FETCH_ATTEMPTS) || 3;
+        this.fetchRetryMs = parseInt(process.env.MEV_BLOCK_FETCH_RETRY_MS) || 2000;
+        this.fixtureDir = process.env.MEV_BLOCK_FIXTURE_DIR || null;
+    }
+
+    /**
+     * Slot and block of a landed transaction, null when the RPC cannot serve them (yet)
+     */
+    async fetchBlockFor(signature) {
+        for (let attempt = 1; attempt <= this.fetchAttempts; attempt++) {
+            try {
+                const transaction = await rpcPool.read(connection => connection.getTransaction(signature, {
+                    commitment: 'confirmed',
+                    maxSupportedTransactionVersion: 0
+                }));
+
+                if (transaction) {
+                    const block = await rpcPool.read(connection => connection.getParsedBlock(transaction.slot, {
+                        commitment: 'confirmed',
+                        maxSupportedTransactionVersion: 0,
+                        transactionDetails: 'full',
+                        rewards: false
+                    }));
+
+                    if (block) {
+                        this.saveFixture(transaction.slot, block);
+                        return { slot: transaction.slot, block };
+                    }
+                }
+            } catch (error) {
+                logger.debug(`Block fetch for ${signature} failed (attempt ${attempt}): ${error.message}`);
+            }
+
+            if (attempt < this.fetchAttempts) {
+                await new Promise(resolve => setTimeout(resolve, this.fetchRetryMs));
+            }
+        }
+
+        return null;
+    }
+
+    saveFixture(slot, block) {
+        if (!this.fixtureDir) return;
+
+        try {
+            fs.mkdirSync(this.fixtureDir, { recursive: true });
+            fs.writeFileSync(path.join(this.fixtureDir, `${slot}.json`), JSON.stringify({ slot, block }));
+        } catch (error) {
+            logger.warn(`Could not record block ${slot} to ${this.fixtureDir}: ${error.message}`);
+        }
+    }
+
+    /**
+     * { slot, block } from a file written to MEV_BLOCK_FIXTURE_DIR
+     */
+    loadFixture(filePath) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    /**
+     * Signer, writable accounts and per-mint balance change of the signer for one block transaction
+     */
+    describeTransaction(entry, index) {
+        const { transaction, meta } = entry;
+        const accountKeys = transaction.message.accountKeys.map(key => ({
+            address: toAddress(key),
+            writable: key.writable ?? false
+        }));
+        const signer = accountKeys[0].address;
+
+        if (!meta) {
+            return { index, signature: transaction.signatures[0], signer, failed: true, poolAccounts: new Set(), deltas: {}, bought: [], sold: [] };
+        }
+
+        const deltas = {};
+        const addDelta = (mint, amount) => {
+            deltas[mint] = (deltas[mint] || BigInt(0)) + amount;
+        };
+
+        (meta.preTokenBalances || [])
+            .filter(balance => balance.owner === signer)
+            .forEach(balance => addDelta(balance.mint, -BigInt(balance.uiTokenAmount.amount)));
+        (meta.postTokenBalances || [])
+            .filter(balance => balance.owner === signer)
+            .forEach(balance => addDelta(balance.mint, BigInt(balance.uiTokenAmount.amount)));
+
+        // Wrapped and native SOL are one asset; the fee is not part of the trade
+        const nativeDelta = BigInt(meta.postBalances[0]) - BigInt(meta.preBalances[0]) + BigInt(meta.fee || 0);
+        if (nativeDelta > BigInt(NATIVE_DUST_LAMPORTS) || nativeDelta < -BigInt(NATIVE_DUST_LAMPORTS)) {
+            addDelta(SOL_MINT, nativeDelta);
+        }
+
+        // The signer's own token accounts are not pool accounts
+        const ownAccounts = new Set([signer]);
+        [...(meta.preTokenBalances || []), ...(meta.postTokenBalances || [])]
+            .filter(balance => balance.owner === signer)
+            .forEach(balance => ownAccounts.add(accountKeys[balance.accountIndex]?.address));
+
+        return {
+            index,
+            signature: transaction.signatures[0],
+            signer,
+            failed: !!meta.err,
+            poolAccounts: new Set(accountKeys
+                .filter(key => key.writable && !ownAccounts.has(key.address))
+                .map(key => key.address)),
+            deltas,
+            bought: Object.keys(deltas).filter(mint => deltas[mint] > BigInt(0)),
+            sold: Object.keys(deltas).filter(mint => deltas[mint] < BigInt(0))
+        };
+    }
+
+    /**
+     * Look for a sandwich around signature in block. quote ({ inputMint, inAmount,
+     * outputMint, outAmount }, a Jupiter quote works) is what our transaction expected
+     * to receive; without it only the sandwich itself is reported.
+     */
+    analyzeBlock(block, signature, quote = null) {
+        const entries = block.transactions || [];
+        const ourIndex = entries.findIndex(entry => entry.transaction.signatures[0] === signature);
+        if (ourIndex === -1) {
+            return { found: false, signature, blockPosition: null, sandwiched: false };
+        }
+
+        const ours = this.describeTransaction(entries[ourIndex], ourIndex);
+        const sharesPool = (other) => [...other.poolAccounts].some(account => ours.poolAccounts.has(account));
+        const neighbours = (from, to) => entries
+            .slice(Math.max(0, from), Math.min(entries.length, to))
+            .map((entry, offset) => this.describeTransaction(entry, Math.max(0, from) + offset))
+            .filter(other => !other.failed && other.signer !== ours.signer && sharesPool(other));
+
+        const before = neighbours(ourIndex - this.window, ourIndex);
+        const after = neighbours(ourIndex + 1, ourIndex + 1 + this.window);
+
+        // Closest pair first: a buy in front of us and a sale of the same token behind us, one signer
+        let sandwich = null;
+        for (const front of [...before].reverse()) {
+            const back = after.find(candidate => candidate.signer === front.signer &&
+                front.bought.some(mint => candidate.sold.includes(mint)));
+            if (!back) continue;
+
+            const token = front.bought.find(mint => back.sold.includes(mint));
+            const paidWith = front.sold.find(mint => back.bought.includes(mint)) || front.sold[0] || null;
+            const attackerProfit = paidWith
+                ? (front.deltas[paidWith] || BigInt(0)) + (back.deltas[paidWith] || BigInt(0))
+                : null;
+
+            sandwich = {
+                attacker: front.signer,
+                frontRun: { signature: front.signature, position: front.index },
+                backRun: { signature: back.signature, position: back.index },
+                token,
+                paidWith,
+                attackerProfit: attackerProfit === null ? null : attackerProfit.toString(),
+                sharedAccounts: [...front.poolAccounts].filter(account => ours.poolAccounts.has(account))
+            };
+            break;
+        }
+
+        return {
+            found: true,
+            signature,
+            blockPosition: ourIndex,
+            blockSize: entries.length,
+            sandwiched: !!sandwich,
+            sandwich,
+            ...this.getShortfall(ours, quote)
+        };
+    }
+
+    /**
+     * What our transaction received against what its quote promised, in the output token
+     */
+    getShortfall(ours, quote) {
+        if (!quote?.outputMint || !quote.outAmount) {
+            return { expectedOut: null, actualOut: null, shortfall: null, shortfallBps: null };
+        }
+
+        // A round trip in one transaction nets the input off the output
+        let actualOut = ours.deltas[quote.outputMint] || BigInt(0);
+        if (quote.inputMint === quote.outputMint) {
+            actualOut += BigInt(quote.inAmount);
+        }
+
+        const expectedOut = BigInt(quote.outAmount);
+        const shortfall = expectedOut - actualOut;
+
+        return {
+            expectedOut: expectedOut.toString(),
+            actualOut: actualOut.toString(),
+            shortfall: shortfall.toString(),
+            shortfallBps: expectedOut > BigInt(0) ? Number(shortfall * BigInt(10000) / expectedOut) : null
+        };
+    }
+}
+
+// Create singleton instance
+const sandwichDetector = new SandwichDetector();
+
+module.exports = {
+    SandwichDetector,
+    sandwichDetector
+};
@@ -0,0 +1,175 @@
+const logger = require('./logger');
+const { getQuoteAllowance } = require('./jupiterApiClient');
+
+/**
+ * Runs scan ticks without overlap and scans several candidate pairs per tick with
+ * bounded concurrency. Pairs are picked by priority - recent opportunities first,
+ * then the longest unscanned - as many as the per tick quote budget and the
+ * Jupiter allowance in the rate limiter permit. Scan latency is tracked per pair.
+ */
+class ScanScheduler {
+    constructor() {
+        this.concurrency = Math.max(1, parseInt(process.env.SCAN_CONCURRENCY) || 1);
+        this.quoteBudget = parseInt(process.env.SCAN_QUOTE_BUDGET) || 30;
+        this.opportunityHalfLifeMs = (parseFloat(process.env.SCAN_OPPORTUNITY_HALF_LIFE_MINUTES) || 10) * 60000;
+
+        this.tickRunning = false;
+        this.tickStartedAt = 0;
+        this.ticks = 0;
+        this.skippedTicks = 0;
+        this.lastTickMs = 0;
+
+        this.pairs = new Map(); // pair -> scan stats
+
+        logger.info('Scan Scheduler initialized', {
+            concurrency: this.concurrency,
+            quoteBudget: this.quoteBudget
+        });
+    }
+
+    /**
+     * Run one tick unless the previous one is still going
+     */
+    async runTick(tick) {
+        if (this.tickRunning) {
+            this.skippedTicks++;
+            logger.debug(`⏭️ Skipping tick - previous scan still running after ${((Date.now() - this.tickStartedAt) / 1000).toFixed(1)}s`);
+            return false;
+        }
+
+        this.tickRunning = true;
+        this.tickStartedAt = Date.now();
+        this.ticks++;
+
+        try {
+            await tick();
+        } finally {
+            this.lastTickMs = Date.now() - this.tickStartedAt;
+            this.tickRunning = false;
+        }
+
+        return true;
+    }
+
+    getPairStats(pair) {
+        if (!this.pairs.has(pair)) {
+            this.pairs.set(pair, {
+                scans: 0,
+                errors: 0,
+                opportunities: 0,
+                lastScanAt: 0,
+                lastOpportunityAt: 0,
+                lastLatencyMs: 0,
+                totalLatencyMs: 0
+            });
+        }
+        return this.pairs.get(pair);
+    }
+
+    /**
+     * Higher scans first: never scanned, then recent opportunities, then the stalest
+     */
+    getPriority(pair, now) {
+        const stats = this.pairs.get(pair);
+        if (!stats || stats.scans === 0) {
+            return Infinity;
+        }
+
+        const opportunityWeight = stats.lastOpportunityAt
+            ? Math.pow(0.5, (now - stats.lastOpportunityAt) / this.opportunityHalfLifeMs)
+            : 0;
+        const minutesSinceScan = (now - stats.lastScanAt) / 60000;
+
+        return opportunityWeight * 10 + minutesSinceScan;
+    }
+
+    recordScan(pair, latencyMs, { opportunity = false, error = null } = {}) {
+        const stats = this.getPairStats(pair);
+        const now = Date.now();
+
+        stats.scans++;
+        stats.lastScanAt = now;
+        stats.lastLatencyMs = latencyMs;
+        stats.totalLatencyMs += latencyMs;
+
+        if (error) {
+            stats.errors++;
+        }
+        if (opportunity) {
+            stats.opportunities++;
+            stats.lastOpportunityAt = now;
+        }
+    }
+
+    /**
+     * Scan the highest priority candidates concurrently. quotesPerScan, a number or a
+     * function of the item, is what one scan costs against the quote budget. Resolves to
+     * { item, pair, result, error, latencyMs } for every pair scanned, empty when the
+     * budget does not cover a single scan.
+     */
+    async scanPairs(items, { key, scan, isOpportunity = Boolean, quotesPerScan = 1 }) {
+        const now = Date.now();
+        const allowance = getQuoteAllowance();
+        const budget = Math.min(this.quoteBudget, allowance.remaining);
+        const costOf = typeof quotesPerScan === 'function' ? quotesPerScan : () => quotesPerScan;
+
+        const selected = [];
+        let budgetLeft = budget;
+        const ranked = [...items].sort((a, b) => this.getPriority(key(b), now) - this.getPriority(key(a), now));
+        for (const item of ranked) {
+            if (selected.length >= this.concurrency) break;
+            if (costOf(item) > budgetLeft) continue;
+
+            selected.push(item);
+            budgetLeft -= costOf(item);
+        }
+
+        if (selected.length === 0) {
+            logger.info(`⏳ Quote budget too low for a scan (${budget} left) - Jupiter allowance frees up in ${Math.ceil(allowance.resetInMs / 1000)}s`);
+            return [];
+        }
+
+        const scanned = await Promise.all(selected.map(async (item) => {
+            const pair = key(item);
+            const startedAt = Date.now();
+
+            try {
+                const result = await scan(item);
+                const latencyMs = Date.now() - startedAt;
+                this.recordScan(pair, latencyMs, { opportunity: isOpportunity(result) });
+                return { item, pair, result, error: null, latencyMs };
+            } catch (error) {
+                const latencyMs = Date.now() - startedAt;
+                this.recordScan(pair, latencyMs, { error });
+                logger.warn(`Scan of ${pair} failed after ${latencyMs}ms: ${error.message}`);
+                return { item, pair, result: null, error, latencyMs };
+            }
+        }));
+
+        logger.info(`⏱️ Scanned ${scanned.length}/${items.length} pair(s): ${scanned.map(({ pair, result, latencyMs }) => `${pair} ${(latencyMs / 1000).toFixed(1)}s${isOpportunity(result) ? ' ✅' : ''}`).join(' | ')}`);
+
+        return scanned;
+    }
+
+    getStats() {
+        return {
+            concurrency: this.concurrency,
+            ticks: this.ticks,
+            skippedTicks: this.skippedTicks,
+            lastTickMs: this.lastTickMs,
+            pairs: [...this.pairs.entries()].map(([pair, stats]) => ({
+                pair,
+                scans: stats.scans,
+                errors: stats.errors,
+                opportunities: stats.opportunities,
+                lastLatencyMs: stats.lastLatencyMs,
+                avgLatencyMs: stats.scans > 0 ? Math.round(stats.totalLatencyMs / stats.scans) : 0
+            }))
+        };
+    }
+}
+
+// Create singleton instance
+const scanScheduler = new ScanScheduler();
+
+module.exports = scanScheduler;
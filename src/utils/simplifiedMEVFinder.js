@@ -1,5 +1,6 @@
 const logger = require('./logger');
-const { getQuote } = require('./jupiterApiClient');
+const quoteCache = require('./quoteCache');
+const costModel = require('./costModel');
 const { toDecimal, toNumber } = require('./index');
 
 class SimplifiedMEVFinder {
@@ -117,7 +118,7 @@ class SimplifiedMEVFinder {
         
         try {
             // Step 1: SOL → Intermediate Token
-            const route1 = await getQuote(
+            const route1 = await quoteCache.getQuote(
                 tokenA.address, 
                 tokenB.address, 
                 sizeRaw.toString(), 
@@ -132,7 +133,7 @@ class SimplifiedMEVFinder {
             await new Promise(resolve => setTimeout(resolve, 300));
             
             // Step 2: Intermediate Token → SOL  
-            const route2 = await getQuote(
+            const route2 = await quoteCache.getQuote(
                 tokenB.address, 
                 tokenA.address, 
                 route1.outAmount, 
@@ -143,15 +144,22 @@ class SimplifiedMEVFinder {
                 return { success: false, error: 'No route2 available' };
             }
             
-            // Calculate profitability
+            // Calculate profitability net of fees, tips and account rent
             const inputAmount = BigInt(sizeRaw.toString());
             const outputAmount = BigInt(route2.outAmount);
-            const profitAmount = outputAmount - inputAmount;
-            const profitPercent = Number(profitAmount * BigInt(10000) / inputAmount) / 100;
+            const netProfit = costModel.applyCosts({
+                inputAmount,
+                outputAmount,
+                sizeSOL,
+                solPriceUSD,
+                tokenMint: tokenB.address
+            });
+            const profitAmount = netProfit.netProfitAmount;
+            const profitPercent = netProfit.netProfitPercent;
             
             // Calculate USD values
             const tradeSizeUSD = sizeSOL * solPriceUSD;
-            const profitUSD = (profitPercent / 100) * tradeSizeUSD;
+            const profitUSD = netProfit.netProfitUSD;
             
             // Calculate price impacts
             const priceImpact1 = parseFloat(route1.priceImpactPct || 0);
@@ -164,7 +172,12 @@ class SimplifiedMEVFinder {
                 sizeRaw,
                 profitPercent,
                 profitUSD,
-                profitAmount: Number(profitAmount),
+                profitAmount,
+                grossProfitPercent: netProfit.grossProfitPercent,
+                grossProfitUSD: netProfit.grossProfitUSD,
+                costLamports: netProfit.costLamports,
+                costUSD: netProfit.costUSD,
+                costs: netProfit.costs,
                 totalValue: tradeSizeUSD,
                 totalPriceImpact,
                 priceImpact1,
@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const LAMPORTS_PER_SOL = 1000000000;
+
+// Tips on the curve's grid between the minimum tip and the cap
+const TIP_GRID_POINTS = 40;
+
+// Newton iterations and the ridge pulling the slope towards "tips make no difference",
+// which keeps the fit finite when landed and dropped bundles separate perfectly
+const FIT_ITERATIONS = 25;
+const SLOPE_RIDGE = 1;
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * Jito tip policy. Every bundle's tip, whether it landed and how long it took is
+ * recorded, and a logistic landing-probability curve over ln(tip) is fitted to the
+ * recent ones. The tip chosen maximizes P(land | tip) × (profit - tip) without going
+ * over the max share of the expected profit. Until the curve is trusted the tip is the
+ * cap itself; a share of decisions explore tips around the optimum so the curve keeps
+ * learning. The samples and the fit are persisted so learning survives a restart.
+ */
+class TipOptimizer {
+    constructor() {
+        this.maxProfitShare = Math.min(1, parseFloat(process.env.JITO_TIP_MAX_PROFIT_SHARE) || 0.5);
+        this.minTipLamports = parseInt(process.env.JITO_TIP_MIN_LAMPORTS) || 1000;
+        this.maxTipLamports = parseInt(process.env.JITO_TIP_MAX_LAMPORTS) || 10000000;
+        this.minSamples = parseInt(process.env.JITO_TIP_MIN_SAMPLES) || 20;
+        this.maxSamples = parseInt(process.env.JITO_TIP_MAX_SAMPLES) || 500;
+        this.explorationRate = Math.min(1, Math.max(0, parseFloat(process.env.JITO_TIP_EXPLORATION ?? '0.1') || 0));
+        this.statePath = process.env.JITO_TIP_STATE_PATH || './temp/jito_tip_state.json';
+
+        this.samples = []; // { tipLamports, landed, latencyMs, recordedAt }, oldest first
+        this.fit = null; // { intercept, slope } of P(land) over ln(tip)
+        this.lastDecision = null;
+        this.stats = { decisions: 0, explored: 0, capped: 0 };
+
+        this.loadState();
+
+        logger.info('Tip Optimizer initialized', {
+            samples: this.samples.length,
+            curve: this.isCurveTrusted() ? 'learned' : 'cold start',
+            maxProfitShare: this.maxProfitShare,
+            tipRangeLamports: [this.minTipLamports, this.maxTipLamports]
+        });
+    }
+
+    loadState() {
+        if (!fs.existsSync(this.statePath)) return;
+
+        try {
+            const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+            this.samples = (state.samples || []).slice(-this.maxSamples);
+            this.fit = this.fitCurve();
+        } catch (error) {
+            logger.error(`Could not read the tip policy state from ${this.statePath}: ${error.message}`);
+        }
+    }
+
+    saveState() {
+        try {
+            fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+            fs.writeFileSync(this.statePath, JSON.stringify({
+                savedAt: Date.now(),
+                fit: this.fit,
+                samples: this.samples
+            }, null, 2));
+        } catch (error) {
+            logger.error(`Could not persist the tip policy state to ${this.statePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a bundle's auction outcome: the tip it paid, whether it landed or was
+     * dropped and how long that took. Swaps that ran into an error and unread statuses do not count.
+     */
+    record({ tipLamports, landed, latencyMs = null }) {
+        if (!(tipLamports > 0)) return;
+
+        this.samples.push({ tipLamports, landed: !!landed, latencyMs, recordedAt: Date.now() });
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
+        }
+
+        this.fit = this.fitCurve();
+        this.saveState();
+    }
+
+    /**
+     * Logistic regression of landed over ln(tip) by Newton's method, null while every
+     * sample has the same outcome
+     */
+    fitCurve() {
+        const n = this.samples.length;
+        const landed = this.samples.filter(sample => sample.landed).length;
+        if (n === 0 || landed === 0 || landed === n) return null;
+
+        // Centering ln(tip) keeps the intercept and slope independent during the fit
+        const xs = this.samples.map(sample => Math.log(sample.tipLamports));
+        const mean = xs.reduce((sum, x) => sum + x, 0) / n;
+        const ys = this.samples.map(sample => (sample.landed ? 1 : 0));
+
+        let a = Math.log(landed / (n - landed));
+        let b = 0;
+
+        for (let iteration = 0; iteration < FIT_ITERATIONS; iteration++) {
+            let gradA = 0, gradB = -SLOPE_RIDGE * b;
+            let hAA = 0, hAB = 0, hBB = SLOPE_RIDGE;
+
+            xs.forEach((x, i) => {
+                const dx = x - mean;
+                const p = sigmoid(a + b * dx);
+                const w = p * (1 - p);
+                gradA += ys[i] - p;
+                gradB += (ys[i] - p) * dx;
+                hAA += w;
+                hAB += w * dx;
+                hBB += w * dx * dx;
+            });
+
+            const det = hAA * hBB - hAB * hAB;
+            if (!(det > 0)) break;
+
+            const stepA = (hBB * gradA - hAB * gradB) / det;
+            const stepB = (hAA * gradB - hAB * gradA) / det;
+            a += stepA;
+            b += stepB;
+
+            if (Math.abs(stepA) < 1e-6 && Math.abs(stepB) < 1e-6) break;
+        }
+
+        return { intercept: a - b * mean, slope: b };
+    }
+
+    /**
+     * Enough samples, and more tip buys more landings - otherwise the curve cannot be used to trade tip for profit
+     */
+    isCurveTrusted() {
+        return !!this.fit && this.fit.slope > 0 && this.samples.length >= this.minSamples;
+    }
+
+    /**
+     * P(land | tip) from the fitted curve, null without one
+     */
+    getLandingProbability(tipLamports) {
+        if (!this.fit) return null;
+        return sigmoid(this.fit.intercept + this.fit.slope * Math.log(Math.max(1, tipLamports)));
+    }
+
+    /**
+     * Most a bundle expected to earn profitLamports (before the tip) may tip
+     */
+    getCapLamports(profitLamports) {
+        return Math.max(this.minTipLamports, Math.min(this.maxTipLamports, Math.floor(Math.max(0, profitLamports) * this.maxProfitShare)));
+    }
+
+    /**
+     * Tip that maximizes the expected net profit under the cap, the cap itself until the
+     * curve is trusted. Deterministic, so cost estimates can use it.
+     */
+    getTipLamports(profitLamports) {
+        const capLamports = this.getCapLamports(profitLamports);
+        if (!this.isCurveTrusted() || capLamports <= this.minTipLamports) {
+            return capLamports;
+        }
+
+        const logMin = Math.log(this.minTipLamports);
+        const logMax = Math.log(capLamports);
+
+        let best = { tipLamports: capLamports, expectedNet: -Infinity };
+        for (let point = 0; point < TIP_GRID_POINTS; point++) {
+            const tipLamports = Math.round(Math.exp(logMin + (logMax - logMin) * point / (TIP_GRID_POINTS - 1)));
+            const expectedNet = this.getLandingProbability(tipLamports) * (profitLamports - tipLamports);
+            if (expectedNet > best.expectedNet) {
+                best = { tipLamports, expectedNet };
+            }
+        }
+
+        return best.tipLamports;
+    }
+
+    /**
+     * Tip for a bundle about to be sent. Occasionally explores between half and twice the
+     * optimum (still under the cap) so tips the policy would not pick keep being measured.
+     */
+    chooseTip(profitLamports) {
+        const capLamports = this.getCapLamports(profitLamports);
+        const optimalLamports = this.getTipLamports(profitLamports);
+
+        let tipLamports = optimalLamports;
+        const explored = Math.random() < this.explorationRate;
+        if (explored) {
+            tipLamports = Math.round(optimalLamports * Math.pow(2, Math.random() * 2 - 1));
+            tipLamports = Math.max(this.minTipLamports, Math.min(capLamports, tipLamports));
+        }
+
+        this.stats.decisions++;
+        if (explored) this.stats.explored++;
+        if (tipLamports >= capLamports) this.stats.capped++;
+
+        this.lastDecision = {
+            tipLamports,
+            profitLamports,
+            capLamports,
+            explored,
+            landingProbability: this.getLandingProbability(tipLamports),
+            policy: this.isCurveTrusted() ? 'learned' : 'cold start',
+            decidedAt: Date.now()
+        };
+
+        logger.debug(`💰 Jito tip ${tipLamports} lamports (${this.lastDecision.policy}${explored ? ', exploring' : ''}) for ${profitLamports} lamports expected profit, cap ${capLamports}`);
+
+        return this.lastDecision;
+    }
+
+    /**
+     * Tip in SOL for a trade of tradeSizeSOL expected to make profitPercent
+     */
+    getTipSOL(tradeSizeSOL, profitPercent) {
+        return this.getTipLamports(this.getProfitLamports(tradeSizeSOL, profitPercent)) / LAMPORTS_PER_SOL;
+    }
+
+    getProfitLamports(tradeSizeSOL, profitPercent) {
+        return Math.floor(tradeSizeSOL * profitPercent / 100 * LAMPORTS_PER_SOL);
+    }
+
+    getStats() {
+        const landed = this.samples.filter(sample => sample.landed);
+        const latencies = landed.map(sample => sample.latencyMs).filter(latency => latency !== null);
+
+        return {
+            ...this.stats,
+            policy: this.isCurveTrusted() ? 'learned' : 'cold start',
+            samples: this.samples.length,
+            landingRate: this.samples.length > 0 ? landed.length / this.samples.length : 0,
+            avgLandingLatencyMs: latencies.length > 0 ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length) : null,
+            fit: this.fit,
+            lastDecision: this.lastDecision
+        };
+    }
+}
+
+// Create singleton instance
+const tipOptimizer = new TipOptimizer();
+
+module.exports = tipOptimizer;
@@ -1,7 +1,7 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const { rateLimiter } = require('./rateLimiter');
 
 /**
  * Creates temp directory if it doesn't exist
@@ -18,7 +18,10 @@ const createTempDir = () => {
  */
 const fetchTrendingTokens = async () => {
     try {
-        const response = await axios.get('https://tokens.jup.ag/tokens?tags=birdeye-trending');
+        const response = await rateLimiter.request({
+            method: 'get',
+            url: 'https://tokens.jup.ag/tokens?tags=birdeye-trending'
+        }, { priority: 'background' });
         if(response.data && Array.isArray(response.data)) {
             // Save to temp directory for caching
             createTempDir();
@@ -1,13 +1,11 @@
 require("dotenv").config();
-const {Connection,PublicKey} = require("@solana/web3.js");
+const {PublicKey} = require("@solana/web3.js");
 const {setTimeout} = require("timers/promises");
 const cache = require("../bot/cache");
+const rpcPool = require("./rpcPool");
 
-// Adding a backup option for the transaction lookup
-// This is only needed for some RPCS that are not 
-// working or are behind at the time of lookup.
-const rpc_main = process.env.DEFAULT_RPC;
-const rpc_backup = 'https://api.mainnet-beta.solana.com';
+// The lookup tries every pool endpoint (DEFAULT_RPC and ALT_RPC_LIST), healthiest
+// first, as some RPCs are not working or are behind at the time of lookup.
 
 // Key variables
 var transstatus = 0;
@@ -28,18 +26,6 @@ const waitabit = async (ms) => {
     }
 };
 
-// Main RPC
-const connection = new Connection(rpc_main,{
-    disableRetryOnRateLimit: true,
-    commitment: 'confirmed',
-});
-
-// Backup RPC
-const connection_backup = new Connection(rpc_backup,{
-    disableRetryOnRateLimit: false,
-    commitment: 'confirmed',
-});
-
 const fetchTransaction = async (rpcConnection,transaction) => {
     try {
         return await rpcConnection.getParsedTransaction(transaction,{"maxSupportedTransactionVersion": 0});
@@ -52,13 +38,12 @@ const fetchTransaction = async (rpcConnection,transaction) => {
 
 const checkTransactionStatus = async (transaction,wallet_address) => {
     try {
-        // Try to fetch the transaction from the main RPC
+        // Try to fetch the transaction from each pool RPC in turn
         transstatus = 2;
-        transresp = await fetchTransaction(connection,transaction);
-
-        // If the transaction is not found on the main RPC, try the backup RPC
-        if(!transresp) {
-            transresp = await fetchTransaction(connection_backup,transaction);
+        transresp = null;
+        for(const connection of rpcPool.getConnections()) {
+            transresp = await fetchTransaction(connection,transaction);
+            if(transresp) break;
         }
 
         if(transresp) {
@@ -0,0 +1,358 @@
+const logger = require('./logger');
+const { rateLimiter } = require('./rateLimiter');
+const { serializeTransaction, getTransactionSignature } = require('./versionedTransaction');
+const rpcPool = require('./rpcPool');
+
+// Final state of a sent transaction
+const TX_OUTCOME = {
+    LANDED: 'landed',
+    FAILED: 'failed',
+    EXPIRED: 'expired',
+    // Bundles only: no status could be read for too long while the blockhash was still valid,
+    // so the bundle may yet land
+    UNKNOWN: 'unknown'
+};
+
+const COMMITMENT_LEVELS = ['processed', 'confirmed', 'finalized'];
+
+// Block engines to also send every transaction to, e.g. https://ny.mainnet.block-engine.jito.wtf
+const parseJitoEngines = (value) => (value || '')
+    .split(',')
+    .map(url => url.trim().replace(/\/+$/, ''))
+    .filter(url => /^https?:\/\//.test(url));
+
+class TransactionSender {
+    constructor(options = {}) {
+        this.commitment = options.commitment || 'confirmed';
+        this.rebroadcastIntervalMs = options.rebroadcastIntervalMs || parseInt(process.env.TX_REBROADCAST_INTERVAL_MS) || 2000;
+        this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.TX_POLL_INTERVAL_MS) || 1000;
+        this.useWebsocket = options.useWebsocket ?? process.env.TX_USE_WEBSOCKET !== 'false';
+        this.jitoEngines = options.jitoEngines || parseJitoEngines(process.env.TX_BROADCAST_JITO_ENGINES);
+
+        this.inFlight = new Map(); // signature -> pending sendAndConfirm
+        this.endpointStats = new Map(); // endpoint label -> broadcast and landing counts
+
+        this.stats = {
+            sent: 0,
+            landed: 0,
+            failed: 0,
+            expired: 0,
+            rebroadcasts: 0,
+            duplicates: 0
+        };
+    }
+
+    /**
+     * Send a signed transaction and rebroadcast it until it lands, fails or its blockhash expires.
+     * Every send goes to all healthy RPC pool endpoints (connection included) and any
+     * configured Jito block engines. A transaction already being sent is not sent twice -
+     * the caller shares the pending outcome.
+     *
+     * options.reprice(attempt) may return a re-signed copy of the transaction (e.g. with a
+     * higher priority fee) to rebroadcast instead; every copy is watched and whichever
+     * lands is the outcome. Only pass it for transactions that are safe to land twice.
+     */
+    sendAndConfirm(connection, signedTransaction, options = {}) {
+        const signature = getTransactionSignature(signedTransaction);
+
+        if (this.inFlight.has(signature)) {
+            this.stats.duplicates++;
+            logger.debug(`📤 Transaction ${signature} is already being broadcast - sharing its outcome`);
+            return this.inFlight.get(signature);
+        }
+
+        const pending = this.broadcastAndConfirm(connection, signedTransaction, signature, options)
+            .finally(() => this.inFlight.delete(signature));
+        this.inFlight.set(signature, pending);
+
+        return pending;
+    }
+
+    async broadcastAndConfirm(connection, signedTransaction, signature, options) {
+        const startTime = Date.now();
+        const commitment = options.commitment || this.commitment;
+        const rpcTargets = rpcPool.getBroadcastTargets(connection);
+        let serialized = serializeTransaction(signedTransaction);
+        const signatures = [signature]; // Every priced copy of the transaction, original first
+
+        this.stats.sent++;
+
+        let lastValidBlockHeight = options.lastValidBlockHeight;
+        if (!lastValidBlockHeight) {
+            // The newest blockhash outlives the transaction's own, so this never expires it early
+            ({ lastValidBlockHeight } = await connection.getLatestBlockhash(commitment));
+        }
+
+        try {
+            await this.broadcast(serialized, rpcTargets, {
+                skipPreflight: options.skipPreflight ?? false,
+                preflightCommitment: commitment,
+                maxRetries: 0
+            });
+        } catch (error) {
+            return this.finish(TX_OUTCOME.FAILED, { signature, error: error.message, startTime, rebroadcasts: 0 });
+        }
+
+        logger.debug(`📤 Transaction sent to ${rpcTargets.length + this.jitoEngines.length} endpoint(s): ${signature} (valid until block ${lastValidBlockHeight})`);
+
+        // The websocket usually reports first, polling covers dropped subscriptions
+        let notified = null;
+        let wake = null;
+        let subscriptionId = null;
+
+        if (this.useWebsocket && typeof connection.onSignature === 'function') {
+            try {
+                subscriptionId = connection.onSignature(signature, (result, context) => {
+                    notified = { err: result.err, slot: context.slot };
+                    if (wake) wake();
+                }, commitment);
+            } catch (error) {
+                logger.debug('Signature subscription failed, relying on polling:', error.message);
+            }
+        }
+
+        let rebroadcasts = 0;
+        let lastSendTime = Date.now();
+
+        try {
+            for (;;) {
+                if (notified) {
+                    return this.finish(notified.err ? TX_OUTCOME.FAILED : TX_OUTCOME.LANDED, {
+                        signature,
+                        error: notified.err,
+                        slot: notified.slot,
+                        landedVia: rpcPool.getLabel(connection),
+                        startTime,
+                        rebroadcasts
+                    });
+                }
+
+                try {
+                    // Read the height before the status so a late landing is never reported as expired
+                    const blockHeight = await connection.getBlockHeight(commitment);
+                    const report = await this.getFirstSignatureStatus(rpcTargets, signatures, commitment);
+
+                    if (report) {
+                        return this.finish(report.status.err ? TX_OUTCOME.FAILED : TX_OUTCOME.LANDED, {
+                            signature: report.signature,
+                            error: report.status.err,
+                            slot: report.status.slot,
+                            landedVia: report.label,
+                            startTime,
+                            rebroadcasts
+                        });
+                    }
+
+                    if (blockHeight > lastValidBlockHeight) {
+                        return this.finish(TX_OUTCOME.EXPIRED, {
+                            signature,
+                            error: `Blockhash expired at block ${lastValidBlockHeight}`,
+                            startTime,
+                            rebroadcasts
+                        });
+                    }
+                } catch (error) {
+                    logger.debug('Transaction status check failed:', error.message);
+                }
+
+                if (Date.now() - lastSendTime >= this.rebroadcastIntervalMs) {
+                    lastSendTime = Date.now();
+                    rebroadcasts++;
+                    this.stats.rebroadcasts++;
+
+                    const repriced = options.reprice ? await this.reprice(options.reprice, rebroadcasts) : null;
+                    if (repriced) {
+                        serialized = serializeTransaction(repriced);
+                        signatures.push(getTransactionSignature(repriced));
+                    }
+
+                    this.broadcast(serialized, rpcTargets, { skipPreflight: true, maxRetries: 0 })
+                        .catch(error => logger.debug('Rebroadcast failed:', error.message));
+                }
+
+                await new Promise(resolve => {
+                    wake = resolve;
+                    setTimeout(resolve, this.pollIntervalMs);
+                });
+            }
+        } finally {
+            if (subscriptionId !== null) {
+                connection.removeSignatureListener(subscriptionId).catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Send to every RPC target and Jito block engine at once. Resolves when the first
+     * endpoint accepts the transaction, rejects with the first error when none do.
+     */
+    async broadcast(serialized, rpcTargets, sendOptions) {
+        const sends = [
+            ...rpcTargets.map(({ label, connection }) => ({
+                label,
+                send: () => connection.sendRawTransaction(serialized, sendOptions)
+            })),
+            ...this.jitoEngines.map(engine => ({
+                label: new URL(engine).host,
+                send: () => this.sendToJito(engine, serialized)
+            }))
+        ].map(({ label, send }) => {
+            const stats = this.getEndpointStats(label);
+            stats.sent++;
+
+            return send().then(
+                (result) => {
+                    stats.accepted++;
+                    return result;
+                },
+                (error) => {
+                    stats.rejected++;
+                    stats.lastError = error.message;
+                    throw error;
+                }
+            );
+        });
+
+        try {
+            return await Promise.any(sends);
+        } catch (error) {
+            throw error.errors ? error.errors[0] : error;
+        }
+    }
+
+    /**
+     * Jito's sendTransaction - the block engine only forwards transactions that pay a tip
+     */
+    async sendToJito(engine, serialized) {
+        const response = await rateLimiter.request({
+            method: 'post',
+            url: `${engine}/api/v1/transactions`,
+            data: {
+                jsonrpc: '2.0',
+                id: 1,
+                method: 'sendTransaction',
+                params: [serialized.toString('base64'), { encoding: 'base64' }]
+            },
+            headers: { 'Content-Type': 'application/json' },
+            timeout: 5000
+        }, { priority: 'critical' });
+
+        if (response.data?.error) {
+            throw new Error(response.data.error.message || 'Jito sendTransaction failed');
+        }
+        return response.data?.result;
+    }
+
+    /**
+     * Re-signed copy of the transaction for this rebroadcast, null to resend the current one
+     */
+    async reprice(reprice, attempt) {
+        try {
+            const transaction = await reprice(attempt);
+            if (transaction) {
+                logger.info(`⏫ Rebroadcast ${attempt} re-priced: ${getTransactionSignature(transaction)}`);
+            }
+            return transaction;
+        } catch (error) {
+            logger.debug('Re-pricing failed, resending as is:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Ask every RPC target for the status at once and keep the first to report one
+     */
+    async getFirstSignatureStatus(rpcTargets, signatures, commitment) {
+        try {
+            return await Promise.any(rpcTargets.map(async ({ label, connection }) => {
+                const report = await this.getSignatureStatus(connection, signatures, commitment);
+                if (!report) throw new Error(`${label} has no status yet`);
+                return { label, ...report };
+            }));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * First of the signatures to reach the requested commitment, landed copies before failed ones
+     */
+    async getSignatureStatus(connection, signatures, commitment) {
+        const { value } = await connection.getSignatureStatuses(signatures);
+        const reports = (value || [])
+            .map((status, index) => ({ signature: signatures[index], status }))
+            .filter(({ status }) => status);
+
+        // Failed transactions will not change outcome with more confirmations
+        const landed = reports.find(({ status }) => !status.err &&
+            COMMITMENT_LEVELS.indexOf(status.confirmationStatus || 'processed') >= COMMITMENT_LEVELS.indexOf(commitment));
+
+        return landed || reports.find(({ status }) => status.err) || null;
+    }
+
+    getEndpointStats(label) {
+        if (!this.endpointStats.has(label)) {
+            this.endpointStats.set(label, { sent: 0, accepted: 0, rejected: 0, firstToReport: 0, lastError: null });
+        }
+        return this.endpointStats.get(label);
+    }
+
+    /**
+     * Build the outcome object and record it
+     */
+    finish(status, { signature, error = null, slot = null, landedVia = null, startTime, rebroadcasts }) {
+        this.stats[status]++;
+
+        if (landedVia) {
+            this.getEndpointStats(landedVia).firstToReport++;
+        }
+
+        const outcome = {
+            status,
+            success: status === TX_OUTCOME.LANDED,
+            txid: signature,
+            error: error && typeof error !== 'string' ? JSON.stringify(error) : error,
+            slot,
+            landedVia,
+            rebroadcasts,
+            durationMs: Date.now() - startTime
+        };
+
+        if (outcome.success) {
+            logger.info(`✅ Transaction landed in slot ${slot}: ${signature} (${rebroadcasts} rebroadcasts, first seen by ${landedVia})`);
+        } else {
+            logger.warn(`⚠️ Transaction ${status}: ${signature} - ${outcome.error}`);
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Get sender statistics
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Per-endpoint broadcast results, the endpoints that most often saw a landing first on top
+     */
+    getEndpointLandingStats() {
+        return [...this.endpointStats.entries()]
+            .map(([endpoint, stats]) => ({
+                endpoint,
+                ...stats,
+                acceptRate: stats.sent > 0 ? stats.accepted / stats.sent : 0
+            }))
+            .sort((a, b) => b.firstToReport - a.firstToReport || b.accepted - a.accepted);
+    }
+}
+
+// Create singleton instance
+const transactionSender = new TransactionSender();
+
+module.exports = {
+    TX_OUTCOME,
+    TransactionSender,
+    transactionSender
+};
@@ -0,0 +1,198 @@
+const logger = require('./logger');
+const rpcPool = require('./rpcPool');
+const { isVersionedTransaction } = require('./versionedTransaction');
+
+// Result of a preflight simulation
+const SIMULATION_STATUS = {
+    PASSED: 'passed',
+    FAILED: 'failed',
+    UNAVAILABLE: 'unavailable' // The RPC could not simulate, nothing is known about the transaction
+};
+
+// Why a simulation failed, as stored with the vetoed trade
+const SIMULATION_FAILURE = {
+    SLIPPAGE_EXCEEDED: 'slippage_exceeded',
+    INSUFFICIENT_FUNDS: 'insufficient_funds',
+    ACCOUNT_ERROR: 'account_error',
+    COMPUTE_EXCEEDED: 'compute_exceeded',
+    BLOCKHASH_NOT_FOUND: 'blockhash_not_found',
+    PROGRAM_ERROR: 'program_error'
+};
+
+// Matched against the error and the program logs, first match wins.
+// Jupiter reports slippage as Anchor error 6001 (0x1771).
+const FAILURE_PATTERNS = [
+    [SIMULATION_FAILURE.SLIPPAGE_EXCEEDED, [/SlippageToleranceExceeded/, /custom program error: 0x1771\b/, /"Custom":6001\b/]],
+    [SIMULATION_FAILURE.BLOCKHASH_NOT_FOUND, [/BlockhashNotFound/]],
+    [SIMULATION_FAILURE.INSUFFICIENT_FUNDS, [/InsufficientFunds/, /insufficient (funds|lamports)/i]],
+    [SIMULATION_FAILURE.COMPUTE_EXCEEDED, [/ComputationalBudgetExceeded/, /exceeded CUs meter/]],
+    [SIMULATION_FAILURE.ACCOUNT_ERROR, [
+        /AccountNotFound/,
+        /InvalidAccountData/,
+        /AccountNotInitialized/,
+        /UninitializedAccount/,
+        /AccountInUse/,
+        /AccountLoadedTwice/,
+        /InvalidAccountForFee/,
+        /AccountOwnedByWrongProgram/,
+        /IncorrectProgramId/
+    ]]
+];
+
+const VETO_ERROR_CODE = 'SIMULATION_VETO';
+
+// Program log lines kept with a vetoed trade
+const HISTORY_LOG_LINES = 10;
+
+/**
+ * Preflight simulation of signed transactions. Every swap is simulated before it is
+ * sent: a failing simulation vetoes the trade with a classified reason, a passing
+ * one reports the compute units consumed so the limit can be set from it.
+ */
+class TransactionSimulator {
+    constructor() {
+        this.enabled = process.env.PREFLIGHT_SIMULATION !== 'false';
+        this.computeUnitMargin = Math.max(0, parseFloat(process.env.PREFLIGHT_CU_MARGIN) || 0.15);
+
+        this.recent = []; // Latest simulations with their logs
+        this.maxRecent = 50;
+        this.stats = {
+            simulations: 0,
+            passed: 0,
+            failed: 0,
+            unavailable: 0,
+            failureReasons: {},
+            avgUnitsConsumed: 0
+        };
+
+        logger.info('Transaction Simulator initialized', {
+            enabled: this.enabled,
+            computeUnitMargin: this.computeUnitMargin
+        });
+    }
+
+    /**
+     * Simulate a signed transaction on the healthiest RPC, trying the next one when a node
+     * cannot answer. Resolves to { status, reason, error, logs, unitsConsumed, durationMs }.
+     */
+    async simulate(transaction) {
+        const startTime = Date.now();
+        this.stats.simulations++;
+
+        let value;
+        try {
+            ({ value } = await rpcPool.read(connection => isVersionedTransaction(transaction)
+                ? connection.simulateTransaction(transaction, { sigVerify: false, commitment: 'processed' })
+                : connection.simulateTransaction(transaction)));
+        } catch (error) {
+            return this.record({
+                status: SIMULATION_STATUS.UNAVAILABLE,
+                reason: null,
+                error: error.message,
+                logs: [],
+                unitsConsumed: null,
+                durationMs: Date.now() - startTime
+            });
+        }
+
+        const logs = value.logs || [];
+        return this.record({
+            status: value.err ? SIMULATION_STATUS.FAILED : SIMULATION_STATUS.PASSED,
+            reason: value.err ? this.classify(value.err, logs) : null,
+            error: value.err ? (typeof value.err === 'string' ? value.err : JSON.stringify(value.err)) : null,
+            logs,
+            unitsConsumed: value.unitsConsumed ?? null,
+            durationMs: Date.now() - startTime
+        });
+    }
+
+    /**
+     * Map a simulation error and its program logs to a SIMULATION_FAILURE reason
+     */
+    classify(err, logs = []) {
+        const text = `${typeof err === 'string' ? err : JSON.stringify(err)}\n${logs.join('\n')}`;
+        const match = FAILURE_PATTERNS.find(([, patterns]) => patterns.some(pattern => pattern.test(text)));
+
+        return match ? match[0] : SIMULATION_FAILURE.PROGRAM_ERROR;
+    }
+
+    /**
+     * Compute unit limit for a transaction that consumed unitsConsumed, with the margin on top
+     */
+    getComputeUnitLimit(unitsConsumed, maxComputeUnits) {
+        return Math.min(maxComputeUnits, Math.ceil(unitsConsumed * (1 + this.computeUnitMargin)));
+    }
+
+    record(simulation) {
+        const { stats } = this;
+        stats[simulation.status]++;
+
+        if (simulation.status === SIMULATION_STATUS.PASSED && simulation.unitsConsumed) {
+            stats.avgUnitsConsumed = stats.passed === 1
+                ? simulation.unitsConsumed
+                : stats.avgUnitsConsumed * 0.8 + simulation.unitsConsumed * 0.2;
+        }
+
+        if (simulation.status === SIMULATION_STATUS.FAILED) {
+            stats.failureReasons[simulation.reason] = (stats.failureReasons[simulation.reason] || 0) + 1;
+            logger.warn(`🧪 Simulation failed (${simulation.reason}): ${simulation.error}`);
+            logger.debug(`Simulation logs:\n${simulation.logs.join('\n')}`);
+        } else if (simulation.status === SIMULATION_STATUS.UNAVAILABLE) {
+            logger.warn(`🧪 Could not simulate the transaction: ${simulation.error}`);
+        } else {
+            logger.debug(`🧪 Simulation passed: ${simulation.unitsConsumed} CU in ${simulation.durationMs}ms`);
+        }
+
+        this.recent.push({ ...simulation, simulatedAt: Date.now() });
+        if (this.recent.length > this.maxRecent) {
+            this.recent.shift();
+        }
+
+        return simulation;
+    }
+
+    /**
+     * Error that vetoes a trade whose simulation failed
+     */
+    createVetoError(simulation) {
+        const error = new Error(`Trade vetoed by simulation (${simulation.reason}): ${simulation.error}`);
+        error.code = VETO_ERROR_CODE;
+        error.simulation = simulation;
+        return error;
+    }
+
+    isVetoError(error) {
+        return error?.code === VETO_ERROR_CODE;
+    }
+
+    /**
+     * Trade history fields for a vetoed trade
+     */
+    getHistoryFields(simulation) {
+        return {
+            vetoed: true,
+            vetoReason: simulation.reason,
+            simulationError: simulation.error,
+            unitsConsumed: simulation.unitsConsumed,
+            simulationLogs: simulation.logs.slice(-HISTORY_LOG_LINES)
+        };
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            failureReasons: { ...this.stats.failureReasons },
+            avgUnitsConsumed: Math.round(this.stats.avgUnitsConsumed)
+        };
+    }
+}
+
+// Create singleton instance
+const transactionSimulator = new TransactionSimulator();
+
+module.exports = {
+    SIMULATION_STATUS,
+    SIMULATION_FAILURE,
+    TransactionSimulator,
+    transactionSimulator
+};
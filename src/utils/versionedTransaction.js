@@ -0,0 +1,173 @@
+const bs58 = require('bs58');
+const {
+    PublicKey,
+    Transaction,
+    VersionedTransaction,
+    TransactionMessage
+} = require('@solana/web3.js');
+
+/**
+ * Check whether a transaction is a v0 VersionedTransaction
+ */
+const isVersionedTransaction = (transaction) => transaction instanceof VersionedTransaction;
+
+/**
+ * Deserialize a swap transaction returned by Jupiter
+ * v6 returns v0 versioned transactions unless asLegacyTransaction was requested
+ */
+const deserializeTransaction = (serialized, { asLegacyTransaction = false } = {}) => {
+    const buffer = Buffer.isBuffer(serialized) ? serialized : Buffer.from(serialized, 'base64');
+
+    if (asLegacyTransaction) {
+        return Transaction.from(buffer);
+    }
+
+    return VersionedTransaction.deserialize(buffer);
+};
+
+/**
+ * Sign a legacy or versioned transaction in place
+ */
+const signTransaction = (transaction, signers) => {
+    const signerList = Array.isArray(signers) ? signers : [signers];
+
+    if (isVersionedTransaction(transaction)) {
+        transaction.sign(signerList);
+    } else {
+        transaction.partialSign(...signerList);
+    }
+
+    return transaction;
+};
+
+/**
+ * Serialize a signed transaction to the wire format
+ */
+const serializeTransaction = (transaction) => {
+    if (isVersionedTransaction(transaction)) {
+        return Buffer.from(transaction.serialize());
+    }
+
+    return transaction.serialize({ verifySignatures: false });
+};
+
+/**
+ * Get the fee payer signature (the transaction id) of a signed transaction
+ */
+const getTransactionSignature = (transaction) => {
+    const signature = isVersionedTransaction(transaction)
+        ? transaction.signatures[0]
+        : transaction.signature;
+
+    return signature ? bs58.encode(signature) : null;
+};
+
+/**
+ * Fetch the address lookup tables referenced by the given addresses
+ */
+const getAddressLookupTableAccounts = async (connection, addresses) => {
+    const uniqueAddresses = [...new Set(addresses.map(address => address.toString()))];
+    const lookups = await Promise.all(
+        uniqueAddresses.map(address => connection.getAddressLookupTable(new PublicKey(address)))
+    );
+
+    return lookups.map(lookup => lookup.value).filter(Boolean);
+};
+
+/**
+ * Resolve the lookup tables a v0 transaction loads accounts from
+ */
+const resolveAddressLookupTables = async (connection, transaction) => {
+    if (!isVersionedTransaction(transaction)) {
+        return [];
+    }
+
+    const lookups = transaction.message.addressTableLookups || [];
+    if (lookups.length === 0) {
+        return [];
+    }
+
+    const tables = await getAddressLookupTableAccounts(connection, lookups.map(lookup => lookup.accountKey));
+    if (tables.length !== new Set(lookups.map(lookup => lookup.accountKey.toString())).size) {
+        throw new Error('Could not resolve all address lookup tables for transaction');
+    }
+
+    return tables;
+};
+
+/**
+ * Decompile a transaction into its instructions with lookup table accounts resolved
+ */
+const decompileTransaction = async (connection, transaction) => {
+    if (!isVersionedTransaction(transaction)) {
+        return {
+            message: new TransactionMessage({
+                payerKey: transaction.feePayer,
+                recentBlockhash: transaction.recentBlockhash,
+                instructions: transaction.instructions
+            }),
+            addressLookupTableAccounts: []
+        };
+    }
+
+    const addressLookupTableAccounts = await resolveAddressLookupTables(connection, transaction);
+
+    return {
+        message: TransactionMessage.decompile(transaction.message, { addressLookupTableAccounts }),
+        addressLookupTableAccounts
+    };
+};
+
+/**
+ * Build an unsigned transaction of the same kind as original from a decompiled message
+ */
+const recompileTransaction = (original, message, addressLookupTableAccounts = []) => {
+    if (isVersionedTransaction(original)) {
+        return new VersionedTransaction(message.compileToV0Message(addressLookupTableAccounts));
+    }
+
+    return new Transaction({
+        feePayer: message.payerKey,
+        recentBlockhash: message.recentBlockhash
+    }).add(...message.instructions);
+};
+
+/**
+ * Get every account key a transaction touches, including lookup table accounts
+ */
+const getTransactionAccountKeys = async (connection, transaction) => {
+    if (!isVersionedTransaction(transaction)) {
+        const legacyMessage = transaction.compileMessage();
+        return legacyMessage.accountKeys.map((key, index) => ({
+            pubkey: key,
+            isWritable: legacyMessage.isAccountWritable(index)
+        }));
+    }
+
+    const addressLookupTableAccounts = await resolveAddressLookupTables(connection, transaction);
+    const message = transaction.message;
+    const accountKeys = message.getAccountKeys({ addressLookupTableAccounts });
+
+    const keys = [];
+    for (let index = 0; index < accountKeys.length; index++) {
+        keys.push({
+            pubkey: accountKeys.get(index),
+            isWritable: message.isAccountWritable(index)
+        });
+    }
+
+    return keys;
+};
+
+module.exports = {
+    isVersionedTransaction,
+    deserializeTransaction,
+    signTransaction,
+    serializeTransaction,
+    getTransactionSignature,
+    getAddressLookupTableAccounts,
+    resolveAddressLookupTables,
+    decompileTransaction,
+    recompileTransaction,
+    getTransactionAccountKeys
+};
@@ -11,6 +11,7 @@ const priority_STRATEGIES = [
 	{ label: "1000 micro Lamports", value: 1000 },
 	{ label: "10000 micro Lamports", value: 10000 },
 	{ label: "50000 micro Lamports", value: 50000 },
+	{ label: "Dynamic (percentile of recent fees)", value: "dynamic" },
 	{ label: "Custom setting", value: "custom" },
 ];
 
@@ -39,7 +40,9 @@ function priority() {
 	const handlepriorityStrategySelect = (priority) => {
 		const value = priority.value;
 		setTemppriorityStrategy(value);
-		if (value !== "custom")
+		if (value === "dynamic")
+			configSetValue("priority", value);
+		else if (value !== "custom")
 			configSetValue(
 				"priority", Number(value)
 			);
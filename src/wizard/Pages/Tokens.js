@@ -5,7 +5,7 @@ const WizardContext = require("../WizardContext");
 const { useContext, useState, useEffect, useRef } = require("react");
 const { default: SelectInput } = require("ink-select-input");
 const chalk = require("chalk");
-const { default: axios } = require("axios");
+const { rateLimiter } = require("../../utils/rateLimiter");
 const { TOKEN_LIST_URL } = require("@jup-ag/core");
 const { default: TextInput } = require("ink-text-input");
 const fs = require("fs");
@@ -91,7 +91,7 @@ function Tokens() {
 			const tokensFromFile = JSON.parse(fs.readFileSync("./config.json"));
 			tokens.tokensFromFile?.length > 0 && setTokens(tokensFromFile);
 		} else {
-			axios.get(TOKEN_LIST_URL[network]).then((res) => {
+			rateLimiter.request({ method: "get", url: TOKEN_LIST_URL[network] }).then((res) => {
 				isMountedRef.current && setTokens(res.data);
 				// save tokens to tokens.json file
 				fs.writeFileSync(
@@ -0,0 +1,39 @@
+const bs58 = require('bs58');
+const { Keypair, Transaction } = require('@solana/web3.js');
+
+/**
+ * Connection double: every getBlockHeight moves the chain one block on, statusFor(signature,
+ * connection) answers getSignatureStatuses and every accepted send is kept in sent
+ */
+const createConnection = ({ blockHeight = 100, statusFor = () => null, sendError = null } = {}) => {
+    const connection = {
+        rpcEndpoint: 'http://stub-rpc.test',
+        blockHeight,
+        sent: [],
+        statusChecks: [],
+
+        async getLatestBlockhash() {
+            return { blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: connection.blockHeight + 150 };
+        },
+
+        async sendRawTransaction(serialized) {
+            if (sendError) throw new Error(sendError);
+            connection.sent.push(serialized);
+            return bs58.encode(Transaction.from(serialized).signature);
+        },
+
+        async getBlockHeight() {
+            return connection.blockHeight++;
+        },
+
+        async getSignatureStatuses(signatures) {
+            connection.statusChecks.push([...signatures]);
+            return { value: signatures.map(signature => statusFor(signature, connection)) };
+        }
+    };
+    return connection;
+};
+
+module.exports = {
+    createConnection
+};
@@ -0,0 +1,271 @@
+process.env.LOG_TO_FILE = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.JITO_TIP_STATE_PATH = require('path').join(require('os').tmpdir(), `jito_tip_state_${process.pid}.json`);
+
+const http = require('http');
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const {
+    Keypair,
+    SystemProgram,
+    TransactionMessage,
+    VersionedTransaction
+} = require('@solana/web3.js');
+const { rateLimiter } = require('../../src/utils/rateLimiter');
+const tipOptimizer = require('../../src/utils/tipOptimizer');
+const { createConnection } = require('../helpers/stubConnection');
+
+/**
+ * Block engine double on a local port, answering the bundle API's JSON-RPC: sendBundle
+ * with a bundle id (or sendError), the status calls from landedStatus(poll) /
+ * inflightStatus(poll), and HTTP statusCode instead for every status call when set
+ */
+const blockEngine = {
+    server: null,
+    url: null,
+    requests: [],
+    polls: 0,
+    bundle: null,
+    behaviour: {},
+
+    reset(behaviour = {}) {
+        this.requests = [];
+        this.polls = 0;
+        this.bundle = null;
+        this.behaviour = { landedStatus: () => null, inflightStatus: () => 'Pending', ...behaviour };
+    },
+
+    answer(method, params) {
+        const { sendError, landedStatus, inflightStatus, statusCode } = this.behaviour;
+
+        if (method === 'sendBundle') {
+            if (sendError) return { error: { code: -32602, message: sendError } };
+            this.bundle = params[0];
+            return { result: 'bundle-1' };
+        }
+        if (statusCode) return { statusCode };
+        if (method === 'getBundleStatuses') {
+            this.polls++;
+            return { result: { context: { slot: 300 }, value: [landedStatus(this.polls)] } };
+        }
+        if (method === 'getInflightBundleStatuses') {
+            return { result: { context: { slot: 300 }, value: [{ bundle_id: params[0][0], status: inflightStatus(this.polls), landed_slot: null }] } };
+        }
+        return { error: { code: -32601, message: `Method not found: ${method}` } };
+    },
+
+    handle(request, response) {
+        let body = '';
+        request.on('data', chunk => (body += chunk));
+        request.on('end', () => {
+            const { id, method, params } = JSON.parse(body);
+            this.requests.push({ path: request.url, method, params });
+
+            const { statusCode = 200, ...reply } = this.answer(method, params);
+            response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(statusCode === 200 ? { jsonrpc: '2.0', id, ...reply } : { message: 'Service unavailable' }));
+        });
+    }
+};
+
+let JitoBundleSender;
+let jitoEngineProber;
+let TX_OUTCOME;
+let healthMonitor;
+
+before(async () => {
+    blockEngine.server = http.createServer((request, response) => blockEngine.handle(request, response));
+    await new Promise(resolve => blockEngine.server.listen(0, '127.0.0.1', resolve));
+    blockEngine.url = `http://127.0.0.1:${blockEngine.server.address().port}`;
+
+    // The prober reads its engines when it is first required, and these all require it
+    process.env.JITO_BLOCK_ENGINES = blockEngine.url;
+    healthMonitor = require('../../src/utils/healthMonitor');
+    ({ TX_OUTCOME } = require('../../src/utils/transactionSender'));
+    ({ JitoBundleSender } = require('../../src/utils/jitoBundleSender'));
+    ({ jitoEngineProber } = require('../../src/utils/jitoEngineProber'));
+
+    // A real engine takes a request a second, the double as many as the tests send
+    rateLimiter.configureHost(new URL(blockEngine.url).host, { requestsPerMinute: 600000, burst: 100 });
+});
+
+after(() => {
+    blockEngine.server.closeAllConnections();
+    blockEngine.server.close();
+    healthMonitor.stopMonitoring();
+});
+
+beforeEach(() => {
+    mock.restoreAll();
+    mock.method(tipOptimizer, 'record', () => {});
+    blockEngine.reset();
+
+    // Failing tests open the engine's circuit and bench it, every test starts on a clean slate
+    rateLimiter.reset();
+    const engine = jitoEngineProber.getEngine(blockEngine.url);
+    engine.stats = jitoEngineProber.createEngine(blockEngine.url).stats;
+    engine.cooldownUntil = 0;
+});
+
+const payer = Keypair.generate();
+
+const signedSwap = () => {
+    const message = new TransactionMessage({
+        payerKey: payer.publicKey,
+        recentBlockhash: Keypair.generate().publicKey.toBase58(),
+        instructions: [SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1000 })]
+    }).compileToV0Message();
+    const transaction = new VersionedTransaction(message);
+    transaction.sign([payer]);
+    return transaction;
+};
+
+const createSender = () => {
+    const sender = new JitoBundleSender();
+    sender.pollIntervalMs = 1;
+    return sender;
+};
+
+const send = (sender, options = {}) => sender.sendBundle([signedSwap()], {
+    engine: blockEngine.url,
+    payer,
+    tipLamports: 10000,
+    connection: createConnection({ blockHeight: 1000 }),
+    ...options
+});
+
+test('lands a bundle with the tip as its last transaction', async () => {
+    blockEngine.reset({
+        landedStatus: (poll) => (poll >= 3
+            ? { bundle_id: 'bundle-1', slot: 321, confirmation_status: 'confirmed', err: { Ok: null } }
+            : null)
+    });
+    const sender = createSender();
+
+    const outcome = await sender.sendBundle([signedSwap(), signedSwap()], {
+        engine: blockEngine.url,
+        payer,
+        tipLamports: 10000,
+        connection: createConnection({ blockHeight: 1000 })
+    });
+
+    assert.strictEqual(outcome.status, TX_OUTCOME.LANDED);
+    assert.strictEqual(outcome.success, true);
+    assert.strictEqual(outcome.bundleId, 'bundle-1');
+    assert.strictEqual(outcome.slot, 321);
+    assert.strictEqual(outcome.landedVia, new URL(blockEngine.url).host);
+    assert.strictEqual(outcome.signatures.length, 3);
+
+    assert.ok(blockEngine.requests.every(request => request.path === '/api/v1/bundles'));
+    assert.deepStrictEqual(blockEngine.requests[0].params[1], { encoding: 'base64' });
+    assert.strictEqual(blockEngine.bundle.length, 3);
+
+    const tip = VersionedTransaction.deserialize(Buffer.from(blockEngine.bundle[2], 'base64'));
+    const tipAccounts = sender.tipAccounts.map(account => account.toBase58());
+    assert.ok(tip.message.staticAccountKeys.some(key => tipAccounts.includes(key.toBase58())), 'the tip goes to a tip account');
+    assert.strictEqual(sender.getStats().tipLamports, 10000);
+
+    assert.strictEqual(tipOptimizer.record.mock.callCount(), 1);
+    assert.strictEqual(tipOptimizer.record.mock.calls[0].arguments[0].tipLamports, 10000);
+    assert.strictEqual(tipOptimizer.record.mock.calls[0].arguments[0].landed, true);
+
+    const [engineStats] = jitoEngineProber.getStats();
+    assert.strictEqual(engineStats.requests, blockEngine.requests.length);
+    assert.strictEqual(engineStats.failures, 0);
+});
+
+test('reports a bundle that lost every auction as failed and records it as dropped', async () => {
+    blockEngine.reset({ inflightStatus: (poll) => (poll >= 2 ? 'Failed' : 'Pending') });
+
+    const outcome = await send(createSender());
+
+    assert.strictEqual(outcome.status, TX_OUTCOME.FAILED);
+    assert.strictEqual(outcome.success, false);
+    assert.strictEqual(outcome.bundleId, 'bundle-1');
+    assert.strictEqual(outcome.error, 'Bundle failed to land in any auction');
+    assert.strictEqual(tipOptimizer.record.mock.callCount(), 1);
+    assert.strictEqual(tipOptimizer.record.mock.calls[0].arguments[0].landed, false);
+});
+
+test('does not record a bundle that landed with a program error', async () => {
+    blockEngine.reset({
+        landedStatus: () => ({ bundle_id: 'bundle-1', slot: 321, confirmation_status: 'confirmed', err: { InstructionError: [0, { Custom: 6001 }] } })
+    });
+
+    const outcome = await send(createSender());
+
+    assert.strictEqual(outcome.status, TX_OUTCOME.FAILED);
+    assert.strictEqual(outcome.slot, 321);
+    assert.strictEqual(tipOptimizer.record.mock.callCount(), 0, 'a swap that ran into an error says nothing about the tip');
+});
+
+test('expires a bundle once the block height is past its blockhash', async () => {
+    blockEngine.reset({ inflightStatus: () => 'Invalid' });
+    const connection = createConnection({ blockHeight: 1000 });
+
+    const outcome = await send(createSender(), { connection, lastValidBlockHeight: 1004, timeoutMs: 1 });
+
+    assert.strictEqual(outcome.status, TX_OUTCOME.EXPIRED);
+    assert.match(outcome.error, /Blockhash expired at block 1004/);
+    assert.ok(connection.blockHeight > 1004);
+    assert.ok(blockEngine.polls >= 5, 'polling went on past timeoutMs while the blockhash was valid');
+    assert.strictEqual(tipOptimizer.record.mock.callCount(), 1);
+    assert.strictEqual(tipOptimizer.record.mock.calls[0].arguments[0].landed, false);
+});
+
+test('keeps polling past the timeout while the blockhash is valid', async () => {
+    blockEngine.reset({
+        landedStatus: (poll) => (poll >= 20
+            ? { bundle_id: 'bundle-1', slot: 400, confirmation_status: 'confirmed', err: { Ok: null } }
+            : null)
+    });
+
+    const outcome = await send(createSender(), { timeoutMs: 1 });
+
+    assert.strictEqual(outcome.status, TX_OUTCOME.LANDED);
+});
+
+test('reports the outcome as unknown when the engine cannot serve a status, and benches it', async () => {
+    blockEngine.reset({ statusCode: 503 });
+    const sender = createSender();
+
+    const outcome = await send(sender, { timeoutMs: 50 });
+
+    assert.strictEqual(outcome.status, TX_OUTCOME.UNKNOWN);
+    assert.strictEqual(outcome.success, false);
+    assert.strictEqual(outcome.bundleId, 'bundle-1');
+    assert.match(outcome.error, /can still land/);
+    assert.strictEqual(sender.getStats().unknown, 1);
+    assert.strictEqual(tipOptimizer.record.mock.callCount(), 0, 'the bundle can still land');
+
+    const [engineStats] = jitoEngineProber.getStats();
+    assert.ok(engineStats.failures >= 3);
+    assert.match(engineStats.lastError, /503/);
+    assert.strictEqual(engineStats.healthy, false, 'an engine failing over and over is benched');
+});
+
+test('fails without a bundle id when the block engine rejects the bundle', async () => {
+    blockEngine.reset({ sendError: 'bundle contains an already processed transaction' });
+
+    const outcome = await send(createSender());
+
+    assert.strictEqual(outcome.status, TX_OUTCOME.FAILED);
+    assert.strictEqual(outcome.bundleId, null);
+    assert.strictEqual(outcome.error, 'sendBundle rejected: bundle contains an already processed transaction');
+    assert.deepStrictEqual(blockEngine.requests.map(request => request.method), ['sendBundle']);
+    assert.strictEqual(tipOptimizer.record.mock.callCount(), 0);
+
+    // A rejected bundle is the engine answering, not the engine failing
+    const [engineStats] = jitoEngineProber.getStats();
+    assert.strictEqual(engineStats.failures, 0);
+    assert.strictEqual(engineStats.healthy, true);
+});
+
+test('refuses to build a bundle without a tip account', async () => {
+    const sender = createSender();
+    sender.tipAccounts = [];
+
+    await assert.rejects(send(sender), /No Jito tip account/);
+    assert.strictEqual(blockEngine.requests.length, 0);
+    assert.strictEqual(sender.getStats().sent, 0);
+});
@@ -0,0 +1,30 @@
+process.env.LOG_TO_FILE = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.PRIORITY = '150000';
+process.env.JITO_TIP_STATE_PATH = require('path').join(require('os').tmpdir(), `jito_tip_state_${process.pid}.json`);
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Keypair } = require('@solana/web3.js');
+const priorityFeeEstimator = require('../../src/utils/priorityFeeEstimator');
+const costModel = require('../../src/utils/costModel');
+const { jupiterClient } = require('../../src/utils/jupiterApiClient');
+
+test('PRIORITY is a compute unit price in micro-lamports', () => {
+    assert.strictEqual(priorityFeeEstimator.dynamic, false);
+    assert.strictEqual(priorityFeeEstimator.getExpectedMicroLamports(), 150000);
+    assert.strictEqual(costModel.getPriorityMicroLamports(), 150000);
+});
+
+test('converts a compute unit price to lamports over the units used', () => {
+    assert.strictEqual(priorityFeeEstimator.toFeeLamports(150000, 300000), 45000);
+    assert.strictEqual(priorityFeeEstimator.toFeeLamports(1, 1), 1, 'a fraction of a lamport is paid in full');
+    assert.strictEqual(costModel.estimateTransactionFeeLamports({ computeUnits: 300000 }), 5000 + 45000);
+});
+
+test('sends the price to Jupiter as a compute unit price, not a total fee', () => {
+    const body = jupiterClient.buildSwapBody({ inAmount: '1000' }, Keypair.generate().publicKey, priorityFeeEstimator.getSwapFeeParams());
+
+    assert.strictEqual(body.computeUnitPriceMicroLamports, 150000);
+    assert.strictEqual(body.prioritizationFeeLamports, undefined);
+});
@@ -0,0 +1,109 @@
+process.env.LOG_TO_FILE = 'false';
+process.env.LOG_LEVEL = 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { SandwichDetector } = require('../../src/utils/sandwichDetector');
+const rpcPool = require('../../src/utils/rpcPool');
+const healthMonitor = require('../../src/utils/healthMonitor');
+
+after(() => healthMonitor.stopMonitoring());
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'blocks');
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const BONK_MINT = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+// Synthetic blocks in getParsedBlock's shape, written through saveFixture: one of our
+// SOL -> BONK -> SOL round trips of 1 SOL, once between an attacker's front and back run
+// and once between unrelated traders on the same pool. Not recorded from a cluster.
+const SANDWICHED = {
+    file: path.join(FIXTURE_DIR, '312000001.json'),
+    signature: '45KkmKhMNJQRtEv9S6SCQHKWiYLh1dX7tBzBQQ5XEs8SHuUbsv326vvge7uM5yZUzx7svCMNbPsvKxZ5MaA7mDfk'
+};
+const CLEAN = {
+    file: path.join(FIXTURE_DIR, '312000002.json'),
+    signature: '2ACNJobejjV3fj5AYsu74Dps7Za24m9SwyKkvDEEznEe5MRocg77wbwe8tWqaEewvhUJcbywPdRAwSoyiGkGECn4'
+};
+
+const roundTripQuote = { inputMint: SOL_MINT, inAmount: '1000000000', outputMint: SOL_MINT, outAmount: '1005000000' };
+
+const createDetector = () => {
+    const detector = new SandwichDetector();
+    detector.fetchRetryMs = 1;
+    return detector;
+};
+
+test('saves fetched blocks to the fixture directory and loads them back', async () => {
+    const detector = createDetector();
+    const recorded = detector.loadFixture(SANDWICHED.file);
+    detector.fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mev-blocks-'));
+
+    mock.method(rpcPool, 'read', async (operation) => operation({
+        getTransaction: async () => ({ slot: recorded.slot }),
+        getParsedBlock: async () => recorded.block
+    }));
+
+    try {
+        const fetched = await detector.fetchBlockFor(SANDWICHED.signature);
+
+        assert.strictEqual(fetched.slot, 312000001);
+        assert.deepStrictEqual(detector.loadFixture(path.join(detector.fixtureDir, '312000001.json')), recorded);
+    } finally {
+        mock.restoreAll();
+        fs.rmSync(detector.fixtureDir, { recursive: true, force: true });
+    }
+});
+
+test('finds the attacker that bought in front of us and sold behind us', () => {
+    const detector = createDetector();
+    const { block } = detector.loadFixture(SANDWICHED.file);
+    const frontRun = block.transactions[1].transaction;
+
+    const analysis = detector.analyzeBlock(block, SANDWICHED.signature, roundTripQuote);
+
+    assert.strictEqual(analysis.found, true);
+    assert.strictEqual(analysis.blockPosition, 3);
+    assert.strictEqual(analysis.sandwiched, true);
+    assert.strictEqual(analysis.sandwich.attacker, frontRun.message.accountKeys[0].pubkey);
+    assert.deepStrictEqual(analysis.sandwich.frontRun, { signature: frontRun.signatures[0], position: 1 });
+    assert.strictEqual(analysis.sandwich.backRun.position, 4);
+    assert.strictEqual(analysis.sandwich.token, BONK_MINT);
+    assert.strictEqual(analysis.sandwich.paidWith, SOL_MINT);
+    assert.strictEqual(analysis.sandwich.attackerProfit, '3000000');
+    assert.strictEqual(analysis.shortfallBps, 100);
+});
+
+test('does not report traders on the same pool as a sandwich', () => {
+    const detector = createDetector();
+    const { block } = detector.loadFixture(CLEAN.file);
+
+    const analysis = detector.analyzeBlock(block, CLEAN.signature, roundTripQuote);
+
+    assert.strictEqual(analysis.found, true);
+    assert.strictEqual(analysis.sandwiched, false);
+    assert.strictEqual(analysis.sandwich, null);
+    assert.strictEqual(analysis.shortfall, '0');
+    assert.strictEqual(analysis.shortfallBps, 0);
+});
+
+test('measures what our transaction received against its quote', () => {
+    const detector = createDetector();
+    const { block } = detector.loadFixture(SANDWICHED.file);
+    const ours = detector.describeTransaction(block.transactions[3], 3);
+
+    assert.deepStrictEqual(detector.getShortfall(ours, roundTripQuote), {
+        expectedOut: '1005000000',
+        actualOut: '994950000',
+        shortfall: '10050000',
+        shortfallBps: 100
+    });
+    assert.deepStrictEqual(detector.getShortfall(ours, null), {
+        expectedOut: null,
+        actualOut: null,
+        shortfall: null,
+        shortfallBps: null
+    });
+});
@@ -0,0 +1,105 @@
+process.env.LOG_TO_FILE = 'false';
+process.env.LOG_LEVEL = 'error';
+process.env.JITO_TIP_STATE_PATH = require('path').join(require('os').tmpdir(), `jito_tip_state_${process.pid}.json`);
+
+const fs = require('fs');
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const tipOptimizer = require('../../src/utils/tipOptimizer');
+
+after(() => fs.rmSync(process.env.JITO_TIP_STATE_PATH, { force: true }));
+
+// A fresh optimizer on the test's state file, nothing learned yet
+const createOptimizer = () => {
+    fs.rmSync(process.env.JITO_TIP_STATE_PATH, { force: true });
+    const optimizer = new tipOptimizer.constructor();
+    optimizer.explorationRate = 0;
+    return optimizer;
+};
+
+// 40 tips from 1000 to 1000000 lamports: below 20000 most are dropped, above it most land
+const recordAuctions = (optimizer) => {
+    for (let i = 0; i < 40; i++) {
+        const tipLamports = Math.round(1000 * Math.pow(1000, i / 39));
+        const landed = tipLamports >= 20000 ? i % 7 !== 0 : i % 5 === 0;
+        optimizer.record({ tipLamports, landed, latencyMs: 400 });
+    }
+};
+
+test('uses the cap as the tip until the curve is learned', () => {
+    const optimizer = createOptimizer();
+
+    assert.strictEqual(optimizer.isCurveTrusted(), false);
+    assert.strictEqual(optimizer.getTipLamports(1000000), 500000, 'half the profit by default');
+    assert.strictEqual(optimizer.getTipLamports(100), optimizer.minTipLamports);
+    assert.strictEqual(optimizer.getTipLamports(1e12), optimizer.maxTipLamports);
+});
+
+test('needs landed and dropped bundles to fit a curve', () => {
+    const optimizer = createOptimizer();
+    for (let i = 0; i < 30; i++) {
+        optimizer.record({ tipLamports: 10000 * (i + 1), landed: true });
+    }
+
+    assert.strictEqual(optimizer.fit, null);
+    assert.strictEqual(optimizer.getLandingProbability(10000), null);
+    assert.strictEqual(optimizer.isCurveTrusted(), false);
+});
+
+test('fits a landing probability that rises with the tip', () => {
+    const optimizer = createOptimizer();
+    recordAuctions(optimizer);
+
+    assert.ok(optimizer.fit.slope > 0);
+    assert.strictEqual(optimizer.isCurveTrusted(), true);
+    assert.ok(optimizer.getLandingProbability(2000) < 0.5);
+    assert.ok(optimizer.getLandingProbability(500000) > 0.5);
+    assert.ok(optimizer.getLandingProbability(500000) > optimizer.getLandingProbability(50000));
+});
+
+test('tips below the cap once more tip no longer buys landings', () => {
+    const optimizer = createOptimizer();
+    recordAuctions(optimizer);
+
+    const profitLamports = 10000000;
+    const capLamports = optimizer.getCapLamports(profitLamports);
+    const tipLamports = optimizer.getTipLamports(profitLamports);
+
+    assert.strictEqual(capLamports, 5000000);
+    assert.ok(tipLamports >= optimizer.minTipLamports);
+    assert.ok(tipLamports < capLamports, `tip ${tipLamports} should sit below the cap ${capLamports}`);
+
+    const expectedNet = (tip) => optimizer.getLandingProbability(tip) * (profitLamports - tip);
+    assert.ok(expectedNet(tipLamports) > expectedNet(capLamports));
+});
+
+test('chooses the optimum without exploring and stays under the cap when it does', () => {
+    const optimizer = createOptimizer();
+    recordAuctions(optimizer);
+    const profitLamports = 10000000;
+
+    const decision = optimizer.chooseTip(profitLamports);
+    assert.strictEqual(decision.tipLamports, optimizer.getTipLamports(profitLamports));
+    assert.strictEqual(decision.explored, false);
+    assert.strictEqual(decision.policy, 'learned');
+
+    optimizer.explorationRate = 1;
+    for (let i = 0; i < 20; i++) {
+        const explored = optimizer.chooseTip(profitLamports);
+        assert.strictEqual(explored.explored, true);
+        assert.ok(explored.tipLamports >= optimizer.minTipLamports && explored.tipLamports <= explored.capLamports);
+    }
+    assert.strictEqual(optimizer.getStats().decisions, 21);
+});
+
+test('reloads the samples and the fit saved to JITO_TIP_STATE_PATH', () => {
+    const optimizer = createOptimizer();
+    recordAuctions(optimizer);
+
+    const reloaded = new tipOptimizer.constructor();
+
+    assert.strictEqual(reloaded.statePath, process.env.JITO_TIP_STATE_PATH);
+    assert.deepStrictEqual(reloaded.samples, optimizer.samples);
+    assert.deepStrictEqual(reloaded.fit, optimizer.fit);
+    assert.strictEqual(reloaded.getTipLamports(10000000), optimizer.getTipLamports(10000000));
+});
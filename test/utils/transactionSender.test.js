@@ -0,0 +1,134 @@
+process.env.LOG_TO_FILE = 'false';
+process.env.LOG_LEVEL = 'error';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const bs58 = require('bs58');
+const { Keypair, SystemProgram, Transaction } = require('@solana/web3.js');
+const { TX_OUTCOME, TransactionSender } = require('../../src/utils/transactionSender');
+const healthMonitor = require('../../src/utils/healthMonitor');
+const { createConnection } = require('../helpers/stubConnection');
+
+after(() => healthMonitor.stopMonitoring());
+
+const signedTransfer = (lamports = 1000) => {
+    const payer = Keypair.generate();
+    const transaction = new Transaction({
+        feePayer: payer.publicKey,
+        recentBlockhash: Keypair.generate().publicKey.toBase58()
+    }).add(SystemProgram.transfer({
+        fromPubkey: payer.publicKey,
+        toPubkey: Keypair.generate().publicKey,
+        lamports
+    }));
+    transaction.sign(payer);
+    return transaction;
+};
+
+const signatureOf = (transaction) => bs58.encode(transaction.signature);
+
+const createSender = () => new TransactionSender({
+    useWebsocket: false,
+    pollIntervalMs: 1,
+    rebroadcastIntervalMs: 1,
+    jitoEngines: []
+});
+
+test('reports a transaction as landed once it reaches the commitment', async () => {
+    const transaction = signedTransfer();
+    const connection = createConnection({
+        statusFor: (signature, { statusChecks }) => (statusChecks.length >= 3
+            ? { slot: 4242, err: null, confirmationStatus: 'confirmed' }
+            : { slot: 4242, err: null, confirmationStatus: 'processed' })
+    });
+    const sender = createSender();
+
+    const outcome = await sender.sendAndConfirm(connection, transaction, { lastValidBlockHeight: 200 });
+
+    assert.strictEqual(outcome.status, TX_OUTCOME.LANDED);
+    assert.strictEqual(outcome.success, true);
+    assert.strictEqual(outcome.txid, signatureOf(transaction));
+    assert.strictEqual(outcome.slot, 4242);
+    assert.strictEqual(outcome.landedVia, 'stub-rpc.test');
+    assert.strictEqual(sender.getStats().landed, 1);
+});
+
+test('rebroadcasts until the blockhash expires', async () => {
+    const transaction = signedTransfer();
+    const connection = createConnection({ blockHeight: 100 });
+    const sender = createSender();
+
+    const outcome = await sender.sendAndConfirm(connection, transaction, { lastValidBlockHeight: 105 });
+
+    assert.strictEqual(outcome.status, TX_OUTCOME.EXPIRED);
+    assert.strictEqual(outcome.success, false);
+    assert.match(outcome.error, /Blockhash expired at block 105/);
+    assert.ok(outcome.rebroadcasts > 0);
+    assert.ok(connection.sent.length > 1, 'the transaction is sent again while the blockhash is valid');
+    assert.ok(connection.blockHeight > 105);
+    assert.strictEqual(sender.getStats().expired, 1);
+});
+
+test('watches re-priced copies and reports the one that lands', async () => {
+    const transaction = signedTransfer();
+    const repriced = signedTransfer(2000);
+    const connection = createConnection({
+        statusFor: (signature) => (signature === signatureOf(repriced)
+            ? { slot: 77, err: null, confirmationStatus: 'confirmed' }
+            : null)
+    });
+    const sender = createSender();
+
+    const outcome = await sender.sendAndConfirm(connection, transaction, {
+        lastValidBlockHeight: 200,
+        reprice: async () => repriced
+    });
+
+    assert.strictEqual(outcome.status, TX_OUTCOME.LANDED);
+    assert.strictEqual(outcome.txid, signatureOf(repriced));
+    assert.deepStrictEqual(connection.statusChecks.at(-1), [signatureOf(transaction), signatureOf(repriced)]);
+});
+
+test('fails without rebroadcasting when every endpoint rejects the send', async () => {
+    const connection = createConnection({ sendError: 'Transaction simulation failed: insufficient funds' });
+    const sender = createSender();
+
+    const outcome = await sender.sendAndConfirm(connection, signedTransfer(), { lastValidBlockHeight: 200 });
+
+    assert.strictEqual(outcome.status, TX_OUTCOME.FAILED);
+    assert.strictEqual(outcome.success, false);
+    assert.strictEqual(outcome.error, 'Transaction simulation failed: insufficient funds');
+    assert.strictEqual(outcome.rebroadcasts, 0);
+    assert.strictEqual(connection.statusChecks.length, 0);
+    assert.strictEqual(sender.getEndpointLandingStats()[0].rejected, 1);
+});
+
+test('reports a transaction that landed with an error as failed', async () => {
+    const connection = createConnection({
+        statusFor: () => ({ slot: 90, err: { InstructionError: [0, { Custom: 6001 }] }, confirmationStatus: 'processed' })
+    });
+    const sender = createSender();
+
+    const outcome = await sender.sendAndConfirm(connection, signedTransfer(), { lastValidBlockHeight: 200 });
+
+    assert.strictEqual(outcome.status, TX_OUTCOME.FAILED);
+    assert.strictEqual(outcome.slot, 90);
+    assert.strictEqual(outcome.error, JSON.stringify({ InstructionError: [0, { Custom: 6001 }] }));
+});
+
+test('shares the pending outcome when the same transaction is sent twice', async () => {
+    const transaction = signedTransfer();
+    const connection = createConnection({
+        statusFor: () => ({ slot: 5, err: null, confirmationStatus: 'confirmed' })
+    });
+    const sender = createSender();
+
+    const [first, second] = await Promise.all([
+        sender.sendAndConfirm(connection, transaction, { lastValidBlockHeight: 200 }),
+        sender.sendAndConfirm(connection, transaction, { lastValidBlockHeight: 200 })
+    ]);
+
+    assert.strictEqual(first, second);
+    assert.strictEqual(sender.getStats().sent, 1);
+    assert.strictEqual(sender.getStats().duplicates, 1);
+});